@@ -1,43 +1,12 @@
 
-import React, { useState, useEffect, useCallback } from 'react';
-import { generateDiagram } from './services/geminiService';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { createJob, getJob, cancelJob, getDiagramKinds, regenerateDiagram, AnalysisScope, Diagram, DiagramKind, ProgressEvent, RepoAuth } from './services/geminiService';
 import MarkdownDisplay from './components/MarkdownDisplay';
+import ProgressStepper from './components/ProgressStepper';
 import './types';
-import sentences from './sentences.json';
 // @ts-ignore
 import mockData from "./mock_data.md?raw";
 
-// Custom hook for typewriter effect
-const useTypewriter = (text: string, speed: number = 50) => {
-  const [displayedText, setDisplayedText] = useState('');
-  const [isTyping, setIsTyping] = useState(false);
-
-  useEffect(() => {
-    if (!text) {
-      setDisplayedText('');
-      return;
-    }
-
-    setIsTyping(true);
-    setDisplayedText('');
-    let currentIndex = 0;
-
-    const timer = setInterval(() => {
-      if (currentIndex < text.length) {
-        setDisplayedText(text.slice(0, currentIndex + 1));
-        currentIndex++;
-      } else {
-        setIsTyping(false);
-        clearInterval(timer);
-      }
-    }, speed);
-
-    return () => clearInterval(timer);
-  }, [text, speed]);
-
-  return { displayedText, isTyping };
-};
-
 // SVG Icon for the header, updated for the light theme
 const LogoIcon: React.FC = () => (
   <svg width="40" height="40" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -52,15 +21,28 @@ const LogoIcon: React.FC = () => (
 // Development mode flag - set to true to use mock data
 const USE_MOCK_DATA = false;
 
+// Running job id is kept across page reloads so the analysis can be resumed
+const ACTIVE_JOB_STORAGE_KEY = 'gitmermaid.activeJobId';
+const JOB_POLL_INTERVAL_MS = 1500;
+
 // Main Application Component
 const App: React.FC = () => {
   const [repoUrl, setRepoUrl] = useState<string>('https://github.com/ncvgl/gitmermaid');
+  const [gitRef, setGitRef] = useState<string>('');
+  const [subpath, setSubpath] = useState<string>('');
+  // Only kept in memory, never persisted with the job
+  const [accessToken, setAccessToken] = useState<string>('');
+  // Commit and directory the displayed diagrams come from, so regenerated diagrams match them
+  const [analyzedScope, setAnalyzedScope] = useState<AnalysisScope | null>(null);
   const [markdownContent, setMarkdownContent] = useState<string>('');
+  const [diagrams, setDiagrams] = useState<Diagram[]>([]);
   const [isLoading, setIsLoading] = useState<boolean>(false);
   const [error, setError] = useState<string | null>(null);
-  const [currentSentence, setCurrentSentence] = useState<string>('');
+  const [progressEvents, setProgressEvents] = useState<ProgressEvent[]>([]);
   const [loadingSeconds, setLoadingSeconds] = useState<number>(0);
-  const { displayedText: typewriterText, isTyping } = useTypewriter(currentSentence, 30);
+  const [activeJobId, setActiveJobId] = useState<string | null>(null);
+  const [availableKinds, setAvailableKinds] = useState<DiagramKind[]>([]);
+  const [selectedKinds, setSelectedKinds] = useState<string[]>([]);
 
   useEffect(() => {
     // Initialize Mermaid.js on component mount with a light theme
@@ -84,44 +66,6 @@ const App: React.FC = () => {
     }
   }, []);
 
-  // Handle sentence rotation during loading
-  useEffect(() => {
-    let interval: NodeJS.Timeout;
-    let usedSentences: number[] = [];
-    
-    if (isLoading) {
-      // Set initial random sentence
-      const getRandomSentence = () => {
-        if (usedSentences.length >= sentences.length) {
-          usedSentences = []; // Reset when all sentences have been used
-        }
-        
-        let availableIndices = sentences
-          .map((_, index) => index)
-          .filter(index => !usedSentences.includes(index));
-        
-        const randomIndex = availableIndices[Math.floor(Math.random() * availableIndices.length)];
-        usedSentences.push(randomIndex);
-        return sentences[randomIndex];
-      };
-      
-      setCurrentSentence(getRandomSentence());
-      
-      // Rotate sentences every 6 seconds (giving time for typewriter effect)
-      interval = setInterval(() => {
-        setCurrentSentence(getRandomSentence());
-      }, 6000);
-    } else {
-      setCurrentSentence('');
-    }
-    
-    return () => {
-      if (interval) {
-        clearInterval(interval);
-      }
-    };
-  }, [isLoading]);
-
   // Handle loading seconds counter
   useEffect(() => {
     let interval: NodeJS.Timeout;
@@ -143,31 +87,154 @@ const App: React.FC = () => {
     };
   }, [isLoading]);
 
+  // Load the diagram catalogue; the server's defaults start selected
+  useEffect(() => {
+    getDiagramKinds()
+      .then(({ kinds, defaults }) => {
+        setAvailableKinds(kinds);
+        setSelectedKinds(defaults);
+      })
+      .catch((err) => console.warn('Could not load diagram kinds:', err));
+  }, []);
+
+  const toggleKind = (kindId: string) => {
+    setSelectedKinds(prev => prev.includes(kindId)
+      ? prev.filter(id => id !== kindId)
+      // Keep catalogue order so the document reads the same way every time
+      : availableKinds.map(kind => kind.id).filter(id => id === kindId || prev.includes(id)));
+  };
+
+  // Resume a job that was still running when the page was reloaded
+  useEffect(() => {
+    const storedJobId = localStorage.getItem(ACTIVE_JOB_STORAGE_KEY);
+    if (storedJobId) {
+      setIsLoading(true);
+      setActiveJobId(storedJobId);
+    }
+  }, []);
+
+  // Poll the active job until it finishes
+  useEffect(() => {
+    if (!activeJobId) return;
+
+    let cancelled = false;
+    let timeout: NodeJS.Timeout;
+
+    const finish = () => {
+      localStorage.removeItem(ACTIVE_JOB_STORAGE_KEY);
+      setActiveJobId(null);
+      setIsLoading(false);
+    };
+
+    const poll = async () => {
+      try {
+        const job = await getJob(activeJobId);
+        if (cancelled) return;
+
+        setRepoUrl(job.repoUrl);
+        setGitRef(job.ref || '');
+        setSubpath(job.path || '');
+        setProgressEvents(job.progress);
+
+        if (job.status === 'completed' && job.result) {
+          setMarkdownContent(job.result.diagramCode);
+          setDiagrams(job.result.diagrams || []);
+          setAnalyzedScope({
+            ref: job.result.metadata.commitSha as string | undefined,
+            path: job.result.metadata.subpath as string | undefined,
+          });
+          finish();
+        } else if (job.status === 'failed' || job.status === 'cancelled') {
+          if (job.status === 'failed' && job.error) {
+            setError(job.error.suggestion ? `${job.error.message} ${job.error.suggestion}` : job.error.message);
+          }
+          finish();
+        } else {
+          timeout = setTimeout(poll, JOB_POLL_INTERVAL_MS);
+        }
+      } catch (err: any) {
+        if (cancelled) return;
+        setError(err.message || "Lost track of the running analysis.");
+        finish();
+      }
+    };
+
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [activeJobId]);
+
+  const repoAuth = useMemo<RepoAuth | undefined>(
+    () => accessToken.trim() ? { token: accessToken.trim() } : undefined,
+    [accessToken]
+  );
+
   const handleGenerateClick = useCallback(async () => {
     if (!repoUrl) {
       setError("Please enter a repository URL.");
       return;
     }
+    if (availableKinds.length > 0 && selectedKinds.length === 0) {
+      setError("Please select at least one diagram.");
+      return;
+    }
     setError(null);
     setIsLoading(true);
     setMarkdownContent('');
+    setDiagrams([]);
+    setAnalyzedScope(null);
+    setProgressEvents([]);
+
+    if (USE_MOCK_DATA) {
+      // Use mock data for development
+      await new Promise(resolve => setTimeout(resolve, 2000)); // Simulate loading time
+      setMarkdownContent(mockData);
+      setIsLoading(false);
+      return;
+    }
 
     try {
-      if (USE_MOCK_DATA) {
-        // Use mock data for development
-        await new Promise(resolve => setTimeout(resolve, 2000)); // Simulate loading time
-        setMarkdownContent(mockData);
-      } else {
-        const content = await generateDiagram(repoUrl);
-        setMarkdownContent(content);
-      }
+      const job = await createJob(repoUrl, selectedKinds.length > 0 ? selectedKinds : undefined, {
+        ref: gitRef.trim(),
+        path: subpath.trim(),
+      }, repoAuth);
+      localStorage.setItem(ACTIVE_JOB_STORAGE_KEY, job.id);
+      setActiveJobId(job.id);
     } catch (err: any) {
       setError(err.message || "An unknown error occurred.");
-    } finally {
       setIsLoading(false);
     }
-  }, [repoUrl]);
-  
+  }, [repoUrl, gitRef, subpath, repoAuth, availableKinds, selectedKinds]);
+
+  // Swaps one diagram in place, in both the parsed list and the markdown document
+  const handleRegenerateDiagram = useCallback(async (diagram: Diagram, instruction: string) => {
+    const regenerated = await regenerateDiagram(repoUrl, diagram, instruction, analyzedScope || {
+      ref: gitRef.trim(),
+      path: subpath.trim(),
+    }, repoAuth);
+    const replacement = { ...regenerated, id: diagram.id };
+
+    setDiagrams(prev => prev.map(existing => existing.id === diagram.id ? replacement : existing));
+    setMarkdownContent(prev => {
+      let updated = prev.replace(diagram.mermaid, replacement.mermaid);
+      if (diagram.description && replacement.description) {
+        updated = updated.replace(diagram.description, replacement.description);
+      }
+      return updated;
+    });
+  }, [repoUrl, gitRef, subpath, repoAuth, analyzedScope]);
+
+  const handleCancelClick = useCallback(async () => {
+    if (!activeJobId) return;
+    try {
+      await cancelJob(activeJobId);
+    } catch (err: any) {
+      setError(err.message || "Failed to cancel the analysis.");
+    }
+  }, [activeJobId]);
 
   return (
     <div className="min-h-screen bg-gray-50 text-gray-800 font-sans antialiased p-4 sm:p-6 lg:p-8">
@@ -186,7 +253,7 @@ const App: React.FC = () => {
         </p>
 
         {/* Input Form */}
-        <div className="flex flex-col sm:flex-row gap-3 max-w-2xl mx-auto mb-10">
+        <div className="flex flex-col sm:flex-row gap-3 max-w-4xl mx-auto mb-10">
           <input
             type="url"
             value={repoUrl}
@@ -196,6 +263,26 @@ const App: React.FC = () => {
             className="flex-grow bg-white border border-gray-300 rounded-md px-4 py-3 text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow disabled:opacity-50"
             onKeyDown={(e) => e.key === 'Enter' && handleGenerateClick()}
           />
+          <input
+            type="text"
+            value={gitRef}
+            onChange={(e) => setGitRef(e.target.value)}
+            placeholder="Branch, tag or commit"
+            title="Optional: defaults to the default branch, or the one in the URL"
+            disabled={isLoading}
+            className="sm:w-36 bg-white border border-gray-300 rounded-md px-4 py-3 text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow disabled:opacity-50"
+            onKeyDown={(e) => e.key === 'Enter' && handleGenerateClick()}
+          />
+          <input
+            type="text"
+            value={subpath}
+            onChange={(e) => setSubpath(e.target.value)}
+            placeholder="Subdirectory"
+            title="Optional: analyze only this directory, e.g. packages/api"
+            disabled={isLoading}
+            className="sm:w-36 bg-white border border-gray-300 rounded-md px-4 py-3 text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow disabled:opacity-50"
+            onKeyDown={(e) => e.key === 'Enter' && handleGenerateClick()}
+          />
           <button
             onClick={handleGenerateClick}
             disabled={isLoading}
@@ -210,6 +297,45 @@ const App: React.FC = () => {
           </button>
         </div>
         
+        {/* Private repositories */}
+        <div className="flex justify-center max-w-4xl mx-auto -mt-6 mb-10">
+          <input
+            type="password"
+            value={accessToken}
+            onChange={(e) => setAccessToken(e.target.value)}
+            placeholder="Access token (private repositories only)"
+            title="Optional: a personal access token with read access; it is sent with the request and never stored"
+            autoComplete="off"
+            disabled={isLoading}
+            className="w-full sm:w-96 bg-white border border-gray-300 rounded-md px-4 py-2 text-sm text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow disabled:opacity-50"
+            onKeyDown={(e) => e.key === 'Enter' && handleGenerateClick()}
+          />
+        </div>
+
+        {/* Diagram Selection */}
+        {availableKinds.length > 0 && (
+          <div className="flex flex-wrap justify-center gap-2 max-w-3xl mx-auto -mt-6 mb-10">
+            {availableKinds.map(kind => {
+              const selected = selectedKinds.includes(kind.id);
+              return (
+                <button
+                  key={kind.id}
+                  onClick={() => toggleKind(kind.id)}
+                  disabled={isLoading}
+                  title={kind.mermaidType}
+                  className={`px-3 py-1 rounded-full text-sm border transition-colors disabled:opacity-50 ${
+                    selected
+                      ? 'bg-green-100 border-green-500 text-green-800'
+                      : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  {kind.title}
+                </button>
+              );
+            })}
+          </div>
+        )}
+
         {/* Error Display */}
         {error && (
           <div className="max-w-2xl mx-auto bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-md mb-8 text-center">
@@ -236,21 +362,28 @@ const App: React.FC = () => {
               <div className="text-center text-gray-600">
                 <div className="w-12 h-12 border-4 border-green-500 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
                 <h2 className="text-xl font-semibold">Analyzing Repository... {loadingSeconds}s</h2>
-                <p className="mb-3">AI is crafting your diagram. This may take a minute.</p>
-                <p className="text-sm text-gray-500 italic min-h-[40px] flex items-center justify-center">
-                  {typewriterText && (
-                    <span>
-                      {typewriterText}
-                      {isTyping && <span className="animate-pulse">|</span>}
-                    </span>
-                  )}
-                </p>
+                <p className="mb-6">AI is crafting your diagram. This may take a minute.</p>
+                <ProgressStepper events={progressEvents} />
+                {activeJobId && (
+                  <div className="mt-6">
+                    <button
+                      onClick={handleCancelClick}
+                      className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md text-sm font-medium transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
               </div>
             </div>
           )}
           
           {!isLoading && markdownContent && (
-            <MarkdownDisplay content={markdownContent} />
+            <MarkdownDisplay
+              content={markdownContent}
+              diagrams={diagrams}
+              onRegenerateDiagram={handleRegenerateDiagram}
+            />
           )}
         </main>
         
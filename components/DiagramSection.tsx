@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import type { Diagram } from '../services/geminiService';
+
+interface DiagramSectionProps {
+  diagram: Diagram;
+  index: number;
+  // Regenerates this diagram only; the button is hidden when absent
+  onRegenerate?: (diagram: Diagram, instruction: string) => Promise<void>;
+}
+
+// Renders one generated diagram; the parent renders every `.mermaid` element
+const DiagramSection: React.FC<DiagramSectionProps> = ({ diagram, index, onRegenerate }) => {
+  const [showRefine, setShowRefine] = useState(false);
+  const [instruction, setInstruction] = useState('');
+  const [isRegenerating, setIsRegenerating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleRegenerate = async () => {
+    if (!onRegenerate) return;
+    setIsRegenerating(true);
+    setError(null);
+    try {
+      await onRegenerate(diagram, instruction.trim());
+      setShowRefine(false);
+      setInstruction('');
+    } catch (err: any) {
+      setError(err.message || 'Failed to regenerate diagram');
+    } finally {
+      setIsRegenerating(false);
+    }
+  };
+
+  return (
+    <section id={diagram.id}>
+      <div className="flex items-center justify-between gap-4 mb-4 mt-8">
+        <h2 className="text-2xl font-semibold text-gray-900">
+          {index + 1}. {diagram.title}
+        </h2>
+        {onRegenerate && diagram.kind && (
+          <button
+            onClick={() => setShowRefine(!showRefine)}
+            disabled={isRegenerating}
+            className="px-3 py-1.5 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md text-sm font-medium transition-colors disabled:opacity-50"
+          >
+            {isRegenerating ? 'Regenerating...' : 'Regenerate'}
+          </button>
+        )}
+      </div>
+      {showRefine && (
+        <div className="flex flex-col sm:flex-row gap-2 mb-4">
+          <input
+            type="text"
+            value={instruction}
+            onChange={(e) => setInstruction(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleRegenerate()}
+            placeholder="Optional: e.g. show the auth flow in more detail, fewer nodes"
+            maxLength={500}
+            disabled={isRegenerating}
+            className="flex-grow bg-white border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+          />
+          <button
+            onClick={handleRegenerate}
+            disabled={isRegenerating}
+            className="bg-green-600 text-white text-sm font-semibold rounded-md px-4 py-2 hover:bg-green-700 disabled:bg-gray-400"
+          >
+            {isRegenerating ? 'Working...' : 'Go'}
+          </button>
+        </div>
+      )}
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+      {diagram.description && (
+        <p className="mb-4 text-gray-700 leading-relaxed">{diagram.description}</p>
+      )}
+      {!diagram.valid && diagram.warnings.length > 0 && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-2 rounded-md text-sm">
+          This diagram may not render correctly: {diagram.warnings.join('; ')}
+        </div>
+      )}
+      <div className="my-6">
+        {/* Keyed by content so a regenerated diagram gets a fresh element to render into */}
+        <div key={diagram.mermaid} className="mermaid bg-white p-4 rounded-lg border border-gray-200 text-center">
+          {diagram.mermaid}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default DiagramSection;
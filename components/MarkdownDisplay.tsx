@@ -2,12 +2,17 @@ import React, { useEffect, useState } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import mermaid from 'mermaid';
+import DiagramSection from './DiagramSection';
+import type { Diagram } from '../services/geminiService';
 
 interface MarkdownDisplayProps {
   content: string;
+  // Parsed diagrams from the API; the markdown is rendered as-is when absent
+  diagrams?: Diagram[];
+  onRegenerateDiagram?: (diagram: Diagram, instruction: string) => Promise<void>;
 }
 
-const MarkdownDisplay: React.FC<MarkdownDisplayProps> = ({ content }) => {
+const MarkdownDisplay: React.FC<MarkdownDisplayProps> = ({ content, diagrams, onRegenerateDiagram }) => {
   const [viewMode, setViewMode] = useState<'rendered' | 'raw'>('rendered');
   const [copyButtonText, setCopyButtonText] = useState('Copy');
   useEffect(() => {
@@ -36,6 +41,9 @@ const MarkdownDisplay: React.FC<MarkdownDisplayProps> = ({ content }) => {
     const renderMermaidDiagrams = async () => {
       const mermaidElements = document.querySelectorAll('.mermaid');
       mermaidElements.forEach(async (element, index) => {
+        // Skip diagrams that were already rendered (only a regenerated one changes)
+        if (element.getAttribute('data-processed')) return;
+        element.setAttribute('data-processed', 'true');
         try {
           const graphDefinition = element.textContent || '';
           const id = `mermaid-diagram-${Date.now()}-${index}`;
@@ -50,7 +58,7 @@ const MarkdownDisplay: React.FC<MarkdownDisplayProps> = ({ content }) => {
 
     // Small delay to ensure DOM is ready
     setTimeout(renderMermaidDiagrams, 100);
-  }, [content, viewMode]);
+  }, [content, diagrams, viewMode]);
 
   const handleCopyMarkdown = () => {
     navigator.clipboard.writeText(content).then(() => {
@@ -119,7 +127,18 @@ const MarkdownDisplay: React.FC<MarkdownDisplayProps> = ({ content }) => {
 
       {/* Content Area */}
       <div className="w-full h-full p-6 overflow-auto">
-        {viewMode === 'rendered' ? (
+        {viewMode === 'rendered' && diagrams && diagrams.length > 0 ? (
+          <div className="max-w-none">
+            {diagrams.map((diagram, index) => (
+              <DiagramSection
+                key={diagram.id}
+                diagram={diagram}
+                index={index}
+                onRegenerate={onRegenerateDiagram}
+              />
+            ))}
+          </div>
+        ) : viewMode === 'rendered' ? (
           <div className="max-w-none">
             <ReactMarkdown
               components={components}
@@ -0,0 +1,60 @@
+import React from 'react';
+import type { ProgressEvent, ProgressStage } from '../services/geminiService';
+
+interface ProgressStepperProps {
+  events: ProgressEvent[];
+}
+
+const STEPS: { stage: ProgressStage; label: string }[] = [
+  { stage: 'queue', label: 'Wait in queue' },
+  { stage: 'validate', label: 'Validate URL' },
+  { stage: 'clone', label: 'Clone repository' },
+  { stage: 'walk', label: 'Walk files' },
+  { stage: 'files', label: 'Select files' },
+  { stage: 'summarize', label: 'Summarize modules' },
+  { stage: 'prompt', label: 'Build prompt' },
+  { stage: 'llm', label: 'Generate diagrams' },
+  { stage: 'repair', label: 'Validate diagrams' },
+  { stage: 'format', label: 'Format output' },
+];
+
+const OPTIONAL_STAGES: ProgressStage[] = ['queue', 'summarize'];
+
+const ProgressStepper: React.FC<ProgressStepperProps> = ({ events }) => {
+  // Latest event per stage wins
+  const latestByStage = new Map<ProgressStage, ProgressEvent>();
+  events.forEach(event => latestByStage.set(event.stage, event));
+
+  return (
+    <ol className="text-left inline-block space-y-2">
+      {/* The queue and summarize steps only show up when the server actually went through them */}
+      {STEPS.filter(({ stage }) => !OPTIONAL_STAGES.includes(stage) || latestByStage.has(stage)).map(({ stage, label }) => {
+        const event = latestByStage.get(stage);
+        const status = event?.status;
+
+        let icon = <span className="w-4 h-4 rounded-full border-2 border-gray-300 inline-block"></span>;
+        if (status === 'started') {
+          icon = <span className="w-4 h-4 border-2 border-green-500 border-t-transparent rounded-full animate-spin inline-block"></span>;
+        } else if (status === 'completed') {
+          icon = <span className="w-4 h-4 text-green-600 font-bold leading-4 inline-block">✓</span>;
+        } else if (status === 'failed') {
+          icon = <span className="w-4 h-4 text-red-600 font-bold leading-4 inline-block">✕</span>;
+        }
+
+        return (
+          <li key={stage} className="flex items-center gap-3">
+            {icon}
+            <span className={status ? 'text-gray-800' : 'text-gray-400'}>{label}</span>
+            {event && (
+              <span className={`text-sm ${status === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+                {event.message}
+              </span>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default ProgressStepper;
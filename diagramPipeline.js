@@ -0,0 +1,699 @@
+/**
+ * Diagram generation pipeline
+ * Runs URL parsing, repository extraction, the LLM call and formatting,
+ * reporting each stage through an optional progress callback
+ */
+
+import { extractRepoContextRobust, resolveRemoteCommit } from './extractRepoContextRobust.js';
+import { GitHost, getCommitUrl, isValidGitRef, normalizeSubpath, parseRepoUrl } from './utils/gitUrlParser.js';
+import { ProgressStage, ProgressStatus, reportProgress } from './utils/progress.js';
+import { RepairStatus, extractMermaidBlocks, validateAndRepairDiagrams } from './utils/mermaidRepair.js';
+import { getDiagramType, parseDiagramSections } from './utils/diagramParser.js';
+import { DEFAULT_DIAGRAM_KINDS, buildDiagramPrompt, getDiagramKind } from './utils/diagramCatalogue.js';
+import { getCachedDiagrams, getPromptVersion, setCachedDiagrams } from './utils/diagramCache.js';
+import { QueueFullError } from './utils/workQueue.js';
+import { estimateTokens, planContextBudget } from './utils/tokenBudget.js';
+import { createModuleSummarizer } from './utils/moduleSummaries.js';
+import { createRetrievalIndex } from './utils/contextRetrieval.js';
+
+// Helper function to handle parentheses in node definitions
+function formatParentheses(line) {
+  // Skip if line already contains double quotes
+  if (line.includes('"')) {
+    return line;
+  }
+
+  // Look for pattern like A(text) or B(text with (nested) parens)
+  const nodePattern = /(\w+)\((.+)\)/;
+  const match = line.match(nodePattern);
+
+  if (match) {
+    // Find the first opening paren after the node identifier
+    const firstParenIndex = line.indexOf('(', line.indexOf(match[1]));
+    // Find the last closing paren on the line
+    const lastParenIndex = line.lastIndexOf(')');
+
+    if (firstParenIndex !== -1 && lastParenIndex !== -1 && firstParenIndex < lastParenIndex) {
+      return line.substring(0, firstParenIndex + 1) + '"' +
+             line.substring(firstParenIndex + 1, lastParenIndex) + '"' +
+             line.substring(lastParenIndex);
+    }
+  }
+  return line;
+}
+
+// Function to format Mermaid syntax for proper rendering
+export function formatMermaidSyntax(rawCode) {
+  // Simple replacement to wrap square bracket content with quotes
+  let formattedCode = rawCode.replace(/\[/g, '["').replace(/\]/g, '"]');
+  // Also wrap curly brace content with quotes
+  formattedCode = formattedCode.replace(/\{/g, '{"').replace(/\}/g, '"}');
+
+  // Handle pipe characters for edge labels - process line by line
+  const lines = formattedCode.split('\n');
+  const processedLines = lines.map(line => {
+    let processedLine = line;
+
+    // Handle pipes for edge labels
+    const pipeCount = (processedLine.match(/\|/g) || []).length;
+    if (pipeCount >= 2) {
+      const firstPipeIndex = processedLine.indexOf('|');
+      const secondPipeIndex = processedLine.indexOf('|', firstPipeIndex + 1);
+
+      if (firstPipeIndex !== -1 && secondPipeIndex !== -1) {
+        processedLine = processedLine.substring(0, firstPipeIndex + 1) + '"' +
+                       processedLine.substring(firstPipeIndex + 1, secondPipeIndex) + '"' +
+                       processedLine.substring(secondPipeIndex);
+      }
+    }
+
+    // Handle parentheses for rounded rectangle nodes
+    processedLine = formatParentheses(processedLine);
+
+    return processedLine;
+  });
+
+  return processedLines.join('\n');
+}
+
+/**
+ * Applies formatMermaidSyntax inside graph/flowchart ```mermaid blocks only,
+ * leaving prose and other diagram types (whose brackets mean something else) untouched
+ */
+export function formatMermaidBlocks(markdown) {
+  let formatted = markdown;
+  const flowchartBlocks = extractMermaidBlocks(markdown)
+    .filter(block => ['graph', 'flowchart'].includes(getDiagramType(block.code)));
+  // Last block first so earlier offsets stay valid
+  for (const block of flowchartBlocks.reverse()) {
+    formatted = formatted.slice(0, block.start) +
+      '```mermaid\n' + formatMermaidSyntax(block.code) + '\n```' +
+      formatted.slice(block.end);
+  }
+  return formatted;
+}
+
+/**
+ * Converts user input to a clone URL, the ref and the subdirectory to analyze, or builds the invalid-input failure
+ * An explicit ref or path wins over one found in the URL (/tree/<ref>/<path>, /commit/<sha>...)
+ * @returns {Object} - { cloneUrl, ref, subpath } or { failure }
+ */
+function resolveCloneUrl(repoUrl, onProgress, explicitRef, explicitPath, credentials) {
+  const parsed = parseRepoUrl(repoUrl);
+  if (!parsed) {
+    const message = 'Invalid repository URL';
+    reportProgress(onProgress, ProgressStage.VALIDATE, ProgressStatus.FAILED, message);
+    return {
+      failure: {
+        success: false,
+        status: 400,
+        error: {
+          type: 'invalid_url',
+          message,
+          suggestion: 'Please provide a GitHub, GitLab, Bitbucket or other Git repository URL (e.g., https://github.com/user/repo, https://gitlab.com/group/project or git@git.example.com:team/repo.git)'
+        }
+      }
+    };
+  }
+
+  if (explicitRef && !isValidGitRef(explicitRef)) {
+    const message = `Invalid branch, tag or commit: ${explicitRef}`;
+    reportProgress(onProgress, ProgressStage.VALIDATE, ProgressStatus.FAILED, message);
+    return {
+      failure: {
+        success: false,
+        status: 400,
+        error: {
+          type: 'invalid_ref',
+          message,
+          suggestion: 'Use a branch name (main), a tag (v2.0) or a commit SHA.'
+        }
+      }
+    };
+  }
+
+  const subpath = explicitPath ? normalizeSubpath(explicitPath) : parsed.subpath;
+  if (subpath === null) {
+    const message = `Invalid repository path: ${explicitPath}`;
+    reportProgress(onProgress, ProgressStage.VALIDATE, ProgressStatus.FAILED, message);
+    return {
+      failure: {
+        success: false,
+        status: 400,
+        error: {
+          type: 'invalid_path',
+          message,
+          suggestion: 'Use a directory relative to the repository root, e.g. packages/api'
+        }
+      }
+    };
+  }
+
+  // A token needs the https remote, a deploy key the SSH one
+  const remote = credentials ? credentials.resolveCloneUrl(parsed.cloneUrl) : { cloneUrl: parsed.cloneUrl };
+  if (remote.error) {
+    reportProgress(onProgress, ProgressStage.VALIDATE, ProgressStatus.FAILED, remote.error);
+    return {
+      failure: {
+        success: false,
+        status: 400,
+        error: {
+          type: 'invalid_auth',
+          message: remote.error,
+          suggestion: 'Use the https:// URL of the repository with an access token.'
+        }
+      }
+    };
+  }
+
+  return { cloneUrl: remote.cloneUrl, ref: explicitRef || parsed.ref, subpath };
+}
+
+/**
+ * One-line provenance note placed above the diagrams
+ */
+function documentHeader(cloneUrl, ref, commitSha, subpath) {
+  const parsed = parseRepoUrl(cloneUrl);
+  const repoPath = parsed.hostType === GitHost.GITHUB
+    ? `${parsed.owner}/${parsed.repo}`
+    : `${parsed.host}/${parsed.owner}/${parsed.repo}`;
+  const commitUrl = getCommitUrl(parsed, commitSha);
+  const shortSha = `\`${commitSha.substring(0, 7)}\``;
+  const commitLink = commitUrl ? `[${shortSha}](${commitUrl})` : shortSha;
+  const refLabel = ref && !commitSha.startsWith(ref.toLowerCase()) ? ` (\`${ref}\`)` : '';
+  const scope = subpath ? `**${repoPath}/${subpath}**` : `**${repoPath}**`;
+  return `> Generated from ${scope} at commit ${commitLink}${refLabel}\n\n`;
+}
+
+/**
+ * Points the model at the analyzed subdirectory; the context also outlines the enclosing repository
+ */
+function scopeInstruction(subpath) {
+  return subpath
+    ? `\n\nSCOPE: diagram only the ${subpath}/ directory of this repository. The REPOSITORY LAYOUT section shows the enclosing repository for orientation; do not diagram the rest of it.`
+    : '';
+}
+
+/**
+ * Token budget of the repository context for the model and the prompt around it
+ */
+function contextBudgetFor(llm, promptTemplate) {
+  return planContextBudget({
+    model: llm.model,
+    maxOutputTokens: llm.maxTokens || 0,
+    promptTokens: estimateTokens(promptTemplate)
+  });
+}
+
+/**
+ * Estimated token budget and usage, as reported in the response metadata
+ * Usage adds up the calls, one per diagram
+ * @param {Object} budget - From contextBudgetFor
+ * @param {Array<Object>} requests - From buildDiagramRequests
+ */
+function tokenMetadata(budget, requests) {
+  const { contextWindow, total, prompt, manifests, tree, files } = budget;
+  const promptTokens = requests.reduce((sum, request) => sum + request.promptTokens, 0);
+  const contextTokens = requests.reduce((sum, request) => sum + request.context.tokens, 0);
+  return {
+    estimated: true,
+    contextWindow,
+    budget: { total, prompt, manifests, tree, files },
+    calls: requests.length,
+    used: { prompt: promptTokens, context: contextTokens, total: promptTokens + contextTokens }
+  };
+}
+
+/**
+ * Prompt of one diagram kind, without the repository context
+ */
+function kindPromptTemplate(kind, subpath, extraParts = []) {
+  return [buildDiagramPrompt([kind]) + scopeInstruction(subpath), ...extraParts, 'REPOSITORY CONTEXT:\n'].join('\n\n');
+}
+
+/**
+ * One LLM request per diagram kind, each with the repository context retrieved for it
+ * @param {Array<Object>} kinds - Diagram kinds, with their prompt templates
+ * @param {Object} retrieval - data.retrieval of the extraction (see utils/contextRetrieval.js)
+ * @param {Object} budget - From contextBudgetFor
+ * @returns {Array<Object>} - { kind, prompt, promptTokens, context: { content, files, tokens } }
+ */
+function buildDiagramRequests(kinds, retrieval, budget) {
+  const index = createRetrievalIndex(retrieval);
+  const contextTokens = budget.manifests + budget.tree + budget.files;
+  return kinds.map(({ kind, template }) => {
+    const context = index.contextFor(kind, contextTokens);
+    return { kind, prompt: template + context.content, promptTokens: estimateTokens(template), context };
+  });
+}
+
+/**
+ * Files each diagram's context was retrieved from, most relevant first
+ */
+function sourcesMetadata(requests) {
+  return Object.fromEntries(requests.map(({ kind, context }) => [kind.id, context.files]));
+}
+
+/**
+ * Pipeline failure for an unsuccessful extraction result
+ */
+function extractionFailure(extractionResult) {
+  console.error('Repository extraction failed:', extractionResult.error);
+  return {
+    success: false,
+    status: extractionResult.error.type === 'server_busy' ? 503 : 400,
+    error: {
+      type: extractionResult.error.type,
+      message: `Failed to analyze repository: ${extractionResult.error.message}`,
+      suggestion: extractionResult.error.suggestion
+    }
+  };
+}
+
+/**
+ * Pipeline failure for a full LLM queue
+ */
+function busyFailure(error) {
+  console.warn(`⏳ ${error.message}`);
+  return {
+    success: false,
+    status: 503,
+    error: {
+      type: 'server_busy',
+      message: 'The server is busy generating other diagrams.',
+      suggestion: 'Please try again in a minute.'
+    }
+  };
+}
+
+/**
+ * Routes every call of an LLM provider, repairs included, through a concurrency limiter
+ * @param {Object} llm - LLM provider
+ * @param {Object|null} queue - ConcurrencyLimiter (see utils/workQueue.js)
+ * @param {Function} [onProgress] - Receives queue position events
+ * @returns {Object} - Provider with the same name, model, maxTokens and generate()
+ */
+function queuedProvider(llm, queue, onProgress) {
+  if (!queue) {
+    return llm;
+  }
+
+  return {
+    name: llm.name,
+    model: llm.model,
+    maxTokens: llm.maxTokens,
+    generate: (prompt, options = {}) => {
+      let queued = false;
+      return queue.run(() => llm.generate(prompt, options), {
+        signal: options.signal,
+        onQueue: (position) => {
+          if (position > 0) {
+            queued = true;
+            reportProgress(onProgress, ProgressStage.QUEUE, ProgressStatus.STARTED, `Waiting for the model (position ${position})`, {
+              queue: queue.name,
+              queuePosition: position
+            });
+          } else if (queued) {
+            reportProgress(onProgress, ProgressStage.QUEUE, ProgressStatus.COMPLETED, 'Model available', {
+              queue: queue.name,
+              queuePosition: 0
+            });
+          }
+        }
+      });
+    }
+  };
+}
+
+/**
+ * The first diagram section of an answer, renumbered for its place in the combined document
+ * @returns {string|null} - null when the answer holds no diagram
+ */
+function diagramSection(answer, number, kind) {
+  const [block] = extractMermaidBlocks(answer);
+  if (!block) {
+    return null;
+  }
+  const before = answer.slice(0, block.start);
+  const headings = [...before.matchAll(/^##\s+.*$/gm)];
+  const heading = headings[headings.length - 1];
+  const description = heading ? before.slice(heading.index + heading[0].length).trim() : '';
+  const title = heading ? block.title.replace(/^\d+\.\s*/, '') : kind.title;
+  return `## ${number}. ${title}\n\n${description}\n\n\`\`\`mermaid\n${block.code}\n\`\`\``;
+}
+
+/**
+ * Calls the LLM once per diagram, then validates, repairs, formats and parses the answers
+ * as one document
+ * @param {Array<Object>} requests - { kind, prompt } (see buildDiagramRequests)
+ * @returns {Promise<Object>} - { diagramCode, diagrams, validation }
+ */
+async function generateFromRequests(requests, { llm, signal, onProgress, maxRepairAttempts }) {
+  const perDiagram = requests.length > 1 ? ', one call per diagram' : '';
+  reportProgress(onProgress, ProgressStage.LLM, ProgressStatus.STARTED, `Generating diagrams with ${llm.model}${perDiagram}...`);
+  let answers;
+  let answered = 0;
+  // The first failed call cancels the others, so they stop spending quota
+  const calls = new AbortController();
+  const cancelCalls = () => calls.abort(signal.reason);
+  signal?.addEventListener('abort', cancelCalls, { once: true });
+  try {
+    answers = await Promise.all(requests.map(async ({ prompt }) => {
+      try {
+        const answer = await llm.generate(prompt, { signal: calls.signal });
+        if (!answer) {
+          throw new Error("Received an empty response from the API.");
+        }
+        answered++;
+        if (answered < requests.length) {
+          reportProgress(onProgress, ProgressStage.LLM, ProgressStatus.STARTED, `${answered} of ${requests.length} diagrams generated...`);
+        }
+        return answer;
+      } catch (error) {
+        calls.abort(error);
+        throw error;
+      }
+    }));
+  } catch (error) {
+    reportProgress(onProgress, ProgressStage.LLM, ProgressStatus.FAILED, error.message);
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', cancelCalls);
+  }
+  reportProgress(onProgress, ProgressStage.LLM, ProgressStatus.COMPLETED, 'Diagrams generated', {
+    responseChars: answers.reduce((sum, answer) => sum + answer.length, 0)
+  });
+
+  // The answers become one document, in request order; kinds without a diagram drop out
+  const diagramKinds = [];
+  const sections = [];
+  answers.forEach((answer, index) => {
+    const { kind } = requests[index];
+    const section = diagramSection(answer, sections.length + 1, kind);
+    if (section) {
+      diagramKinds.push(kind);
+      sections.push(section);
+    } else {
+      console.warn(`⚠️  No diagram in the answer for "${kind.title}"`);
+    }
+  });
+  const rawCode = sections.join('\n\n') + '\n';
+
+  // Validate each diagram and send broken ones back to the LLM
+  reportProgress(onProgress, ProgressStage.REPAIR, ProgressStatus.STARTED, 'Validating diagrams...');
+  const { markdown: repairedCode, diagrams: validation } = await validateAndRepairDiagrams(rawCode, {
+    llm,
+    maxAttempts: maxRepairAttempts,
+    signal,
+    kinds: diagramKinds
+  });
+  const countByStatus = (status) => validation.filter(diagram => diagram.status === status).length;
+  const validationSummary = {
+    valid: countByStatus(RepairStatus.VALID),
+    repaired: countByStatus(RepairStatus.REPAIRED),
+    invalid: countByStatus(RepairStatus.INVALID)
+  };
+  reportProgress(onProgress, ProgressStage.REPAIR, ProgressStatus.COMPLETED,
+    `${validationSummary.valid} valid, ${validationSummary.repaired} repaired, ${validationSummary.invalid} still invalid`,
+    validationSummary);
+
+  // Format the Mermaid syntax for proper rendering, then split into individual diagrams
+  const diagramCode = formatMermaidBlocks(repairedCode);
+  const diagrams = parseDiagramSections(diagramCode, validation, diagramKinds);
+  reportProgress(onProgress, ProgressStage.FORMAT, ProgressStatus.COMPLETED, `${diagrams.length} diagrams formatted`);
+
+  return { diagramCode, diagrams, validation };
+}
+
+/**
+ * Runs the full repository-to-diagrams pipeline
+ * @param {string} repoUrl - Repository URL as entered by the user
+ * @param {Object} options - Pipeline options
+ * @param {Object} options.llm - LLM provider (see utils/llmProviders.js)
+ * @param {Function} [options.onProgress] - Receives stage events (see utils/progress.js)
+ * @param {AbortSignal} [options.signal] - Cancels the clone and abandons the LLM call
+ * @param {number} [options.maxRepairAttempts] - LLM repair attempts per invalid diagram
+ * @param {Array<Object>} [options.diagramKinds] - Kinds to generate (see utils/diagramCatalogue.js), defaults to the classic six
+ * @param {string} [options.ref] - Branch, tag or commit to analyze; defaults to the ref in the URL, then the default branch
+ * @param {string} [options.path] - Subdirectory to analyze (monorepo package); defaults to the path in a /tree/ URL
+ * @param {boolean} [options.useCache] - Reuse extractions and diagrams cached for the current commit
+ * @param {Object} [options.credentials] - GitCredentials for a private repository; results then never touch the shared cache
+ * @param {Object} [options.queues] - { clone, llm } ConcurrencyLimiters bounding clones and LLM calls (see utils/workQueue.js)
+ * @returns {Promise<Object>} - { success, diagrams, diagramCode, metadata } or { success: false, status, error }
+ */
+export async function generateDiagramForRepo(repoUrl, options = {}) {
+  const {
+    llm,
+    onProgress,
+    signal,
+    maxRepairAttempts,
+    diagramKinds = DEFAULT_DIAGRAM_KINDS.map(getDiagramKind),
+    credentials = null,
+    queues = {}
+  } = options;
+  // Private repositories are isolated from the shared cache in both directions
+  const useCache = (options.useCache ?? true) && !credentials;
+
+  const { cloneUrl, ref, subpath, failure } = resolveCloneUrl(repoUrl, onProgress, options.ref, options.path, credentials);
+  if (failure) {
+    return failure;
+  }
+
+  console.log(`🚀 Starting repository analysis for: ${repoUrl}`);
+  console.log(`📥 Will extract from: ${cloneUrl}${ref ? ` at ${ref}` : ''}${subpath ? ` (${subpath}/)` : ''}`);
+
+  // Diagrams are cached per commit, prompt and model, so an unchanged repository returns immediately
+  const startTime = Date.now();
+  const normalizedUrl = cloneUrl.replace(/\.git$/, '');
+  const kindTemplates = diagramKinds.map(kind => ({ kind, template: kindPromptTemplate(kind, subpath) }));
+  const promptVersion = getPromptVersion(kindTemplates.map(({ template }) => template).join('\n'));
+  const longestTemplate = kindTemplates.reduce((longest, { template }) => (template.length > longest.length ? template : longest), '');
+  const budget = contextBudgetFor(llm, longestTemplate);
+  const model = `${llm.name}:${llm.model}`;
+  const commitSha = useCache ? await resolveRemoteCommit(cloneUrl, { ref: ref || 'HEAD', signal }) : null;
+
+  if (commitSha) {
+    const cached = await getCachedDiagrams(normalizedUrl, commitSha, promptVersion, model, { subpath });
+    if (cached) {
+      reportProgress(onProgress, ProgressStage.FORMAT, ProgressStatus.COMPLETED,
+        `${cached.diagrams.length} diagrams loaded from cache (${commitSha.substring(0, 7)})`);
+      return {
+        success: true,
+        diagrams: cached.diagrams,
+        // The header names the ref of this request, which may differ from the one that filled the cache
+        diagramCode: documentHeader(cloneUrl, ref, commitSha, subpath) + cached.diagramCode,
+        metadata: {
+          ...cached.metadata,
+          repoUrl,
+          ref,
+          processingTime: `${((Date.now() - startTime) / 1000).toFixed(2)}s`,
+          cached: true
+        }
+      };
+    }
+  }
+
+  // Step 1: Extract repository context
+  // Sized in tokens for the model (see utils/tokenBudget.js); directories that do not fit are
+  // summarized by the model (see utils/moduleSummaries.js), and the chunks each diagram's
+  // context is retrieved from come along (see utils/contextRetrieval.js). Other limits use
+  // the extractor defaults (500 files, 5MB per file)
+  const extractionResult = await extractRepoContextRobust(cloneUrl, {
+    respectGitIgnore: true,
+    respectGeminiIgnore: true,
+    useDefaultExcludes: true,
+    cleanupOnSuccess: true,
+    cleanupOnError: true,
+    useCache,
+    writeCache: !credentials, // Keep the extraction so single diagrams can be regenerated
+    credentials,
+    cloneQueue: queues.clone,
+    ref,
+    commitSha,
+    subpath,
+    budget,
+    summarizer: createModuleSummarizer(queuedProvider(llm, queues.llm, onProgress), { useCache, url: normalizedUrl }),
+    retrieval: true,
+    onProgress,
+    signal,
+    includeGitHistory: diagramKinds.some(kind => kind.needsGitHistory)
+  });
+
+  if (!extractionResult.success) {
+    return extractionFailure(extractionResult);
+  }
+
+  const contentLength = extractionResult.data.content.length;
+  console.log(`✅ Repository extracted: ${extractionResult.data.fileCount} files, ${(extractionResult.data.totalSize / 1024).toFixed(2)} KB`);
+  console.log(`📝 Context string length: ${contentLength.toLocaleString()} characters`);
+
+  // Step 2: Create one prompt per diagram, with the repository context retrieved for it
+  const requests = buildDiagramRequests(kindTemplates, extractionResult.data.retrieval, budget);
+  const tokens = tokenMetadata(budget, requests);
+  const promptChars = requests.reduce((sum, request) => sum + request.prompt.length, 0);
+  reportProgress(onProgress, ProgressStage.PROMPT, ProgressStatus.COMPLETED,
+    `${requests.length} prompts built (${promptChars.toLocaleString()} characters)`, {
+      promptChars,
+      contextChars: contentLength,
+      promptTokens: tokens.used.total
+    });
+
+  // Step 3: Generate, validate and format the diagrams
+  let generated;
+  try {
+    generated = await generateFromRequests(requests, {
+      llm: queuedProvider(llm, queues.llm, onProgress),
+      signal,
+      onProgress,
+      maxRepairAttempts
+    });
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      return busyFailure(error);
+    }
+    throw error;
+  }
+  const { diagramCode, diagrams, validation } = generated;
+
+  const analyzedSha = extractionResult.data.commitSha;
+  const metadata = {
+    repoUrl: repoUrl,
+    cloneUrl: cloneUrl,
+    ref,
+    commitSha: analyzedSha,
+    subpath,
+    promptVersion,
+    filesAnalyzed: extractionResult.data.fileCount,
+    modulesSummarized: extractionResult.data.moduleSummaryCount || 0,
+    repoSize: `${(extractionResult.data.totalSize / 1024).toFixed(2)} KB`,
+    processingTime: `${(extractionResult.duration / 1000).toFixed(2)}s`,
+    llm: {
+      provider: llm.name,
+      model: llm.model
+    },
+    tokens,
+    sources: sourcesMetadata(requests),
+    diagrams: validation,
+    cached: false
+  };
+
+  // Keep diagrams that still fail validation out of the cache so the next run retries them
+  if (analyzedSha && !credentials && !validation.some(diagram => diagram.status === RepairStatus.INVALID)) {
+    await setCachedDiagrams(normalizedUrl, analyzedSha, promptVersion, model, {
+      diagrams,
+      diagramCode,
+      metadata
+    }, { subpath });
+  }
+
+  return {
+    success: true,
+    diagrams,
+    // Full markdown document, kept for compatibility
+    diagramCode: (analyzedSha ? documentHeader(cloneUrl, ref, analyzedSha, subpath) : '') + diagramCode,
+    metadata
+  };
+}
+
+/**
+ * Regenerates a single diagram from the cached extraction of its repository's current commit
+ * Falls back to a fresh extraction when nothing is cached
+ * @param {string} repoUrl - Repository URL as entered by the user
+ * @param {Object} options - Pipeline options
+ * @param {Object} options.llm - LLM provider (see utils/llmProviders.js)
+ * @param {Object} options.diagramKind - Kind to regenerate (see utils/diagramCatalogue.js)
+ * @param {string} [options.instruction] - Extra guidance, e.g. "fewer nodes"
+ * @param {string} [options.currentMermaid] - The diagram being replaced, used as a starting point
+ * @param {string} [options.ref] - Branch, tag or commit the diagram was generated from
+ * @param {string} [options.path] - Subdirectory the diagram was generated from
+ * @param {Object} [options.credentials] - GitCredentials for a private repository, which is then cloned again
+ * @param {Object} [options.queues] - { clone, llm } ConcurrencyLimiters bounding clones and LLM calls
+ * @param {AbortSignal} [options.signal] - Abandons the clone or LLM call
+ * @returns {Promise<Object>} - { success, diagram, metadata } or { success: false, status, error }
+ */
+export async function regenerateDiagram(repoUrl, options = {}) {
+  const { llm, diagramKind, instruction, currentMermaid, signal, maxRepairAttempts, credentials = null, queues = {} } = options;
+
+  const { cloneUrl, ref, subpath, failure } = resolveCloneUrl(repoUrl, undefined, options.ref, options.path, credentials);
+  if (failure) {
+    return failure;
+  }
+
+  console.log(`🔁 Regenerating "${diagramKind.title}" for: ${repoUrl}`);
+
+  const promptParts = [];
+  if (currentMermaid) {
+    promptParts.push('CURRENT VERSION OF THIS DIAGRAM (improve on it rather than starting over):\n```mermaid\n' + currentMermaid + '\n```');
+  }
+  if (instruction) {
+    promptParts.push(`ADDITIONAL INSTRUCTION FROM THE USER (follow it while keeping all rules above):\n${instruction}`);
+  }
+  const promptTemplate = kindPromptTemplate(diagramKind, subpath, promptParts);
+  const budget = contextBudgetFor(llm, promptTemplate);
+
+  const extractionResult = await extractRepoContextRobust(cloneUrl, {
+    respectGitIgnore: true,
+    respectGeminiIgnore: true,
+    useDefaultExcludes: true,
+    useCache: !credentials,
+    credentials,
+    cloneQueue: queues.clone,
+    ref,
+    subpath,
+    budget,
+    summarizer: createModuleSummarizer(queuedProvider(llm, queues.llm), { useCache: !credentials, url: cloneUrl.replace(/\.git$/, '') }),
+    retrieval: true,
+    signal,
+    includeGitHistory: Boolean(diagramKind.needsGitHistory)
+  });
+
+  if (!extractionResult.success) {
+    return extractionFailure(extractionResult);
+  }
+
+  const requests = buildDiagramRequests([{ kind: diagramKind, template: promptTemplate }], extractionResult.data.retrieval, budget);
+  let generated;
+  try {
+    generated = await generateFromRequests(requests, {
+      llm: queuedProvider(llm, queues.llm),
+      signal,
+      maxRepairAttempts
+    });
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      return busyFailure(error);
+    }
+    throw error;
+  }
+  const { diagrams, validation } = generated;
+
+  if (diagrams.length === 0) {
+    throw new Error('The model did not return a diagram.');
+  }
+
+  return {
+    success: true,
+    diagram: diagrams[0],
+    metadata: {
+      repoUrl,
+      cloneUrl,
+      ref,
+      commitSha: extractionResult.data.commitSha,
+      subpath,
+      llm: {
+        provider: llm.name,
+        model: llm.model
+      },
+      tokens: tokenMetadata(budget, requests),
+      sources: sourcesMetadata(requests),
+      diagrams: validation
+    }
+  };
+}
+
+export default {
+  generateDiagramForRepo,
+  regenerateDiagram,
+  formatMermaidSyntax,
+  formatMermaidBlocks
+};
@@ -3,16 +3,24 @@
  * Handles private repos, non-existent repos, and invalid URLs gracefully
  */
 
-import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { glob } from 'glob';
 import ignore from 'ignore';
 import { getCachedExtraction, setCachedExtraction } from './utils/diagramCache.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { rankFiles } from './utils/fileRanker.js';
+import { SkeletonMode, buildSkeleton } from './utils/codeSkeleton.js';
+import { ContentKind, sniffContent } from './utils/contentSniffer.js';
+import { groupContentHash, groupFilesByModule } from './utils/moduleSummaries.js';
+import { chunkFile } from './utils/contextRetrieval.js';
+import { MANIFEST_PATTERNS, analyzeManifests, formatManifestSection } from './utils/manifestAnalyzer.js';
+import { CloneLimitError, cloneRepository, getCloneConfig, gitRemoteEnv, isCommitSha, runGit } from './utils/gitCloner.js';
+import { parseRepoUrl } from './utils/gitUrlParser.js';
+import { ProgressStage, ProgressStatus, reportProgress } from './utils/progress.js';
+import { getSecretRedactor, mergeRedactionCounts } from './utils/secretRedactor.js';
+import { QueueFullError } from './utils/workQueue.js';
+import { WorkspaceQuotaError, getWorkspaceManager } from './utils/workspaceManager.js';
+import { estimateTokens, planContextBudget } from './utils/tokenBudget.js';
 
 // Default exclusion patterns (same as gemini-cli)
 const DEFAULT_EXCLUDES = [
@@ -74,11 +82,19 @@ const DEFAULT_EXCLUDES = [
 
 const DEFAULT_IGNORED_FOLDERS = ['node_modules', '.git', 'dist', 'build', 'coverage'];
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB per file (skip larger files)
-const MAX_OUTPUT_CHARS = 50 * 1000; // 50K characters - much smaller limit
 const MAX_FILES = 500;
 const MAX_TREE_ITEMS = 200;
 const MAX_LINES_PER_FILE = 1000;
 const MAX_LINE_LENGTH = 2000;
+const MAX_FILE_SHARE = 0.25; // Files taking more of the file token budget fall back to skeletons
+const APPROX_CHARS_PER_TOKEN = 3; // Sizing candidates before they are read
+const SUMMARY_SHARE = 0.4; // File tokens kept for module summaries when the repository does not fit
+const MAX_GROUP_INPUT_TOKENS = 24000; // Content sent to the model to summarize one directory
+const MAX_SUMMARY_TOKENS = 600;
+const RETRIEVAL_CORPUS_FACTOR = 4; // Chunks indexed for per-diagram retrieval, in file budgets
+const MAX_HISTORY_COMMITS = 100;
+const MAX_LAYOUT_ITEMS = 60; // Enclosing repository tree shown for subdirectory analyses
+const MAX_LAYOUT_DEPTH = 2;
 
 class IgnoreParser {
   constructor() {
@@ -111,15 +127,16 @@ class IgnoreParser {
 
 /**
  * Generates a directory tree structure
+ * @param {number} maxDepth - Directory levels to descend into (unlimited by default)
  */
-function generateDirectoryTree(rootDir, ignoreFn, maxItems = MAX_TREE_ITEMS) {
+function generateDirectoryTree(rootDir, ignoreFn, maxItems = MAX_TREE_ITEMS, maxDepth = Infinity) {
   const lines = [];
   const rootName = path.basename(rootDir);
   lines.push(`${rootName}/`);
   
   let itemCount = 0;
   
-  function traverse(dir, prefix = '', isLast = true) {
+  function traverse(dir, prefix = '', isLast = true, depth = 1) {
     if (itemCount >= maxItems) {
       if (itemCount === maxItems) {
         lines.push(`${prefix}└─── ... (truncated)`);
@@ -151,14 +168,14 @@ function generateDirectoryTree(rootDir, ignoreFn, maxItems = MAX_TREE_ITEMS) {
         const extension = isLastEntry ? '    ' : '│   ';
         
         if (entry.isDirectory()) {
-          if (DEFAULT_IGNORED_FOLDERS.includes(entry.name)) {
+          if (DEFAULT_IGNORED_FOLDERS.includes(entry.name) || depth >= maxDepth) {
             lines.push(`${prefix}${connector}${entry.name}/...`);
             itemCount++;
           } else {
             lines.push(`${prefix}${connector}${entry.name}/`);
             itemCount++;
             const newPrefix = prefix + extension;
-            traverse(path.join(dir, entry.name), newPrefix, false);
+            traverse(path.join(dir, entry.name), newPrefix, false, depth + 1);
           }
         } else {
           lines.push(`${prefix}${connector}${entry.name}`);
@@ -174,6 +191,68 @@ function generateDirectoryTree(rootDir, ignoreFn, maxItems = MAX_TREE_ITEMS) {
   return lines.join('\n');
 }
 
+/**
+ * Cuts text at a line boundary so that, with the notice appended, it fits a token budget
+ */
+function truncateToTokens(text, maxTokens, notice) {
+  if (estimateTokens(text) <= maxTokens) {
+    return text;
+  }
+  
+  const kept = [];
+  let usedTokens = estimateTokens(notice);
+  for (const line of text.split('\n')) {
+    const lineTokens = estimateTokens(line) + 1;
+    if (usedTokens + lineTokens > maxTokens) {
+      break;
+    }
+    kept.push(line);
+    usedTokens += lineTokens;
+  }
+  return [...kept, notice].join('\n');
+}
+
+/**
+ * Reads a group of files for its summary: redacted text, skeletons for large files, and
+ * the names of files beyond the input budget
+ * @returns {Object} - { path, files: [{ path, content }], omitted, contentHash, redactionCounts }
+ */
+function readSummaryGroup(group, rootDir, { redact, maxTokens, maxLinesPerFile, maxLineLength }) {
+  const files = [];
+  const omitted = [];
+  const hashed = [];
+  const redactionCounts = {};
+  let usedTokens = 0;
+  
+  for (const { path: file } of group.files) {
+    let sniffed;
+    try {
+      sniffed = sniffContent(fs.readFileSync(path.join(rootDir, file)), file);
+    } catch {
+      continue;
+    }
+    if (sniffed.kind !== ContentKind.TEXT) {
+      continue;
+    }
+    hashed.push({ path: file, content: sniffed.text });
+    
+    const { content: text, counts } = redact(sniffed.text);
+    const full = processFileContent(text, maxLinesPerFile, maxLineLength);
+    const skeleton = estimateTokens(full) > maxTokens * MAX_FILE_SHARE ? buildSkeleton(text, file) : null;
+    const content = skeleton ? processFileContent(skeleton, maxLinesPerFile, maxLineLength) : full;
+    const contentTokens = estimateTokens(content);
+    if (usedTokens + contentTokens > maxTokens) {
+      omitted.push(file);
+      continue;
+    }
+    files.push({ path: file, content });
+    usedTokens += contentTokens;
+    mergeRedactionCounts(redactionCounts, counts);
+  }
+  
+  return { path: group.path, files, omitted, contentHash: groupContentHash(hashed), redactionCounts };
+}
+
 /**
  * Detects if a file is a CSV and returns sample rows
  */
@@ -237,6 +316,32 @@ function processFileContent(content, maxLines, maxLineLength) {
   return result;
 }
 
+/**
+ * Explains in the SUMMARY why files were left out
+ * Files are packed by rank, so a file only misses the budget once every better-ranked
+ * file had its turn; the best-ranked files that still did not fit are listed by name
+ */
+function describeSkippedFiles(skippedFiles, rankedCount) {
+  if (skippedFiles.length === 0) {
+    return '';
+  }
+
+  const lines = ['\nFiles are included by rank (README, manifests, entry points, routes, config, infra, depth, size, import fan-in).\n'];
+  const countByReason = new Map();
+  skippedFiles.forEach(({ reason }) => countByReason.set(reason, (countByReason.get(reason) || 0) + 1));
+  lines.push('Skipped by reason:\n');
+  countByReason.forEach((count, reason) => {
+    lines.push(`- ${reason}: ${count}\n`);
+  });
+
+  const shown = skippedFiles.slice(0, 10);
+  lines.push(`\nHighest-ranked skipped files${skippedFiles.length > shown.length ? ` (first ${shown.length} of ${skippedFiles.length})` : ''}:\n`);
+  shown.forEach(({ path, reason, rank }) => {
+    lines.push(`- ${path} (rank ${rank} of ${rankedCount}, ${reason})\n`);
+  });
+  return lines.join('');
+}
+
 /**
  * Main function to extract repository context
  */
@@ -246,41 +351,67 @@ async function extractRepoContext(rootDir, options = {}) {
     respectGeminiIgnore = true,
     useDefaultExcludes = true,
     maxFiles = MAX_FILES,
-    maxOutputChars = MAX_OUTPUT_CHARS,
+    budget = planContextBudget(), // Token portions for manifests, tree and files (see utils/tokenBudget.js)
     maxFileSize = MAX_FILE_SIZE,
     maxLinesPerFile = MAX_LINES_PER_FILE,
     maxLineLength = MAX_LINE_LENGTH,
+    onProgress,
+    signal,
+    gitHistory = null, // Pre-rendered commit log, added as its own section
+    subpath = '', // Directory to analyze, relative to rootDir (monorepo packages)
+    skeletons = SkeletonMode.FALLBACK, // When to replace a source file by its outline (see utils/codeSkeleton.js)
+    redactSecrets = true, // Replace credentials with placeholders (see utils/secretRedactor.js)
+    summarizer = null, // Summarizes directories left out of a repository larger than the budget (see utils/moduleSummaries.js)
+    retrieval = false, // Also return the chunks per-diagram contexts are picked from (see utils/contextRetrieval.js)
   } = options;
   
-  const resolvedRoot = path.resolve(rootDir);
+  const repoRoot = path.resolve(rootDir);
+  const resolvedRoot = path.resolve(repoRoot, subpath);
   
   // Initialize ignore parsers
   const gitIgnore = new IgnoreParser();
   const geminiIgnore = new IgnoreParser();
+  // Ignore files of the enclosing repository match paths relative to its root
+  const enclosingGitIgnore = new IgnoreParser();
+  const enclosingGeminiIgnore = new IgnoreParser();
   
   if (respectGitIgnore) {
     gitIgnore.loadPatterns(path.join(resolvedRoot, '.gitignore'));
-    gitIgnore.loadPatterns(path.join(resolvedRoot, '.git', 'info', 'exclude'));
     // Always ignore .git directory
     gitIgnore.ig.add(['.git']);
     gitIgnore.patterns.push('.git');
+    if (subpath) {
+      enclosingGitIgnore.loadPatterns(path.join(repoRoot, '.gitignore'));
+    }
+    enclosingGitIgnore.loadPatterns(path.join(repoRoot, '.git', 'info', 'exclude'));
   }
   
   if (respectGeminiIgnore) {
     geminiIgnore.loadPatterns(path.join(resolvedRoot, '.geminiignore'));
+    if (subpath) {
+      enclosingGeminiIgnore.loadPatterns(path.join(repoRoot, '.geminiignore'));
+    }
   }
   
   // Combine all exclusion patterns
   const effectiveExcludes = useDefaultExcludes ? [...DEFAULT_EXCLUDES] : [];
   
+  // Checks a path relative to the repository root against its ignore files
+  const ignoredByEnclosing = (repoRelativePath) => {
+    if (respectGitIgnore && enclosingGitIgnore.isIgnored(repoRelativePath)) return true;
+    if (respectGeminiIgnore && enclosingGeminiIgnore.isIgnored(repoRelativePath)) return true;
+    return false;
+  };
+  
   // Function to check if a file should be ignored
   const shouldIgnore = (relativePath) => {
     if (respectGitIgnore && gitIgnore.isIgnored(relativePath)) return true;
     if (respectGeminiIgnore && geminiIgnore.isIgnored(relativePath)) return true;
-    return false;
+    return ignoredByEnclosing(subpath ? path.join(subpath, relativePath) : relativePath);
   };
   
   // Find all files using glob
+  reportProgress(onProgress, ProgressStage.WALK, ProgressStatus.STARTED, 'Walking repository files...');
   const files = await glob('**/*', {
     cwd: resolvedRoot,
     nodir: true,
@@ -289,39 +420,106 @@ async function extractRepoContext(rootDir, options = {}) {
     absolute: false,
   });
   
+  // Dependency manifests are parsed into their own section; JSON ones would otherwise
+  // never get past the default excludes. Lockfiles are not manifests and stay excluded
+  const manifestFiles = await glob(MANIFEST_PATTERNS, {
+    cwd: resolvedRoot,
+    nodir: true,
+    ignore: useDefaultExcludes ? [...DEFAULT_EXCLUDES.filter(pattern => pattern !== '**/*.json'), '**/vendor/**'] : [],
+    absolute: false,
+  });
+  const { manifests: parsedManifests } = analyzeManifests(resolvedRoot, manifestFiles.filter(file => !shouldIgnore(file)));
+  
+  // Everything taken from the repository passes through here before it reaches the output
+  const redactor = redactSecrets ? getSecretRedactor() : null;
+  const redactionCounts = {};
+  const redact = (text) => (redactor ? redactor.redact(text) : { content: text, counts: {} });
+  
+  // Manifests beyond their reserved tokens (deepest first) are packed as ordinary files instead
+  let manifests = parsedManifests;
+  let manifestSection = redact(formatManifestSection(manifests));
+  while (manifests.length > 0 && estimateTokens(manifestSection.content) > budget.manifests) {
+    manifests = manifests.slice(0, -1);
+    manifestSection = redact(formatManifestSection(manifests));
+  }
+  mergeRedactionCounts(redactionCounts, manifestSection.counts);
+  const summarizedManifests = new Set(manifests.map(manifest => manifest.path));
+  
   // Filter files based on ignore rules
-  const filteredFiles = files.filter(file => !shouldIgnore(file));
+  const filteredFiles = files.filter(file => !shouldIgnore(file) && !summarizedManifests.has(file));
   
   // Sort files for consistent output
   filteredFiles.sort();
   
+  reportProgress(onProgress, ProgressStage.WALK, ProgressStatus.COMPLETED, `Found ${filteredFiles.length} candidate files`, {
+    candidateCount: filteredFiles.length,
+    ignoredCount: files.length - filteredFiles.length
+  });
+  reportProgress(onProgress, ProgressStage.FILES, ProgressStatus.STARTED, 'Ranking files for the context...');
+  
+  // The budget is filled most important first, so what gets dropped is the least telling
+  const rankedFiles = rankFiles(filteredFiles, { rootDir: resolvedRoot });
+  
   // Build output
   const outputParts = [];
   let fileCount = 0;
+  let skeletonCount = 0;
   let skippedCount = 0;
   let totalSize = 0;
-  let outputChars = 0;
+  let outputTokens = 0;
   const processedFiles = [];
   const skippedFiles = [];
   
   // Add header with metadata
   outputParts.push('=== REPOSITORY CONTEXT ===\n');
   outputParts.push(`Root Directory: ${resolvedRoot}\n`);
+  if (subpath) {
+    outputParts.push(`Scope: ${subpath} (subdirectory of a larger repository)\n`);
+  }
   outputParts.push(`Timestamp: ${new Date().toISOString()}\n`);
+  outputParts.push(manifestSection.content);
+  const manifestTokens = estimateTokens(manifestSection.content);
+  
+  // The layout and the directory tree share the tree tokens
+  const treeNotice = '... (truncated to fit the token budget)';
+  const treeParts = [];
+  
+  // Short outline of the enclosing repository, so the scoped code keeps its surroundings
+  if (subpath) {
+    treeParts.push('\n=== REPOSITORY LAYOUT ===\n');
+    treeParts.push(`Only ${subpath}/ is analyzed below. Top of the enclosing repository:\n`);
+    const layoutIgnore = (relativePath) => relativePath === '.git' || ignoredByEnclosing(relativePath);
+    const layout = generateDirectoryTree(repoRoot, layoutIgnore, MAX_LAYOUT_ITEMS, MAX_LAYOUT_DEPTH);
+    treeParts.push(truncateToTokens(layout, Math.floor(budget.tree / 2), treeNotice));
+    treeParts.push('\n');
+  }
   
   // Add directory tree
-  outputParts.push('\n=== DIRECTORY STRUCTURE ===\n');
+  treeParts.push('\n=== DIRECTORY STRUCTURE ===\n');
   const tree = generateDirectoryTree(resolvedRoot, shouldIgnore, MAX_TREE_ITEMS);
-  outputParts.push(tree);
-  outputParts.push('\n');
+  treeParts.push(truncateToTokens(tree, budget.tree - estimateTokens(treeParts.join('')), treeNotice));
+  treeParts.push('\n');
+  outputParts.push(...treeParts);
+  const treeTokens = estimateTokens(treeParts.join(''));
+  
+  // Kept apart so per-diagram contexts only carry it for the kinds that use it
+  let historySection = '';
+  if (gitHistory) {
+    const history = redact(gitHistory);
+    mergeRedactionCounts(redactionCounts, history.counts);
+    historySection = `\n=== GIT HISTORY ===\n${history.content}\n\n`;
+    outputParts.push(historySection);
+  }
   
   // Collect excluded patterns for metadata
   const excludedPatterns = [];
-  if (respectGitIgnore && gitIgnore.getPatterns().length > 0) {
-    excludedPatterns.push(...gitIgnore.getPatterns().map(p => `[gitignore] ${p}`));
+  if (respectGitIgnore) {
+    const patterns = [...enclosingGitIgnore.getPatterns(), ...gitIgnore.getPatterns()];
+    excludedPatterns.push(...patterns.map(p => `[gitignore] ${p}`));
   }
-  if (respectGeminiIgnore && geminiIgnore.getPatterns().length > 0) {
-    excludedPatterns.push(...geminiIgnore.getPatterns().map(p => `[geminiignore] ${p}`));
+  if (respectGeminiIgnore) {
+    const patterns = [...enclosingGeminiIgnore.getPatterns(), ...geminiIgnore.getPatterns()];
+    excludedPatterns.push(...patterns.map(p => `[geminiignore] ${p}`));
   }
   if (useDefaultExcludes) {
     excludedPatterns.push('[default] node_modules, dist, build, binaries, etc.');
@@ -338,16 +536,34 @@ async function extractRepoContext(rootDir, options = {}) {
   }
   outputParts.push('\n');
   
+  // Everything before the files is shared by the per-diagram contexts
+  const preamble = outputParts.filter(part => part !== historySection).join('');
+  const corpus = [];
+  let corpusTokens = 0;
+  
   // Process files
   outputParts.push('=== FILE CONTENTS ===\n\n');
   
-  // Initialize outputChars with current content length
-  outputChars = outputParts.join('').length;
+  // Files get their own tokens plus whatever the manifests and the tree left unused
+  const contextTokens = budget.manifests + budget.tree + budget.files;
+  outputTokens = estimateTokens(outputParts.join(''));
   
-  for (const file of filteredFiles) {
-    if (fileCount >= maxFiles) {
-      skippedFiles.push({ path: file, reason: 'max files limit reached' });
+  // Repositories well beyond the budget keep part of it for summaries of the directories left out
+  const candidateTokens = rankedFiles.reduce((sum, ranked) => sum + ranked.size, 0) / APPROX_CHARS_PER_TOKEN;
+  const hierarchical = Boolean(summarizer) && candidateTokens > budget.files;
+  const packTokens = contextTokens - (hierarchical ? Math.floor(budget.files * SUMMARY_SHARE) : 0);
+  
+  for (const ranked of rankedFiles) {
+    signal?.throwIfAborted();
+    
+    const file = ranked.path;
+    const skip = (reason) => {
+      skippedFiles.push({ path: file, reason, rank: ranked.rank });
       skippedCount++;
+    };
+    
+    if (fileCount >= maxFiles) {
+      skip('max files limit reached');
       continue;
     }
     
@@ -357,69 +573,176 @@ async function extractRepoContext(rootDir, options = {}) {
       const stats = fs.statSync(fullPath);
       
       if (stats.size > maxFileSize) {
-        skippedFiles.push({ path: file, reason: 'file too large' });
-        skippedCount++;
+        skip('file too large');
         continue;
       }
       
-      // Try to read as text first
-      let rawContent;
-      try {
-        rawContent = fs.readFileSync(fullPath, 'utf-8');
-      } catch {
-        skippedFiles.push({ path: file, reason: 'not a text file' });
-        skippedCount++;
+      // Binaries, bundles and generated code are recognized by their bytes, whatever their extension
+      const sniffed = sniffContent(fs.readFileSync(fullPath), file);
+      if (sniffed.kind !== ContentKind.TEXT) {
+        skip(sniffed.reason);
         continue;
       }
+      const fileText = sniffed.text;
+      
+      // Redacted before truncation, so a cut can never leave half a key behind
+      const { content: rawContent, counts: fileRedactions } = redact(fileText);
       
       // Process content with truncation
       const processedContent = processFileContent(rawContent, maxLinesPerFile, maxLineLength);
+      if (retrieval && corpusTokens < budget.files * RETRIEVAL_CORPUS_FACTOR) {
+        const chunks = chunkFile(file, processedContent, ranked.rank);
+        corpus.push(...chunks);
+        corpusTokens += chunks.reduce((sum, chunk) => sum + chunk.tokens, 0);
+      }
+      let fileSection = `--- ${file} ---\n\n${processedContent}\n\n`;
+      let sectionTokens = estimateTokens(fileSection);
       
-      // Create file section
-      const fileSection = `--- ${file} ---\n\n${processedContent}\n\n`;
+      // A truncated, oversized or non-fitting file keeps more of its structure as an outline
+      const truncated = processedContent.length !== rawContent.length;
+      const fits = outputTokens + sectionTokens <= packTokens &&
+        sectionTokens <= budget.files * MAX_FILE_SHARE;
+      if (skeletons === SkeletonMode.ALWAYS || (skeletons === SkeletonMode.FALLBACK && (truncated || !fits))) {
+        const skeleton = buildSkeleton(rawContent, file);
+        const skeletonSection = skeleton &&
+          `--- ${file} (skeleton: function bodies omitted) ---\n\n${processFileContent(skeleton, maxLinesPerFile, maxLineLength)}\n\n`;
+        const skeletonTokens = skeletonSection ? estimateTokens(skeletonSection) : 0;
+        if (skeletonSection && outputTokens + skeletonTokens <= packTokens) {
+          fileSection = skeletonSection;
+          sectionTokens = skeletonTokens;
+          skeletonCount++;
+        }
+      }
       
-      // Check if adding this file would exceed character limit
-      if (outputChars + fileSection.length > maxOutputChars) {
-        skippedFiles.push({ path: file, reason: 'character limit reached' });
-        skippedCount++;
+      // Check if adding this file would exceed the token budget
+      if (outputTokens + sectionTokens > packTokens) {
+        skip('token budget reached');
         continue;
       }
       
       // Add file to output
       outputParts.push(fileSection);
-      outputChars += fileSection.length;
+      outputTokens += sectionTokens;
+      mergeRedactionCounts(redactionCounts, fileRedactions);
       
       processedFiles.push(file);
       fileCount++;
       totalSize += stats.size;
       
     } catch (error) {
-      skippedFiles.push({ path: file, reason: 'read error' });
-      skippedCount++;
+      skip('read error');
+    }
+  }
+  
+  const asSkeletons = skeletonCount > 0 ? ` (${skeletonCount} as skeletons)` : '';
+  reportProgress(onProgress, ProgressStage.FILES, ProgressStatus.COMPLETED, `Included ${fileCount} files${asSkeletons}, skipped ${skippedCount}`, {
+    includedCount: fileCount,
+    skeletonCount,
+    skippedCount
+  });
+  
+  // Map step: directories whose files were left out are summarized one by one
+  let moduleSummaryCount = 0;
+  let cachedSummaryCount = 0;
+  let summarySection = '';
+  if (hierarchical) {
+    const leftOut = new Set(skippedFiles
+      .filter(({ reason }) => reason === 'token budget reached' || reason === 'max files limit reached')
+      .map(({ path: file }) => file));
+    const groups = groupFilesByModule(rankedFiles.filter(ranked => leftOut.has(ranked.path)));
+    reportProgress(onProgress, ProgressStage.SUMMARIZE, ProgressStatus.STARTED, `Summarizing ${groups.length} directories that do not fit the context...`, {
+      groupCount: groups.length
+    });
+    
+    const maxTokens = Math.min(MAX_GROUP_INPUT_TOKENS, budget.files);
+    const inputs = groups
+      .map(group => readSummaryGroup(group, resolvedRoot, { redact, maxTokens, maxLinesPerFile, maxLineLength }))
+      .filter(input => input.files.length > 0);
+    inputs.forEach(input => mergeRedactionCounts(redactionCounts, input.redactionCounts));
+    const results = await summarizer.summarize(inputs, { signal });
+    
+    // Reduce step: the summaries share what the packed files left of the budget
+    const summaryParts = ['\n=== MODULE SUMMARIES ===\n', 'These directories did not fit in FILE CONTENTS; each one was summarized separately.\n'];
+    let summaryTokens = estimateTokens(summaryParts.join(''));
+    const covered = new Set();
+    results.forEach(({ path: dir, summary, cached }) => {
+      const group = groups.find(candidate => candidate.path === dir);
+      if (!summary) {
+        return;
+      }
+      const label = dir === '.' ? '(repository root)' : `${dir}/`;
+      const block = `\n### ${label} (${group.files.length} files)\n${truncateToTokens(redact(summary).content, MAX_SUMMARY_TOKENS, '...')}\n`;
+      const blockTokens = estimateTokens(block);
+      if (outputTokens + summaryTokens + blockTokens > contextTokens) {
+        return;
+      }
+      summaryParts.push(block);
+      summaryTokens += blockTokens;
+      moduleSummaryCount++;
+      if (cached) cachedSummaryCount++;
+      group.files.forEach(({ path: file }) => covered.add(file));
+    });
+    
+    if (moduleSummaryCount > 0) {
+      summarySection = summaryParts.join('') + '\n';
+      outputParts.push(summarySection);
+      outputTokens += summaryTokens;
     }
+    skippedFiles.forEach(skipped => {
+      if (covered.has(skipped.path)) skipped.reason = 'covered by a module summary';
+    });
+    reportProgress(onProgress, ProgressStage.SUMMARIZE, ProgressStatus.COMPLETED, `${moduleSummaryCount} directories summarized (${cachedSummaryCount} from cache)`, {
+      summaryCount: moduleSummaryCount,
+      cachedSummaryCount
+    });
   }
   
+  const tokenUsage = {
+    manifests: manifestTokens,
+    tree: treeTokens,
+    files: outputTokens - manifestTokens - treeTokens,
+    total: outputTokens
+  };
+  
   // Add summary at the end
   outputParts.push('=== SUMMARY ===\n');
   outputParts.push(`Files included: ${fileCount}\n`);
+  if (skeletonCount > 0) {
+    outputParts.push(`Files included as skeletons (function bodies omitted): ${skeletonCount}\n`);
+  }
+  if (manifests.length > 0) {
+    outputParts.push(`Manifests summarized: ${manifests.length}\n`);
+  }
+  if (moduleSummaryCount > 0) {
+    outputParts.push(`Directories summarized: ${moduleSummaryCount} (${cachedSummaryCount} from cache)\n`);
+  }
+  const redactedCount = Object.values(redactionCounts).reduce((sum, count) => sum + count, 0);
+  if (redactedCount > 0) {
+    const byType = Object.entries(redactionCounts).map(([type, count]) => `${type}: ${count}`).join(', ');
+    outputParts.push(`Secrets redacted: ${redactedCount} (${byType})\n`);
+  }
   outputParts.push(`Files skipped: ${skippedCount}\n`);
   outputParts.push(`Total size: ${(totalSize / 1024).toFixed(2)} KB\n`);
+  outputParts.push(`Estimated tokens: ${tokenUsage.total.toLocaleString('en-US')} of ${contextTokens.toLocaleString('en-US')} (manifests ${tokenUsage.manifests}, tree ${tokenUsage.tree}, files ${tokenUsage.files})\n`);
   
-  if (skippedFiles.length > 0 && skippedFiles.length <= 10) {
-    outputParts.push('\nSkipped files:\n');
-    skippedFiles.forEach(({ path, reason }) => {
-      outputParts.push(`- ${path} (${reason})\n`);
-    });
-  } else if (skippedFiles.length > 10) {
-    outputParts.push(`\nSkipped files (first 10 of ${skippedFiles.length}):\n`);
-    skippedFiles.slice(0, 10).forEach(({ path, reason }) => {
-      outputParts.push(`- ${path} (${reason})\n`);
-    });
-  }
+  outputParts.push(describeSkippedFiles(skippedFiles, rankedFiles.length));
   
   return {
     content: outputParts.join(''),
     fileCount,
+    skeletonCount,
+    manifestCount: manifests.length,
+    redactedCount,
+    redactionCounts,
+    tokenUsage,
+    moduleSummaryCount,
+    retrieval: retrieval ? {
+      preamble,
+      history: historySection,
+      summaries: summarySection,
+      chunks: corpus,
+      fileCount: new Set(corpus.map(chunk => chunk.path)).size
+    } : null,
     skippedCount,
     totalSize,
     excludedPatterns,
@@ -446,6 +769,11 @@ const ErrorType = {
   INVALID_URL: 'invalid_url',
   PERMISSION_DENIED: 'permission_denied',
   TIMEOUT: 'timeout',
+  REF_NOT_FOUND: 'ref_not_found',
+  TOO_LARGE: 'repository_too_large',
+  PATH_NOT_FOUND: 'path_not_found',
+  CANCELLED: 'cancelled',
+  SERVER_BUSY: 'server_busy',
   UNKNOWN: 'unknown'
 };
 
@@ -473,6 +801,27 @@ function classifyCloneError(stderr, originalError) {
     };
   }
   
+  if (errorText.includes('not found in upstream') ||
+      errorText.includes('did not match any') ||
+      errorText.includes('reference is not a tree') ||
+      errorText.includes("couldn't find remote ref") ||
+      errorText.includes('not our ref') ||
+      errorText.includes('unadvertised object')) {
+    return {
+      type: ErrorType.REF_NOT_FOUND,
+      message: 'Branch, tag or commit not found in this repository.',
+      suggestion: 'Check the spelling of the ref, or leave it empty to analyze the default branch.'
+    };
+  }
+  
+  if (/transport '[\w+-]+' not allowed/.test(errorText)) {
+    return {
+      type: ErrorType.INVALID_URL,
+      message: 'This kind of repository URL is not allowed on this server.',
+      suggestion: 'Use an https:// or SSH repository URL.'
+    };
+  }
+  
   if (errorText.includes('could not resolve host')) {
     return {
       type: ErrorType.NETWORK_ERROR,
@@ -481,11 +830,12 @@ function classifyCloneError(stderr, originalError) {
     };
   }
   
-  if (errorText.includes('permission denied') || errorText.includes('authentication failed')) {
+  if (errorText.includes('permission denied') || errorText.includes('authentication failed') ||
+      errorText.includes('could not read username') || errorText.includes('host key verification failed')) {
     return {
       type: ErrorType.PERMISSION_DENIED,
       message: 'Authentication required or permission denied.',
-      suggestion: 'This repository requires authentication. Provide a GitHub token or SSH key.'
+      suggestion: 'This repository requires authentication. Provide an access token or a deploy key in the request\'s auth field, or check that the one you sent can read it.'
     };
   }
   
@@ -504,6 +854,74 @@ function classifyCloneError(stderr, originalError) {
   };
 }
 
+/**
+ * Resolves a ref on the remote to a commit SHA without cloning
+ * Returns null when the remote cannot be reached or the ref is an abbreviated SHA;
+ * the clone then reports the real error or resolves it
+ * @param {string} repoUrl - Clone URL
+ * @param {Object} [options]
+ * @param {string} [options.ref] - Branch, tag, commit SHA or HEAD
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<string|null>} - Full commit SHA
+ */
+async function resolveRemoteCommit(repoUrl, { ref = 'HEAD', signal } = {}) {
+  if (isCommitSha(ref)) {
+    return ref.length === 40 ? ref.toLowerCase() : null;
+  }
+
+  // Annotated tags point at a tag object; the peeled ^{} line holds the commit
+  const patterns = ref === 'HEAD' ? ['HEAD'] : [`refs/heads/${ref}`, `refs/tags/${ref}`, `refs/tags/${ref}^{}`];
+
+  try {
+    // Never prompts for credentials and only speaks the allowed protocols
+    const { stdout } = await runGit(['ls-remote', '--', repoUrl, ...patterns], {
+      timeoutMs: 15000,
+      signal,
+      env: gitRemoteEnv()
+    });
+    const refs = new Map(stdout.trim().split('\n').filter(Boolean).map(line => {
+      const [sha, name] = line.split(/\s+/);
+      return [name, sha];
+    }));
+    // Same precedence as `git clone --branch`: branches win over tags
+    const sha = ref === 'HEAD'
+      ? refs.get('HEAD')
+      : refs.get(`refs/heads/${ref}`) || refs.get(`refs/tags/${ref}^{}`) || refs.get(`refs/tags/${ref}`);
+    return sha && /^[0-9a-f]{40}$/.test(sha) ? sha : null;
+  } catch (error) {
+    console.warn(`Could not resolve ${ref} for ${repoUrl}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Reads recent commits and tags from a clone, newest first
+ * Returns null when history is unavailable (e.g. a shallow clone without log access)
+ */
+async function readGitHistory(cloneDir, signal, subpath = '', maxCommits = MAX_HISTORY_COMMITS) {
+  // Same hardening as the clone: the repository is untrusted, and a partial clone may fetch lazily
+  const options = { cwd: cloneDir, signal, timeoutMs: 15000, env: gitRemoteEnv() };
+  try {
+    // Scoped analyses only list the commits that touched their directory
+    const { stdout: log } = await runGit([
+      'log', `--max-count=${maxCommits}`, '--date=short', '--pretty=format:%ad %h %s',
+      ...(subpath ? ['--', subpath] : [])
+    ], options);
+    const { stdout: tags } = await runGit([
+      'tag', '--sort=-creatordate', '--format=%(creatordate:short) %(refname:short)'
+    ], options);
+    
+    const parts = [`Recent commits (newest first):\n${log.trim()}`];
+    if (tags.trim()) {
+      parts.push(`Tags (newest first):\n${tags.trim().split('\n').slice(0, 30).join('\n')}`);
+    }
+    return parts.join('\n\n');
+  } catch (error) {
+    console.warn('Could not read git history:', error.message);
+    return null;
+  }
+}
+
 /**
  * Validates if a URL looks like a valid Git repository URL
  */
@@ -517,26 +935,11 @@ function validateRepoUrl(url) {
     return { valid: false, error: 'URL cannot be empty' };
   }
   
-  // Basic URL validation
-  try {
-    new URL(trimmedUrl);
-  } catch {
-    return { valid: false, error: 'Invalid URL format' };
-  }
-  
-  // Check for common Git hosting patterns
-  const gitPatterns = [
-    /^https:\/\/github\.com\/[\w\-\.]+\/[\w\-\.]+(?:\.git)?$/,
-    /^https:\/\/gitlab\.com\/[\w\-\.\/]+(?:\.git)?$/,
-    /^https:\/\/bitbucket\.org\/[\w\-\.]+\/[\w\-\.]+(?:\.git)?$/,
-    /^https:\/\/[\w\-\.]+\/.*\.git$/
-  ];
-  
-  const isValidGitUrl = gitPatterns.some(pattern => pattern.test(trimmedUrl));
-  if (!isValidGitUrl) {
+  // Same parser the pipeline uses to build clone URLs, so both accept the same hosts
+  if (!parseRepoUrl(trimmedUrl)) {
     return { 
       valid: false, 
-      error: 'URL does not appear to be a valid Git repository URL. Expected format: https://github.com/user/repo.git' 
+      error: 'URL does not appear to be a valid Git repository URL. Expected format: https://host/owner/repo(.git) or git@host:owner/repo.git' 
     };
   }
   
@@ -552,27 +955,75 @@ async function extractRepoContextRobust(repoUrl, options = {}) {
     respectGeminiIgnore = true,
     useDefaultExcludes = true,
     maxFiles = MAX_FILES,
-    maxOutputChars = MAX_OUTPUT_CHARS,
+    budget = planContextBudget(), // Token budget of the context (see utils/tokenBudget.js)
     maxFileSize = MAX_FILE_SIZE,
     maxLinesPerFile = MAX_LINES_PER_FILE,
     maxLineLength = MAX_LINE_LENGTH,
     cleanupOnSuccess = true,
     cleanupOnError = true,
-    useCache = true // New option to control caching
+    cloneQueue = null, // ConcurrencyLimiter bounding concurrent clones (see utils/workQueue.js)
+    credentials = null, // GitCredentials for a private repository (see utils/gitCredentials.js); bypasses the shared cache
+    useCache = true, // New option to control caching
+    writeCache = useCache, // Store the result even when cached reads are disabled
+    ref, // Branch, tag or commit SHA to analyze instead of the default branch
+    commitSha, // Remote commit already resolved by the caller; looked up with ls-remote otherwise
+    onProgress, // Optional callback receiving stage events (see utils/progress.js)
+    signal, // Optional AbortSignal: kills the clone and removes the temp directory
+    includeGitHistory = false, // Adds a GIT HISTORY section (recent commits and tags)
+    subpath = '', // Normalized directory to analyze instead of the whole repository (see normalizeSubpath)
+    skeletons = SkeletonMode.FALLBACK, // When source files are packed as outlines (see utils/codeSkeleton.js)
+    summarizer = null, // Summarizes the directories of a repository too large for the budget (see utils/moduleSummaries.js)
+    retrieval = false // Also return the chunk corpus for per-diagram contexts (see utils/contextRetrieval.js)
   } = options;
   
   const startTime = Date.now();
+  const workspaces = getWorkspaceManager();
+  const cloneConfig = getCloneConfig();
   let tempDir = null;
   let cloneDir = null;
+  let succeeded = false;
+  
+  const cancelledResult = () => ({
+    type: ResultType.EXTRACTION_ERROR,
+    success: false,
+    error: {
+      type: ErrorType.CANCELLED,
+      message: 'Analysis was cancelled.',
+      suggestion: 'Start a new analysis when you are ready.'
+    },
+    repoUrl,
+    duration: Date.now() - startTime
+  });
+  
+  const outOfDiskResult = (quotaError) => {
+    console.warn(`⏳ ${quotaError.message}`);
+    reportProgress(onProgress, ProgressStage.CLONE, ProgressStatus.FAILED, 'Server is out of disk space');
+    return {
+      type: ResultType.CLONE_ERROR,
+      success: false,
+      error: {
+        type: ErrorType.SERVER_BUSY,
+        message: 'The server is out of disk space for new analyses.',
+        suggestion: 'Please try again in a few minutes.'
+      },
+      repoUrl,
+      duration: Date.now() - startTime
+    };
+  };
+  
+  if (signal?.aborted) {
+    return cancelledResult();
+  }
   
   // Normalize URL for caching (remove .git extension)
   const normalizedUrl = repoUrl.replace(/\.git$/, '');
   
-  // Check cache first if enabled
-  if (useCache) {
-    const cachedResult = getCachedExtraction(normalizedUrl);
+  // Check cache first if enabled; entries are keyed by the commit the remote currently points at
+  if (useCache && !credentials) {
+    const remoteSha = commitSha || await resolveRemoteCommit(repoUrl, { ref, signal });
+    const cachedResult = remoteSha && await getCachedExtraction(normalizedUrl, remoteSha, { includeGitHistory, subpath, skeletons, budget, summaries: summarizer?.id, retrieval });
     if (cachedResult) {
-      console.log(`✅ Using cached extraction for ${normalizedUrl}`);
+      console.log(`✅ Using cached extraction for ${normalizedUrl}@${remoteSha.substring(0, 7)}`);
       return {
         type: ResultType.SUCCESS,
         success: true,
@@ -581,11 +1032,59 @@ async function extractRepoContextRobust(repoUrl, options = {}) {
     }
   }
   
+  // Cache misses wait for a clone slot, then run without the queue or a second cache lookup
+  if (cloneQueue) {
+    let queued = false;
+    try {
+      return await cloneQueue.run(
+        () => extractRepoContextRobust(repoUrl, { ...options, cloneQueue: null, useCache: false, writeCache }),
+        {
+          signal,
+          onQueue: (position) => {
+            if (position > 0) {
+              queued = true;
+              reportProgress(onProgress, ProgressStage.QUEUE, ProgressStatus.STARTED, `Waiting for a clone slot (position ${position})`, {
+                queue: cloneQueue.name,
+                queuePosition: position
+              });
+            } else if (queued) {
+              reportProgress(onProgress, ProgressStage.QUEUE, ProgressStatus.COMPLETED, 'Clone slot available', {
+                queue: cloneQueue.name,
+                queuePosition: 0
+              });
+            }
+          }
+        }
+      );
+    } catch (queueError) {
+      if (signal?.aborted) {
+        return cancelledResult();
+      }
+      if (!(queueError instanceof QueueFullError)) {
+        throw queueError;
+      }
+      reportProgress(onProgress, ProgressStage.QUEUE, ProgressStatus.FAILED, 'Server is busy');
+      return {
+        type: ResultType.CLONE_ERROR,
+        success: false,
+        error: {
+          type: ErrorType.SERVER_BUSY,
+          message: 'The server is busy analyzing other repositories.',
+          suggestion: 'Please try again in a minute.'
+        },
+        repoUrl,
+        duration: Date.now() - startTime
+      };
+    }
+  }
+  
   try {
     // Step 1: Validate URL
     console.log('🔍 Validating repository URL...');
+    reportProgress(onProgress, ProgressStage.VALIDATE, ProgressStatus.STARTED, 'Validating repository URL...');
     const validation = validateRepoUrl(repoUrl);
     if (!validation.valid) {
+      reportProgress(onProgress, ProgressStage.VALIDATE, ProgressStatus.FAILED, validation.error);
       return {
         type: ResultType.VALIDATION_ERROR,
         success: false,
@@ -599,36 +1098,74 @@ async function extractRepoContextRobust(repoUrl, options = {}) {
       };
     }
     
+    reportProgress(onProgress, ProgressStage.VALIDATE, ProgressStatus.COMPLETED, 'Repository URL is valid');
+    
     // Step 2: Setup temporary directories
     console.log('📁 Setting up temporary directory...');
-    tempDir = path.join(__dirname, `temp-extraction-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+    try {
+      // A clone holds its files twice at most: packed in .git and checked out
+      tempDir = await workspaces.create({ expectedBytes: 2 * cloneConfig.maxCheckoutBytes });
+    } catch (workspaceError) {
+      if (!(workspaceError instanceof WorkspaceQuotaError)) {
+        throw workspaceError;
+      }
+      return outOfDiskResult(workspaceError);
+    }
     const repoName = path.basename(repoUrl.replace(/\.git$/, ''));
     cloneDir = path.join(tempDir, repoName);
     
-    if (fs.existsSync(tempDir)) {
-      fs.rmSync(tempDir, { recursive: true, force: true });
-    }
-    fs.mkdirSync(tempDir, { recursive: true });
-    
     // Step 3: Clone repository
-    console.log(`📥 Cloning repository: ${repoUrl}`);
+    console.log(`📥 Cloning repository: ${repoUrl}${ref ? ` at ${ref}` : ''}`);
+    reportProgress(onProgress, ProgressStage.CLONE, ProgressStatus.STARTED, ref ? `Cloning repository at ${ref}...` : 'Cloning repository...');
+    let clone;
     try {
-      execSync(`git clone "${repoUrl}" "${cloneDir}"`, {
-        cwd: tempDir,
-        stdio: 'pipe',
-        timeout: 60000 // 60 second timeout for repos
+      // Shallow partial clone; history is only fetched when the GIT HISTORY section needs it
+      clone = await cloneRepository(repoUrl, cloneDir, {
+        ref,
+        depth: includeGitHistory ? MAX_HISTORY_COMMITS : 1,
+        signal,
+        // Credentials travel in the environment, never in the URL or arguments
+        env: credentials ? credentials.gitEnv(repoUrl) : process.env,
+        config: cloneConfig
+      });
+      // The reservation made room for the clone; its real size counts from now on
+      await workspaces.settle(tempDir);
+      const skipped = clone.skippedFiles.length > 0 ? `, ${clone.skippedFiles.length} large files skipped` : '';
+      console.log(`✅ Repository cloned successfully (${clone.fileCount} files${skipped})`);
+      reportProgress(onProgress, ProgressStage.CLONE, ProgressStatus.COMPLETED, `Repository cloned (${clone.fileCount} files${skipped})`, {
+        checkoutFiles: clone.fileCount,
+        checkoutBytes: clone.totalBytes,
+        skippedLargeFiles: clone.skippedFiles.length
       });
-      console.log('✅ Repository cloned successfully');
     } catch (cloneError) {
-      const stderr = cloneError.stderr ? cloneError.stderr.toString() : '';
-      const classifiedError = classifyCloneError(stderr, cloneError.message);
+      if (signal?.aborted) {
+        reportProgress(onProgress, ProgressStage.CLONE, ProgressStatus.FAILED, 'Clone cancelled');
+        return cancelledResult();
+      }
+      if (cloneError instanceof WorkspaceQuotaError) {
+        return outOfDiskResult(cloneError);
+      }
+      
+      const redact = (text) => credentials ? credentials.redact(text) : text;
+      const stderr = redact(cloneError.stderr || '');
+      const originalError = redact(cloneError.message);
+      const classifiedError = cloneError instanceof CloneLimitError
+        ? {
+          type: ErrorType.TOO_LARGE,
+          message: 'Sorry, repository is too large. Try a smaller repo.',
+          suggestion: cloneError.limit === 'files'
+            ? `The repository has more than ${cloneError.max.toLocaleString()} files. Analyze one of its subdirectories instead.`
+            : `The checkout would exceed ${Math.round(cloneError.max / (1024 * 1024))} MB. Analyze a smaller repository.`
+        }
+        : classifyCloneError(stderr, originalError);
+      reportProgress(onProgress, ProgressStage.CLONE, ProgressStatus.FAILED, classifiedError.message);
       
       return {
         type: ResultType.CLONE_ERROR,
         success: false,
         error: {
           ...classifiedError,
-          originalError: cloneError.message,
+          originalError,
           stderr: stderr
         },
         repoUrl,
@@ -651,31 +1188,73 @@ async function extractRepoContextRobust(repoUrl, options = {}) {
       };
     }
     
+    // Step 4b: A scoped analysis needs its directory inside the clone (symlinks may not leave it)
+    if (subpath) {
+      const scopeDir = path.join(cloneDir, subpath);
+      const insideClone = fs.existsSync(scopeDir) &&
+        fs.statSync(scopeDir).isDirectory() &&
+        fs.realpathSync(scopeDir).startsWith(fs.realpathSync(cloneDir) + path.sep);
+      
+      if (!insideClone) {
+        reportProgress(onProgress, ProgressStage.WALK, ProgressStatus.FAILED, `Directory ${subpath} not found`);
+        return {
+          type: ResultType.EXTRACTION_ERROR,
+          success: false,
+          error: {
+            type: ErrorType.PATH_NOT_FOUND,
+            message: `Directory "${subpath}" not found in this repository.`,
+            suggestion: 'Check the path, or leave it empty to analyze the whole repository.'
+          },
+          repoUrl,
+          duration: Date.now() - startTime
+        };
+      }
+    }
+    
     // Step 5: Extract repository context
-    console.log('🔍 Extracting repository context...');
+    console.log(`🔍 Extracting repository context${subpath ? ` from ${subpath}` : ''}...`);
     try {
+      // The clone may be newer than the SHA resolved before it, so key the cache on what was cloned
+      const clonedSha = clone.commitSha;
+      const gitHistory = includeGitHistory ? await readGitHistory(cloneDir, signal, subpath) : null;
+      
       const extractionResult = await extractRepoContext(cloneDir, {
         respectGitIgnore,
         respectGeminiIgnore,
         useDefaultExcludes,
         maxFiles,
-        maxOutputChars,
+        budget,
         maxFileSize,
         maxLinesPerFile,
-        maxLineLength
+        maxLineLength,
+        onProgress,
+        signal,
+        gitHistory,
+        subpath,
+        skeletons,
+        summarizer,
+        retrieval
       });
       
       console.log(`✅ Extraction completed: ${extractionResult.fileCount} files processed`);
       
+      succeeded = true;
       const result = {
         type: ResultType.SUCCESS,
         success: true,
         data: {
           content: extractionResult.content,
           fileCount: extractionResult.fileCount,
+          skeletonCount: extractionResult.skeletonCount,
+          manifestCount: extractionResult.manifestCount,
+          redactedCount: extractionResult.redactedCount,
+          tokenUsage: extractionResult.tokenUsage,
+          moduleSummaryCount: extractionResult.moduleSummaryCount,
+          retrieval: extractionResult.retrieval,
           skippedCount: extractionResult.skippedCount,
           totalSize: extractionResult.totalSize,
           excludedPatterns: extractionResult.excludedPatterns,
+          commitSha: clonedSha,
           repoUrl,
           cloneDir,
           tempDir
@@ -684,9 +1263,9 @@ async function extractRepoContextRobust(repoUrl, options = {}) {
       };
       
       // Cache the successful extraction if caching is enabled
-      if (useCache) {
+      if (writeCache && !credentials) {
         try {
-          setCachedExtraction(normalizedUrl, result);
+          await setCachedExtraction(normalizedUrl, clonedSha, result, { includeGitHistory, subpath, skeletons, budget, summaries: summarizer?.id, retrieval });
         } catch (cacheError) {
           console.warn('Failed to cache extraction:', cacheError.message);
           // Don't fail the entire operation if caching fails
@@ -696,6 +1275,10 @@ async function extractRepoContextRobust(repoUrl, options = {}) {
       return result;
       
     } catch (extractionError) {
+      if (signal?.aborted) {
+        return cancelledResult();
+      }
+      
       return {
         type: ResultType.EXTRACTION_ERROR,
         success: false,
@@ -726,17 +1309,20 @@ async function extractRepoContextRobust(repoUrl, options = {}) {
     
   } finally {
     // Cleanup
-    const shouldCleanup = tempDir && fs.existsSync(tempDir);
-    if (shouldCleanup) {
-      const cleanupCondition = (options.success && cleanupOnSuccess) || (!options.success && cleanupOnError);
+    if (tempDir) {
+      // A cancelled run never preserves its workspace
+      const cleanupCondition = signal?.aborted ||
+        (succeeded && cleanupOnSuccess) || (!succeeded && cleanupOnError);
       if (cleanupCondition) {
         try {
           console.log('🧹 Cleaning up temporary directory...');
-          fs.rmSync(tempDir, { recursive: true, force: true });
+          await workspaces.release(tempDir);
         } catch (cleanupError) {
           console.warn(`⚠️  Warning: Could not clean up temp directory ${tempDir}: ${cleanupError.message}`);
         }
       } else {
+        // Left to the workspace janitor, which removes it once it is old enough
+        workspaces.detach(tempDir);
         console.log(`📂 Temporary directory preserved: ${tempDir}`);
       }
     }
@@ -808,6 +1394,7 @@ function printResult(result) {
 export { 
   extractRepoContextRobust, 
   extractAndSave, 
+  resolveRemoteCommit,
   printResult,
   ResultType,
   ErrorType 
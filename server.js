@@ -1,12 +1,22 @@
 import express from 'express';
 import cors from 'cors';
-import { VertexAI } from '@google-cloud/vertexai';
 import dotenv from 'dotenv';
-import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import { extractRepoContextRobust } from './extractRepoContextRobust.js';
-import { getGitCloneUrl } from './utils/gitUrlParser.js';
+import { generateDiagramForRepo, regenerateDiagram } from './diagramPipeline.js';
+import { InMemoryJobStore, isFinished } from './utils/jobStore.js';
+import { JobManager } from './utils/jobManager.js';
+import { createLLMProvider, getLLMConfig } from './utils/llmProviders.js';
+import { DIAGRAM_KINDS, DEFAULT_DIAGRAM_KINDS, getDiagramKind, resolveDiagramKinds } from './utils/diagramCatalogue.js';
+import { createCacheStore, getCacheConfig } from './utils/cacheStore.js';
+import { clearAllCache, configureCache, getCacheStats, invalidateRepo, listCachedRepos, purgeExpiredCache } from './utils/diagramCache.js';
+import { getGitCloneUrl, isValidGitRef, normalizeSubpath, parseRepoUrl } from './utils/gitUrlParser.js';
+import { getCredentialConfig, readCredentials } from './utils/gitCredentials.js';
+import { ConcurrencyLimiter, SharedRuns, getQueueConfig } from './utils/workQueue.js';
+import { WorkspaceManager, configureWorkspaces, getWorkspaceConfig } from './utils/workspaceManager.js';
+import { terminateGitProcesses } from './utils/gitCloner.js';
+import { SecretRedactor, compileRedactionPatterns, configureSecretRedactor, getRedactionConfig } from './utils/secretRedactor.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,185 +32,450 @@ app.use(express.json());
 // Serve static files from the frontend build
 app.use(express.static(path.join(__dirname, 'dist')));
 
-// Initialize Vertex AI
-const PROJECT_ID = process.env.GOOGLE_CLOUD_PROJECT;
-const LOCATION = process.env.GOOGLE_CLOUD_LOCATION || 'us-central1';
+// Initialize the LLM provider (Vertex AI, Gemini API, OpenAI-compatible or offline fixture)
+let llm;
+try {
+  llm = createLLMProvider(getLLMConfig());
+} catch (error) {
+  console.error(`Failed to configure LLM provider: ${error.message}`);
+  process.exit(1);
+}
+console.log(`🤖 Using LLM provider "${llm.name}" with model ${llm.model}`);
 
-if (!PROJECT_ID) {
-  console.error("GOOGLE_CLOUD_PROJECT environment variable not set");
+// Extra secret patterns from the operator, checked now so a bad pattern stops the server instead of a request
+try {
+  const { patterns } = getRedactionConfig();
+  configureSecretRedactor(new SecretRedactor({ customRules: compileRedactionPatterns(patterns) }));
+  if (patterns.length > 0) {
+    console.log(`🔒 Redacting ${patterns.length} custom secret patterns`);
+  }
+} catch (error) {
+  console.error(`Failed to configure secret redaction: ${error.message}`);
   process.exit(1);
 }
 
-const vertexAI = new VertexAI({
-  project: PROJECT_ID,
-  location: LOCATION,
-});
+// Initialize the extraction and diagram cache (filesystem, in-memory LRU or SQLite)
+try {
+  const cacheConfig = getCacheConfig();
+  configureCache(await createCacheStore(cacheConfig));
+  console.log(`💾 Using "${cacheConfig.backend}" cache backend`);
+} catch (error) {
+  console.error(`Failed to configure cache: ${error.message}`);
+  process.exit(1);
+}
 
-const model = vertexAI.getGenerativeModel({
-  model: 'gemini-2.5-flash',
-});
+// Scratch space for clones; workspaces left behind by an earlier process are removed now and by a janitor later
+const workspaceConfig = getWorkspaceConfig();
+const workspaces = new WorkspaceManager(workspaceConfig);
+try {
+  const removed = await workspaces.init();
+  workspaces.startJanitor(workspaceConfig.sweepIntervalMs);
+  configureWorkspaces(workspaces);
+  console.log(`📁 Cloning into ${workspaceConfig.root}${removed > 0 ? ` (removed ${removed} orphaned workspaces)` : ''}`);
+} catch (error) {
+  console.error(`Failed to prepare workspace root: ${error.message}`);
+  process.exit(1);
+}
 
-// Helper function to handle parentheses in node definitions
-function formatParentheses(line) {
-  // Skip if line already contains double quotes
-  if (line.includes('"')) {
-    return line;
-  }
-  
-  // Look for pattern like A(text) or B(text with (nested) parens)
-  const nodePattern = /(\w+)\((.+)\)/;
-  const match = line.match(nodePattern);
-  
-  if (match) {
-    // Find the first opening paren after the node identifier
-    const firstParenIndex = line.indexOf('(', line.indexOf(match[1]));
-    // Find the last closing paren on the line
-    const lastParenIndex = line.lastIndexOf(')');
-    
-    if (firstParenIndex !== -1 && lastParenIndex !== -1 && firstParenIndex < lastParenIndex) {
-      return line.substring(0, firstParenIndex + 1) + '"' +
-             line.substring(firstParenIndex + 1, lastParenIndex) + '"' +
-             line.substring(lastParenIndex);
-    }
+// Cloud Run sends SIGTERM before stopping an instance: stop running clones and remove their workspaces
+const shutdown = (signalName) => {
+  console.log(`🛑 ${signalName} received, cleaning up...`);
+  terminateGitProcesses();
+  const removed = workspaces.releaseAll();
+  if (removed > 0) {
+    console.log(`🧹 Removed ${removed} workspaces`);
   }
-  return line;
+  process.exit(0);
+};
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
+// Deploy keys available to requests by name (DEPLOY_KEY_DIR)
+const credentialConfig = getCredentialConfig();
+
+// Bounded concurrency for clones (disk) and LLM calls (quota); identical concurrent requests share one run
+const queueConfig = getQueueConfig();
+const queues = {
+  clone: new ConcurrencyLimiter('clone', queueConfig.cloneConcurrency, queueConfig.maxPending),
+  llm: new ConcurrencyLimiter('llm', queueConfig.llmConcurrency, queueConfig.maxPending)
+};
+const sharedRuns = new SharedRuns();
+console.log(`🚦 Up to ${queueConfig.cloneConcurrency} clones and ${queueConfig.llmConcurrency} LLM calls at a time`);
+
+// Seconds a client is asked to wait after a 503
+const RETRY_AFTER_SECONDS = 30;
+
+/**
+ * Checks the optional branch, tag or commit of a request
+ * @returns {string|null} - Error message, or null when the ref is absent or valid
+ */
+function validateRef(ref) {
+  if (ref === undefined || ref === null || ref === '') {
+    return null;
+  }
+  return isValidGitRef(ref) ? null : 'ref must be a branch, tag or commit SHA';
 }
 
-// Function to format Mermaid syntax for proper rendering
-function formatMermaidSyntax(rawCode) {
-  // Simple replacement to wrap square bracket content with quotes
-  let formattedCode = rawCode.replace(/\[/g, '["').replace(/\]/g, '"]');
-  // Also wrap curly brace content with quotes
-  formattedCode = formattedCode.replace(/\{/g, '{"').replace(/\}/g, '"}');
-  
-  // Handle pipe characters for edge labels - process line by line
-  const lines = formattedCode.split('\n');
-  const processedLines = lines.map(line => {
-    let processedLine = line;
-    
-    // Handle pipes for edge labels
-    const pipeCount = (processedLine.match(/\|/g) || []).length;
-    if (pipeCount >= 2) {
-      const firstPipeIndex = processedLine.indexOf('|');
-      const secondPipeIndex = processedLine.indexOf('|', firstPipeIndex + 1);
-      
-      if (firstPipeIndex !== -1 && secondPipeIndex !== -1) {
-        processedLine = processedLine.substring(0, firstPipeIndex + 1) + '"' +
-                       processedLine.substring(firstPipeIndex + 1, secondPipeIndex) + '"' +
-                       processedLine.substring(secondPipeIndex);
-      }
-    }
-    
-    // Handle parentheses for rounded rectangle nodes
-    processedLine = formatParentheses(processedLine);
-    
-    return processedLine;
-  });
-  
-  return processedLines.join('\n');
+/**
+ * Checks the optional repository subdirectory of a request
+ * @returns {string|null} - Error message, or null when the path is absent or valid
+ */
+function validateSubpath(subpath) {
+  return normalizeSubpath(subpath) === null ? 'path must be a directory relative to the repository root' : null;
 }
 
-// Read the Gemini prompt from file
-const promptTemplate = fs.readFileSync(path.join(__dirname, 'gemini-prompt-1.txt'), 'utf8');
+/**
+ * Reads the fields shared by every generation route
+ * @returns {Object} - { repoUrl, diagramKinds, ref, subpath, credentials } or { error }
+ */
+function readGenerationRequest(body = {}) {
+  const { repoUrl, diagramKinds, ref, path: subpath, auth } = body;
+
+  if (!repoUrl) {
+    return { error: 'Repository URL is required' };
+  }
+
+  const resolved = resolveDiagramKinds(diagramKinds);
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+
+  const scopeError = validateRef(ref) || validateSubpath(subpath);
+  if (scopeError) {
+    return { error: scopeError };
+  }
+
+  const { credentials, error } = readCredentials(auth, credentialConfig);
+  if (error) {
+    return { error };
+  }
+
+  return { repoUrl, diagramKinds: resolved.kinds, ref: ref || undefined, subpath: subpath || undefined, credentials };
+}
+
+/**
+ * Identifies requests that produce the same diagrams, so concurrent ones can share a run
+ * @returns {string|null} - Key, or null for private repositories (never shared)
+ */
+function sharedRunKey({ repoUrl, diagramKinds, ref, subpath, credentials }) {
+  const parsed = parseRepoUrl(repoUrl);
+  if (credentials || !parsed) {
+    return null;
+  }
+  const scope = [ref || parsed.ref || 'HEAD', subpath ?? parsed.subpath];
+  return [parsed.cloneUrl, ...scope, diagramKinds.map(kind => kind.id).join(',')].join('|');
+}
+
+/**
+ * Runs the pipeline for a validated generation request, joining an identical run already in progress
+ */
+function generateShared(request, { signal, onProgress } = {}) {
+  const { repoUrl, diagramKinds, ref, subpath, credentials } = request;
+  return sharedRuns.run(sharedRunKey(request), (run) => generateDiagramForRepo(repoUrl, {
+    llm,
+    queues,
+    diagramKinds,
+    ref,
+    path: subpath,
+    credentials,
+    signal: run.signal,
+    onProgress: run.onProgress
+  }), { signal, onProgress });
+}
+
+// Lists the diagram kinds a request can choose from
+app.get('/api/diagram-kinds', (req, res) => {
+  res.json({
+    kinds: DIAGRAM_KINDS.map(({ id, title, mermaidType }) => ({ id, title, mermaidType })),
+    defaults: DEFAULT_DIAGRAM_KINDS
+  });
+});
 
 // API endpoint for generating diagrams
 app.post('/api/generate-diagram', async (req, res) => {
-  const { repoUrl } = req.body;
+  const request = readGenerationRequest(req.body);
 
-  if (!repoUrl) {
-    return res.status(400).json({ error: 'Repository URL is required' });
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
   }
 
   try {
-    // Convert user input to clone URL
-    const cloneUrl = getGitCloneUrl(repoUrl);
-    if (!cloneUrl) {
-      return res.status(400).json({ 
-        error: 'Invalid GitHub repository URL',
-        suggestion: 'Please provide a valid GitHub repository URL (e.g., https://github.com/user/repo or user/repo)'
+    const result = await generateShared(request);
+
+    if (!result.success) {
+      if (result.status === 503) {
+        res.set('Retry-After', String(RETRY_AFTER_SECONDS));
+      }
+      return res.status(result.status).json({ 
+        error: result.error.message,
+        suggestion: result.error.suggestion
       });
     }
 
-    console.log(`🚀 Starting repository analysis for: ${repoUrl}`);
-    console.log(`📥 Will extract from: ${cloneUrl}`);
-    
-    // Step 1: Extract repository context (caching handled internally)
-    // Uses defaults from extractRepoContextRobust.js:
-    // - maxFiles: 500
-    // - maxTotalSize: 10MB
-    // - maxFileSize: 1MB per file
-    const extractionResult = await extractRepoContextRobust(cloneUrl, {
-      respectGitIgnore: true,
-      respectGeminiIgnore: true,
-      useDefaultExcludes: true,
-      cleanupOnSuccess: true,
-      cleanupOnError: true,
-      useCache: false // Disable caching - recompute every time
+    res.json({ 
+      diagrams: result.diagrams,
+      diagramCode: result.diagramCode,
+      metadata: result.metadata
+    });
+
+  } catch (error) {
+    console.error("Error generating diagram:", error);
+    res.status(500).json({ 
+      error: "Failed to generate the architecture diagram. Please check the repository URL and try again.",
+      details: error.message
+    });
+  }
+});
+
+// Streaming variant: same pipeline, but emits stage events as Server-Sent Events
+// Events: `progress` (stage updates), then a final `result` or `error`
+app.post('/api/generate-diagram/stream', async (req, res) => {
+  const request = readGenerationRequest(req.body);
+
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering so events arrive live
+  });
+
+  // Stop the clone / LLM call when the client goes away
+  const controller = new AbortController();
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+    controller.abort();
+  });
+
+  const sendEvent = (event, data) => {
+    if (clientGone) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await generateShared(request, {
+      onProgress: (progress) => sendEvent('progress', progress),
+      signal: controller.signal
     });
 
-    if (!extractionResult.success) {
-      console.error('Repository extraction failed:', extractionResult.error);
-      return res.status(400).json({ 
-        error: `Failed to analyze repository: ${extractionResult.error.message}`,
-        suggestion: extractionResult.error.suggestion
+    if (result.success) {
+      sendEvent('result', {
+        diagrams: result.diagrams,
+        diagramCode: result.diagramCode,
+        metadata: result.metadata
       });
+    } else {
+      sendEvent('error', result.error);
     }
+  } catch (error) {
+    if (clientGone) return;
+    console.error("Error generating diagram:", error);
+    sendEvent('error', {
+      type: 'generation_error',
+      message: "Failed to generate the architecture diagram. Please check the repository URL and try again.",
+      details: error.message
+    });
+  } finally {
+    res.end();
+  }
+});
+
+const MAX_INSTRUCTION_LENGTH = 500;
 
-    const contentLength = extractionResult.data.content.length;
-    console.log(`✅ Repository extracted: ${extractionResult.data.fileCount} files, ${(extractionResult.data.totalSize / 1024).toFixed(2)} KB`);
-    console.log(`📝 Context string length: ${contentLength.toLocaleString()} characters`);
-
-    // Step 2: Create prompt with repository context
-    const prompt = promptTemplate + '\n\n' + 
-      'REPOSITORY CONTEXT:\n' + extractionResult.data.content;
-
-    // Step 3: Generate diagram with Vertex AI
-    const request = {
-      contents: [{
-        role: 'user',
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.1,
-        topP: 0.8,
-        maxOutputTokens: 15000, // Increased for 6 diagrams
+// Regenerates one diagram from the cached extraction, optionally following an instruction
+app.post('/api/diagrams/regenerate', async (req, res) => {
+  const { repoUrl, diagramKind, instruction, currentMermaid, ref, path: subpath, auth } = req.body;
+
+  if (!repoUrl) {
+    return res.status(400).json({ error: 'Repository URL is required' });
+  }
+
+  const kind = getDiagramKind(diagramKind);
+  if (!kind) {
+    return res.status(400).json({ error: `Unknown diagram kind: ${diagramKind}` });
+  }
+
+  if (instruction !== undefined && (typeof instruction !== 'string' || instruction.length > MAX_INSTRUCTION_LENGTH)) {
+    return res.status(400).json({ error: `Instruction must be a string of at most ${MAX_INSTRUCTION_LENGTH} characters` });
+  }
+
+  const scopeError = validateRef(ref) || validateSubpath(subpath);
+  if (scopeError) {
+    return res.status(400).json({ error: scopeError });
+  }
+
+  const { credentials, error: authError } = readCredentials(auth, credentialConfig);
+  if (authError) {
+    return res.status(400).json({ error: authError });
+  }
+
+  // Stop the clone / LLM call when the client goes away before the answer is sent
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const result = await regenerateDiagram(repoUrl, {
+      llm,
+      diagramKind: kind,
+      instruction: instruction?.trim() || undefined,
+      currentMermaid: typeof currentMermaid === 'string' ? currentMermaid : undefined,
+      ref: ref || undefined,
+      path: subpath || undefined,
+      credentials,
+      queues,
+      signal: controller.signal
+    });
+
+    if (controller.signal.aborted) return;
+
+    if (!result.success) {
+      if (result.status === 503) {
+        res.set('Retry-After', String(RETRY_AFTER_SECONDS));
       }
-    };
-
-    const result = await model.generateContent(request);
-    const response = await result.response;
-    const rawCode = response.candidates?.[0]?.content?.parts?.[0]?.text;
-    
-    if (!rawCode) {
-      throw new Error("Received an empty response from the API.");
+      return res.status(result.status).json({
+        error: result.error.message,
+        suggestion: result.error.suggestion
+      });
     }
 
-    // Format the Mermaid syntax for proper rendering
-    const formattedCode = formatMermaidSyntax(rawCode);
-    
-    // Return the generated diagram without validation
-    res.json({ 
-      diagramCode: formattedCode,
-      metadata: {
-        repoUrl: repoUrl,
-        cloneUrl: cloneUrl,
-        filesAnalyzed: extractionResult.data.fileCount,
-        repoSize: `${(extractionResult.data.totalSize / 1024).toFixed(2)} KB`,
-        processingTime: `${(extractionResult.duration / 1000).toFixed(2)}s`
-      }
+    res.json({
+      diagram: result.diagram,
+      metadata: result.metadata
     });
 
   } catch (error) {
-    console.error("Error generating diagram:", error);
-    res.status(500).json({ 
-      error: "Failed to generate the architecture diagram. Please check the repository URL and try again.",
+    if (controller.signal.aborted) return;
+    console.error("Error regenerating diagram:", error);
+    res.status(500).json({
+      error: "Failed to regenerate the diagram. Please try again.",
       details: error.message
     });
   }
 });
 
+// Asynchronous job API: start a run, poll it, or cancel it
+const jobManager = new JobManager({
+  store: new InMemoryJobStore(),
+  run: (job, { signal, onProgress, credentials }) => generateShared({
+    repoUrl: job.repoUrl,
+    ref: job.ref,
+    subpath: job.path,
+    credentials,
+    diagramKinds: resolveDiagramKinds(job.diagramKinds).kinds
+  }, { signal, onProgress })
+});
+
+app.post('/api/jobs', async (req, res) => {
+  const { repoUrl, diagramKinds, ref, subpath, credentials, error } = readGenerationRequest(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // Store kind ids only, the job record stays plain JSON; credentials stay in memory with the running job
+  const job = await jobManager.submit(
+    { repoUrl, ref, path: subpath, diagramKinds: diagramKinds.map(kind => kind.id) },
+    { credentials }
+  );
+  res.status(202).json(job);
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+  const job = await jobManager.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(job);
+});
+
+// Cancels a running job; a finished job is removed instead
+app.delete('/api/jobs/:id', async (req, res) => {
+  const job = await jobManager.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (!isFinished(job)) {
+    return res.json(await jobManager.cancel(job.id));
+  }
+
+  await jobManager.delete(job.id);
+  res.status(204).end();
+});
+
+/**
+ * Guards the admin routes with `Authorization: Bearer <ADMIN_TOKEN>`
+ * The admin API does not exist unless ADMIN_TOKEN is set
+ */
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const [scheme, token = ''] = (req.get('authorization') || '').split(' ');
+  const expected = Buffer.from(adminToken);
+  const provided = Buffer.from(token);
+  if (scheme !== 'Bearer' || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
+  }
+
+  next();
+}
+
+// Cache administration: inspect, invalidate one repository, purge expired entries, clear everything
+app.get('/api/admin/cache', requireAdmin, async (req, res) => {
+  res.json({
+    stats: await getCacheStats(),
+    entries: await listCachedRepos()
+  });
+});
+
+app.delete('/api/admin/cache/repo', requireAdmin, async (req, res) => {
+  const cloneUrl = getGitCloneUrl(req.query.repoUrl);
+
+  if (!cloneUrl) {
+    return res.status(400).json({
+      error: 'Invalid repository URL',
+      suggestion: 'Pass the repository as ?repoUrl=https://github.com/user/repo (or any supported Git host URL)'
+    });
+  }
+
+  const repoUrl = cloneUrl.replace(/\.git$/, '');
+  res.json({ repoUrl, removed: await invalidateRepo(repoUrl) });
+});
+
+app.post('/api/admin/cache/purge-expired', requireAdmin, async (req, res) => {
+  res.json({ removed: await purgeExpiredCache() });
+});
+
+app.delete('/api/admin/cache', requireAdmin, async (req, res) => {
+  res.json({ removed: await clearAllCache() });
+});
+
+// Clone and LLM queue occupancy
+app.get('/api/admin/queues', requireAdmin, (req, res) => {
+  res.json({
+    clone: queues.clone.stats(),
+    llm: queues.llm.stats(),
+    sharedRuns: sharedRuns.size
+  });
+});
+
+// Clone workspaces and disk usage against the quota
+app.get('/api/admin/workspaces', requireAdmin, async (req, res) => {
+  res.json(await workspaces.stats());
+});
+
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
\ No newline at end of file
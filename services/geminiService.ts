@@ -3,7 +3,25 @@ const API_BASE_URL = window.location.hostname === 'localhost'
   ? 'http://localhost:3001' 
   : window.location.origin;
 
-export const generateDiagram = async (repoUrl: string): Promise<string> => {
+export interface Diagram {
+  id: string;
+  kind: string | null;
+  title: string;
+  description: string;
+  mermaid: string;
+  diagramType: string;
+  valid: boolean;
+  warnings: string[];
+  status: 'valid' | 'repaired' | 'invalid' | null;
+}
+
+export interface DiagramResult {
+  diagrams: Diagram[];
+  diagramCode: string; // Full markdown document
+  metadata: Record<string, unknown>;
+}
+
+export const generateDiagram = async (repoUrl: string): Promise<DiagramResult> => {
   try {
     const response = await fetch(`${API_BASE_URL}/api/generate-diagram`, {
       method: 'POST',
@@ -18,8 +36,7 @@ export const generateDiagram = async (repoUrl: string): Promise<string> => {
       throw new Error(error.error || 'Failed to generate diagram');
     }
 
-    const data = await response.json();
-    return data.diagramCode;
+    return await response.json();
   } catch (error) {
     console.error("Error generating diagram:", error);
 
@@ -30,4 +47,117 @@ export const generateDiagram = async (repoUrl: string): Promise<string> => {
 
     throw new Error("Failed to generate the architecture diagram. Please check the repository URL and try again.");
   }
-};
\ No newline at end of file
+};
+export type ProgressStage = 'queue' | 'validate' | 'clone' | 'walk' | 'files' | 'summarize' | 'prompt' | 'llm' | 'repair' | 'format';
+
+export interface ProgressEvent {
+  stage: ProgressStage;
+  status: 'started' | 'completed' | 'failed';
+  message: string;
+  timestamp: number;
+  [detail: string]: unknown;
+}
+
+export type JobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+export interface DiagramJob {
+  id: string;
+  status: JobStatus;
+  repoUrl: string;
+  ref?: string;
+  path?: string;
+  progress: ProgressEvent[];
+  partial: Record<string, unknown>;
+  result: DiagramResult | null;
+  error: { type: string; message: string; suggestion?: string } | null;
+  createdAt: number;
+  updatedAt: number;
+}
+
+const requestJob = async (path: string, init?: RequestInit): Promise<DiagramJob> => {
+  const response = await fetch(`${API_BASE_URL}${path}`, init);
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || `Job request failed (${response.status})`);
+  }
+
+  return response.json();
+};
+
+// What part of the repository to analyze; the URL's /tree/<ref>/<path> (or the default branch root) is used otherwise
+export interface AnalysisScope {
+  ref?: string; // Branch, tag or commit
+  path?: string; // Subdirectory, e.g. packages/api
+}
+
+// Credentials for a private repository; sent with each request and never stored by the server
+export interface RepoAuth {
+  token?: string; // Personal access token
+  username?: string; // Only for hosts that need a specific user name with the token
+  deployKey?: string; // Name of a deploy key configured on the server
+}
+
+// Starts a background analysis and returns immediately with the job id
+export const createJob = (repoUrl: string, diagramKinds?: string[], scope: AnalysisScope = {}, auth?: RepoAuth): Promise<DiagramJob> =>
+  requestJob('/api/jobs', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ repoUrl, diagramKinds, ref: scope.ref || undefined, path: scope.path || undefined, auth }),
+  });
+
+export const getJob = (jobId: string): Promise<DiagramJob> =>
+  requestJob(`/api/jobs/${encodeURIComponent(jobId)}`);
+
+export const cancelJob = (jobId: string): Promise<DiagramJob> =>
+  requestJob(`/api/jobs/${encodeURIComponent(jobId)}`, { method: 'DELETE' });
+
+export interface DiagramKind {
+  id: string;
+  title: string;
+  mermaidType: string;
+}
+
+// Diagram kinds the server can generate, plus the default selection
+export const getDiagramKinds = async (): Promise<{ kinds: DiagramKind[]; defaults: string[] }> => {
+  const response = await fetch(`${API_BASE_URL}/api/diagram-kinds`);
+  if (!response.ok) {
+    throw new Error('Failed to load diagram kinds');
+  }
+  return response.json();
+};
+
+// Regenerates one diagram from the server's cached extraction
+export const regenerateDiagram = async (
+  repoUrl: string,
+  diagram: Diagram,
+  instruction?: string,
+  scope: AnalysisScope = {},
+  auth?: RepoAuth
+): Promise<Diagram> => {
+  const response = await fetch(`${API_BASE_URL}/api/diagrams/regenerate`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      repoUrl,
+      diagramKind: diagram.kind,
+      instruction: instruction || undefined,
+      currentMermaid: diagram.mermaid,
+      ref: scope.ref || undefined,
+      path: scope.path || undefined,
+      auth,
+    }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || 'Failed to regenerate diagram');
+  }
+
+  const data = await response.json();
+  return data.diagram;
+};
@@ -0,0 +1,195 @@
+/**
+ * Test script for the cache backends
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileSystemCacheStore, MemoryCacheStore, SqliteCacheStore } from './utils/cacheStore.js';
+
+// Recency is tracked in milliseconds, so steps that must be ordered wait a little
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-test-'));
+let storeCount = 0;
+
+async function loadBackends() {
+  const backends = [
+    { name: 'memory', create: (config) => new MemoryCacheStore(config) },
+    { name: 'fs', create: (config) => new FileSystemCacheStore({ ...config, directory: path.join(tempDirectory, `store-${++storeCount}`) }) }
+  ];
+  try {
+    const { default: Database } = await import('better-sqlite3');
+    backends.push({
+      name: 'sqlite',
+      create: (config) => new SqliteCacheStore({ ...config, directory: path.join(tempDirectory, `store-${++storeCount}`) }, Database)
+    });
+  } catch {
+    console.log('⚠️  better-sqlite3 is not installed, skipping the sqlite backend\n');
+  }
+  return backends;
+}
+
+const tests = [
+  {
+    name: 'Evicts the least recently used entry beyond maxEntries',
+    config: { maxEntries: 2 },
+    async run(store) {
+      await store.set('a', 'alpha');
+      await sleep(5);
+      await store.set('b', 'bravo');
+      await sleep(5);
+      await store.get('a');
+      await sleep(5);
+      await store.set('c', 'charlie');
+      const stats = await store.stats();
+      return (await store.get('b')) === null && (await store.get('a'))?.value === 'alpha' &&
+        (await store.get('c'))?.value === 'charlie' && stats.entries === 2 && stats.evictions === 1;
+    }
+  },
+  {
+    name: 'Evicts until the total size fits maxBytes',
+    config: { maxBytes: 10 },
+    async run(store) {
+      await store.set('first', '123456');
+      await sleep(5);
+      await store.set('second', '789012');
+      const stats = await store.stats();
+      return (await store.get('first')) === null && (await store.get('second'))?.value === '789012' &&
+        stats.bytes === 6 && stats.evictions === 1;
+    }
+  },
+  {
+    name: 'Replacing an entry keeps one copy and its metadata',
+    config: {},
+    async run(store) {
+      await store.set('key', 'old', { version: 1 });
+      await store.set('key', 'new', { version: 2 });
+      const entry = await store.get('key');
+      return entry?.value === 'new' && entry.metadata.version === 2 && (await store.stats()).entries === 1;
+    }
+  },
+  {
+    name: 'Expired entries miss on get',
+    config: { ttlMs: 10 },
+    async run(store) {
+      await store.set('key', 'value');
+      await sleep(30);
+      const entry = await store.get('key');
+      const stats = await store.stats();
+      return entry === null && stats.entries === 0 && stats.expirations === 1 && stats.misses === 1;
+    }
+  },
+  {
+    name: 'Sweep removes only expired entries',
+    config: { ttlMs: 50 },
+    async run(store) {
+      await store.set('old-1', 'value');
+      await store.set('old-2', 'value');
+      await sleep(80);
+      await store.set('fresh', 'value');
+      const listed = await store.list();
+      const removed = await store.sweep();
+      const remaining = (await store.list()).map(entry => entry.key);
+      return listed.filter(entry => entry.expired).length === 2 && removed === 2 &&
+        remaining.join() === 'fresh' && (await store.stats()).expirations === 2;
+    }
+  },
+  {
+    name: 'The sweeper removes expired entries on its own',
+    config: { ttlMs: 10 },
+    async run(store) {
+      await store.set('key', 'value');
+      store.startSweeper(20);
+      await sleep(100);
+      return (await store.list()).length === 0 && (await store.stats()).expirations === 1;
+    }
+  },
+  {
+    name: 'Counts hits and misses',
+    config: {},
+    async run(store) {
+      await store.set('key', 'value');
+      await store.get('key');
+      await store.get('key');
+      await store.get('missing');
+      const stats = await store.stats();
+      return stats.hits === 2 && stats.misses === 1 && Math.abs(stats.hitRate - 2 / 3) < 1e-9 && stats.writes === 1;
+    }
+  },
+  {
+    name: 'Delete and clear remove entries',
+    config: {},
+    async run(store) {
+      await store.set('a', 'value');
+      await store.set('b', 'value');
+      const deleted = await store.delete('a');
+      const deletedAgain = await store.delete('a');
+      await store.clear();
+      return deleted && !deletedAgain && (await store.stats()).entries === 0;
+    }
+  }
+];
+
+async function runTests() {
+  console.log('🚀 Testing the cache backends...\n');
+  let passCount = 0;
+  let failCount = 0;
+
+  for (const backend of await loadBackends()) {
+    console.log(`📋 ${backend.name}`);
+    for (const test of tests) {
+      const store = backend.create(test.config);
+      let passed = false;
+      let detail = 'unexpected result';
+      try {
+        passed = await test.run(store);
+      } catch (error) {
+        detail = error.message;
+      } finally {
+        await store.close();
+      }
+      if (passed) {
+        passCount++;
+        console.log(`   ✅ ${test.name}`);
+      } else {
+        failCount++;
+        console.log(`   ❌ ${test.name}: ${detail}`);
+      }
+    }
+    console.log('');
+  }
+
+  // The file-system index is rebuilt from disk, so a restart keeps the cache
+  const directory = path.join(tempDirectory, 'restart');
+  const before = new FileSystemCacheStore({ directory });
+  await before.set('key', 'value', { kind: 'extraction' });
+  await before.close();
+  const after = new FileSystemCacheStore({ directory });
+  const entry = await after.get('key');
+  await after.close();
+  if (entry?.value === 'value' && entry.metadata.kind === 'extraction') {
+    passCount++;
+    console.log('   ✅ fs entries survive a restart');
+  } else {
+    failCount++;
+    console.log(`   ❌ fs entries survive a restart: got ${JSON.stringify(entry)}`);
+  }
+
+  fs.rmSync(tempDirectory, { recursive: true, force: true });
+
+  const totalTests = passCount + failCount;
+  console.log('\n' + '='.repeat(80));
+  console.log(`🎉 Test Results Summary:`);
+  console.log(`   Total Tests: ${totalTests}`);
+  console.log(`   Passed: ${passCount} ✅`);
+  console.log(`   Failed: ${failCount} ❌`);
+  console.log(`   Success Rate: ${((passCount / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(80));
+  if (failCount > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runTests();
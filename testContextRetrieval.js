@@ -0,0 +1,175 @@
+/**
+ * Test script for per-diagram context retrieval
+ */
+
+import { Bm25Index, chunkFile, createRetrievalIndex, tokenize } from './utils/contextRetrieval.js';
+
+const files = [
+  {
+    path: 'Dockerfile',
+    content: 'FROM node:20-alpine\nWORKDIR /app\nCOPY . .\nRUN npm ci\nEXPOSE 3001\nCMD ["node", "server.js"]'
+  },
+  {
+    path: 'prisma/schema.prisma',
+    content: 'model User {\n  id Int @id\n  posts Post[]\n}\n\nmodel Post {\n  id Int @id\n  authorId Int\n  author User @relation(fields: [authorId], references: [id])\n}'
+  },
+  {
+    path: 'src/routes/users.js',
+    content: 'router.get("/users", async (request, response) => {\n  const users = await userService.list();\n  response.json(users);\n});'
+  },
+  {
+    path: 'src/utils/format.js',
+    content: 'export function formatDate(date) {\n  return date.toISOString();\n}'
+  }
+];
+
+const tests = [
+  {
+    name: 'tokenize splits identifiers and drops plural endings',
+    run: () => tokenize('getUserAccounts user_accounts user-name API x').join() === 'get,user,account,user,account,user,name,api'
+  },
+  {
+    name: 'chunkFile splits every 40 lines and skips blank chunks',
+    run() {
+      const content = [...Array(90).keys()].map(line => `line ${line + 1}`).join('\n') + '\n' + '\n'.repeat(45);
+      const chunks = chunkFile('big.js', content, 3);
+      return chunks.length === 3 &&
+        chunks.map(chunk => `${chunk.start}-${chunk.end}`).join() === '1-40,41-80,81-120' &&
+        chunks[0].path === 'big.js' && chunks[0].rank === 3 && chunks[0].tokens > 0;
+    }
+  },
+  {
+    name: 'BM25 ranks the document with more query terms first',
+    run() {
+      const index = new Bm25Index([
+        ['docker', 'image', 'build'],
+        ['docker', 'compose', 'service', 'docker'],
+        ['react', 'component', 'state']
+      ]);
+      const scores = index.score(['docker', 'compose']);
+      return scores[1] > scores[0] && scores[0] > 0 && scores[2] === 0;
+    }
+  },
+  {
+    name: 'BM25 weighs rare terms above common ones',
+    run() {
+      const index = new Bm25Index([
+        ['api', 'route', 'handler'],
+        ['api', 'schema', 'migration'],
+        ['api', 'client'],
+        ['api', 'server']
+      ]);
+      const scores = index.score(['api', 'migration']);
+      return scores[1] > scores[0] && scores[0] > 0;
+    }
+  },
+  {
+    name: 'BM25 favours the shorter of two documents with the same matches',
+    run() {
+      const index = new Bm25Index([
+        ['queue', 'worker', 'retry', 'backoff', 'timeout', 'logger', 'metric', 'config'],
+        ['queue', 'worker']
+      ]);
+      const [long, short] = index.score(['queue']);
+      return short > long && long > 0;
+    }
+  },
+  {
+    name: 'BM25 ignores unknown query terms and handles an empty corpus',
+    run() {
+      const scores = new Bm25Index([['docker']]).score(['kubernetes']);
+      return scores.join() === '0' && new Bm25Index([]).score(['docker']).length === 0;
+    }
+  },
+  {
+    name: 'contextFor puts the best matching files first for each diagram kind',
+    run() {
+      const index = createRetrievalIndex(corpus());
+      const deployment = index.contextFor({ title: 'Deployment', retrievalQuery: 'docker container server node' }, 10000);
+      const dataModel = index.contextFor({ title: 'Data Model', retrievalQuery: 'model schema relation prisma' }, 10000);
+      return deployment.files[0].path === 'Dockerfile' && dataModel.files[0].path === 'prisma/schema.prisma' &&
+        deployment.files.length === files.length && deployment.content.includes('--- Dockerfile ---');
+    }
+  },
+  {
+    name: 'contextFor keeps within the token budget and drops the weakest files',
+    run() {
+      const index = createRetrievalIndex(corpus());
+      const kind = { title: 'Data Model', retrievalQuery: 'model schema relation prisma' };
+      const full = index.contextFor(kind, 10000);
+      const budget = full.tokens - 40;
+      const tight = index.contextFor(kind, budget);
+      return tight.tokens <= budget && tight.files.length < full.files.length &&
+        tight.files[0].path === 'prisma/schema.prisma' && tight.content.includes('Files included: ' + tight.files.length + ' of 4');
+    }
+  },
+  {
+    name: 'contextFor adds git history only for kinds that need it',
+    run() {
+      const index = createRetrievalIndex(corpus());
+      const timeline = index.contextFor({ title: 'Timeline', retrievalQuery: 'release', needsGitHistory: true }, 10000);
+      const classes = index.contextFor({ title: 'Classes', retrievalQuery: 'class' }, 10000);
+      return timeline.content.includes('=== GIT HISTORY ===') && !classes.content.includes('=== GIT HISTORY ===');
+    }
+  },
+  {
+    name: 'contextFor labels partial files with their line range',
+    run() {
+      const long = [...Array(60).keys()].map(line => (line < 40 ? `const unrelated${line} = ${line};` : `docker container ${line}`)).join('\n');
+      const chunks = chunkFile('deploy.js', long, 0);
+      const index = createRetrievalIndex({ preamble: '', history: '', summaries: '', fileCount: 1, chunks });
+      const kind = { title: 'Deployment', retrievalQuery: 'docker container' };
+      // Too little room left for the unrelated first chunk
+      const { content } = index.contextFor(kind, index.contextFor(kind, 10000).tokens - chunks[0].tokens / 2);
+      return content.includes('--- deploy.js (lines 41-60) ---') && !content.includes(chunks[0].text);
+    }
+  }
+];
+
+function corpus() {
+  return {
+    preamble: '=== REPOSITORY ===\nexample/app\n\n',
+    history: '=== GIT HISTORY ===\nv1.0.0 release\n\n',
+    summaries: '',
+    fileCount: files.length,
+    chunks: files.flatMap((file, rank) => chunkFile(file.path, file.content, rank))
+  };
+}
+
+function runTests() {
+  console.log('🚀 Testing per-diagram context retrieval...\n');
+  let passCount = 0;
+  let failCount = 0;
+
+  tests.forEach(test => {
+    let passed = false;
+    let detail = 'unexpected result';
+    try {
+      passed = test.run();
+    } catch (error) {
+      detail = error.message;
+    }
+    if (passed) {
+      passCount++;
+      console.log(`   ✅ ${test.name}`);
+    } else {
+      failCount++;
+      console.log(`   ❌ ${test.name}: ${detail}`);
+    }
+  });
+
+  const totalTests = passCount + failCount;
+  console.log('\n' + '='.repeat(80));
+  console.log(`🎉 Test Results Summary:`);
+  console.log(`   Total Tests: ${totalTests}`);
+  console.log(`   Passed: ${passCount} ✅`);
+  console.log(`   Failed: ${failCount} ❌`);
+  console.log(`   Success Rate: ${((passCount / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(80));
+  if (failCount > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runTests();
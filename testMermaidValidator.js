@@ -66,6 +66,22 @@ const validDiagrams = [
       D --> F[Success page]
       E --> A`
   },
+  {
+    name: 'ER Diagram with cardinality markers',
+    code: `erDiagram
+      CUSTOMER ||--o{ ORDER : places
+      ORDER ||--|{ LINE_ITEM : contains
+      CUSTOMER {
+        string name
+      }`
+  },
+  {
+    name: 'C4 Context with quoted labels',
+    code: `C4Context
+      Person(user, "User")
+      System(app, "GitMermaid")
+      Rel(user, app, "Uses")`
+  },
   {
     name: 'Different Arrow Types',
     code: `graph TD
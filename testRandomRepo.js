@@ -54,12 +54,14 @@ async function testSingleRepository(repo, index) {
 
     const data = await response.json();
     
-    // Save only the raw endpoint output
+    // Save the raw endpoint output
     const timestamp = formatDateTime();
     const filename = `diagram_${index}_${repo.name.replace(/\s+/g, '_')}_${timestamp}.md`;
     const filepath = path.join(__dirname, filename);
     
     fs.writeFileSync(filepath, data.diagramCode);
+    // Structured diagrams next to the markdown, one entry per diagram
+    fs.writeFileSync(filepath.replace(/\.md$/, '.json'), JSON.stringify(data.diagrams, null, 2));
     
     console.log(colorize('green', `  ${index}: ${repo.name} - ✅ SUCCESS (${duration}ms) - Saved to: ${filename}`));
     
@@ -0,0 +1,223 @@
+/**
+ * Test script for the bounded work queues
+ */
+
+import { ConcurrencyLimiter, QueueFullError, SharedRuns } from './utils/workQueue.js';
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Settles only when the signal aborts, rejecting like a cancelled fetch would
+function untilAborted(signal) {
+  return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason), { once: true }));
+}
+
+const tests = [
+  {
+    name: 'Limiter runs at most `concurrency` tasks, in FIFO order',
+    async run() {
+      const limiter = new ConcurrencyLimiter('test', 2);
+      const gates = [deferred(), deferred(), deferred(), deferred()];
+      const started = [];
+      let active = 0;
+      let maxActive = 0;
+      const runs = gates.map((gate, index) => limiter.run(async () => {
+        started.push(index);
+        maxActive = Math.max(maxActive, ++active);
+        await gate.promise;
+        active--;
+        return index;
+      }));
+
+      await tick();
+      const waitingBefore = limiter.stats().waiting;
+      gates.forEach(gate => gate.resolve());
+      const results = await Promise.all(runs);
+      return maxActive === 2 && waitingBefore === 2 && started.join() === '0,1,2,3' &&
+        results.join() === '0,1,2,3' && limiter.stats().active === 0;
+    }
+  },
+  {
+    name: 'Limiter rejects with QueueFullError beyond maxPending',
+    async run() {
+      const limiter = new ConcurrencyLimiter('test', 1, 1);
+      const gate = deferred();
+      const first = limiter.run(() => gate.promise);
+      const second = limiter.run(async () => 'second');
+      let error = null;
+      try {
+        await limiter.run(async () => 'third');
+      } catch (caught) {
+        error = caught;
+      }
+      gate.resolve();
+      await Promise.all([first, second]);
+      return error instanceof QueueFullError && error.queueName === 'test';
+    }
+  },
+  {
+    name: 'Aborting a waiting task drops it without running it and renumbers the queue',
+    async run() {
+      const limiter = new ConcurrencyLimiter('test', 1);
+      const gate = deferred();
+      const controller = new AbortController();
+      const ran = [];
+      const positions = [];
+      const first = limiter.run(() => gate.promise);
+      const aborted = limiter.run(async () => ran.push('aborted'), { signal: controller.signal });
+      const last = limiter.run(async () => ran.push('last'), { onQueue: position => positions.push(position) });
+
+      controller.abort(new Error('Client went away'));
+      let reason = null;
+      try {
+        await aborted;
+      } catch (error) {
+        reason = error.message;
+      }
+      gate.resolve();
+      await Promise.all([first, last]);
+      return reason === 'Client went away' && ran.join() === 'last' &&
+        positions.join() === '2,1,0' && limiter.stats().active === 0 && limiter.stats().waiting === 0;
+    }
+  },
+  {
+    name: 'Limiter rejects an already aborted signal while busy',
+    async run() {
+      const limiter = new ConcurrencyLimiter('test', 1);
+      const gate = deferred();
+      const first = limiter.run(() => gate.promise);
+      let rejected = false;
+      try {
+        await limiter.run(async () => 'never', { signal: AbortSignal.abort() });
+      } catch {
+        rejected = true;
+      }
+      gate.resolve();
+      await first;
+      return rejected && limiter.stats().waiting === 0;
+    }
+  },
+  {
+    name: 'SharedRuns starts one run per key and replays progress to late callers',
+    async run() {
+      const shared = new SharedRuns();
+      const gate = deferred();
+      let starts = 0;
+      const start = async ({ onProgress }) => {
+        starts++;
+        onProgress('cloning');
+        await gate.promise;
+        onProgress('done');
+        return 'result';
+      };
+      const firstEvents = [];
+      const secondEvents = [];
+      const first = shared.run('repo@main', start, { onProgress: event => firstEvents.push(event) });
+      await tick();
+      const second = shared.run('repo@main', start, { onProgress: event => secondEvents.push(event) });
+      gate.resolve();
+      const results = await Promise.all([first, second]);
+      return starts === 1 && results.join() === 'result,result' &&
+        firstEvents.join() === 'cloning,done' && secondEvents.join() === 'cloning,done' && shared.size === 0;
+    }
+  },
+  {
+    name: 'SharedRuns keeps running while one caller remains',
+    async run() {
+      const shared = new SharedRuns();
+      const gate = deferred();
+      let runSignal = null;
+      const start = async ({ signal }) => {
+        runSignal = signal;
+        await gate.promise;
+        return 'result';
+      };
+      const leaving = new AbortController();
+      const first = shared.run('repo', start, { signal: leaving.signal });
+      const second = shared.run('repo', start);
+      await tick();
+      leaving.abort();
+      gate.resolve();
+      const results = await Promise.all([first, second]);
+      return !runSignal.aborted && results.join() === 'result,result';
+    }
+  },
+  {
+    name: 'SharedRuns aborts the run once every caller has left, and the next caller starts afresh',
+    async run() {
+      const shared = new SharedRuns();
+      let starts = 0;
+      const start = ({ signal }) => {
+        starts++;
+        return untilAborted(signal);
+      };
+      const callers = [new AbortController(), new AbortController()];
+      const runs = callers.map(controller => shared.run('repo', start, { signal: controller.signal }).catch(error => error));
+      await tick();
+      callers.forEach(controller => controller.abort());
+      const outcomes = await Promise.all(runs);
+      const cancelled = outcomes.every(outcome => outcome?.name === 'AbortError');
+
+      const fresh = new AbortController();
+      const next = shared.run('repo', start, { signal: fresh.signal }).catch(error => error);
+      await tick();
+      const startsAfterRejoin = starts;
+      fresh.abort();
+      await next;
+      return cancelled && startsAfterRejoin === 2 && shared.size === 0;
+    }
+  },
+  {
+    name: 'SharedRuns never shares a null key',
+    async run() {
+      const shared = new SharedRuns();
+      let starts = 0;
+      const start = async () => ++starts;
+      const results = await Promise.all([shared.run(null, start), shared.run(null, start)]);
+      return starts === 2 && results.sort().join() === '1,2';
+    }
+  }
+];
+
+async function runTests() {
+  console.log('🚀 Testing the bounded work queues...\n');
+  let passCount = 0;
+  let failCount = 0;
+
+  for (const test of tests) {
+    let passed = false;
+    let detail = 'unexpected result';
+    try {
+      passed = await test.run();
+    } catch (error) {
+      detail = error.message;
+    }
+    if (passed) {
+      passCount++;
+      console.log(`   ✅ ${test.name}`);
+    } else {
+      failCount++;
+      console.log(`   ❌ ${test.name}: ${detail}`);
+    }
+  }
+
+  const totalTests = passCount + failCount;
+  console.log('\n' + '='.repeat(80));
+  console.log(`🎉 Test Results Summary:`);
+  console.log(`   Total Tests: ${totalTests}`);
+  console.log(`   Passed: ${passCount} ✅`);
+  console.log(`   Failed: ${failCount} ❌`);
+  console.log(`   Success Rate: ${((passCount / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(80));
+  if (failCount > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runTests();
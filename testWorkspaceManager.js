@@ -0,0 +1,145 @@
+/**
+ * Test script for clone workspaces and their disk quota
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { WorkspaceManager, WorkspaceQuotaError } from './utils/workspaceManager.js';
+
+const tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-test-'));
+let managerCount = 0;
+
+async function createManager(config) {
+  const manager = new WorkspaceManager({ root: path.join(tempDirectory, `root-${++managerCount}`), ...config });
+  await manager.init();
+  return manager;
+}
+
+async function rejectsWithQuota(promise) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error instanceof WorkspaceQuotaError;
+  }
+}
+
+const tests = [
+  {
+    name: 'Concurrent creates cannot reserve more than the quota together',
+    async run() {
+      const manager = await createManager({ maxBytes: 1000 });
+      const outcomes = await Promise.allSettled([1, 2, 3].map(() => manager.create({ expectedBytes: 400 })));
+      const created = outcomes.filter(outcome => outcome.status === 'fulfilled');
+      const refused = outcomes.filter(outcome => outcome.reason instanceof WorkspaceQuotaError);
+      return created.length === 2 && refused.length === 1 && manager.accountedBytes() === 800;
+    }
+  },
+  {
+    name: 'Settling replaces the reservation with the measured size',
+    async run() {
+      const manager = await createManager({ maxBytes: 1000 });
+      const dir = await manager.create({ expectedBytes: 900 });
+      const blocked = await rejectsWithQuota(manager.create({ expectedBytes: 200 }));
+      fs.writeFileSync(path.join(dir, 'file.txt'), 'x'.repeat(100));
+      const bytes = await manager.settle(dir);
+      const other = await manager.create({ expectedBytes: 200 });
+      return blocked && bytes === 100 && manager.accountedBytes() === 300 && fs.existsSync(other);
+    }
+  },
+  {
+    name: 'Settling fails when a workspace outgrew its reservation and the quota',
+    async run() {
+      const manager = await createManager({ maxBytes: 1000 });
+      const dir = await manager.create({ expectedBytes: 100 });
+      await manager.create({ expectedBytes: 500 });
+      fs.writeFileSync(path.join(dir, 'file.txt'), 'x'.repeat(600));
+      return rejectsWithQuota(manager.settle(dir));
+    }
+  },
+  {
+    name: 'Releasing a workspace frees its reservation',
+    async run() {
+      const manager = await createManager({ maxBytes: 1000 });
+      const dir = await manager.create({ expectedBytes: 1000 });
+      const blocked = await rejectsWithQuota(manager.create({ expectedBytes: 1 }));
+      await manager.release(dir);
+      await manager.create({ expectedBytes: 1000 });
+      return blocked && !fs.existsSync(dir);
+    }
+  },
+  {
+    name: 'A reservation larger than the quota only needs an empty root',
+    async run() {
+      const manager = await createManager({ maxBytes: 1000 });
+      await manager.create({ expectedBytes: 5000 });
+      return manager.accountedBytes() === 1000 && rejectsWithQuota(manager.create({ expectedBytes: 1 }));
+    }
+  },
+  {
+    name: 'Detached workspaces keep counting until the janitor removes them',
+    async run() {
+      const manager = await createManager({ maxBytes: 1000, orphanAgeMs: 0 });
+      const dir = await manager.create({ expectedBytes: 100 });
+      fs.writeFileSync(path.join(dir, 'file.txt'), 'x'.repeat(300));
+      await manager.settle(dir);
+      manager.detach(dir);
+      const countedWhileDetached = manager.accountedBytes();
+      const removed = await manager.sweep();
+      return countedWhileDetached === 300 && removed === 1 && manager.accountedBytes() === 0 && !fs.existsSync(dir);
+    }
+  },
+  {
+    name: 'Sweeping measures what other processes left under the root',
+    async run() {
+      const manager = await createManager({ maxBytes: 1000 });
+      // Named after a live process (this one's parent), so it is kept and counted
+      const foreign = path.join(manager.root, `ws-${process.ppid}-${Date.now()}-test`);
+      fs.mkdirSync(foreign);
+      fs.writeFileSync(path.join(foreign, 'file.txt'), 'x'.repeat(700));
+      await manager.sweep();
+      return manager.accountedBytes() === 700 && rejectsWithQuota(manager.create({ expectedBytes: 400 }));
+    }
+  }
+];
+
+async function runTests() {
+  console.log('🚀 Testing clone workspaces...\n');
+  let passCount = 0;
+  let failCount = 0;
+
+  for (const test of tests) {
+    let passed = false;
+    let detail = 'unexpected result';
+    try {
+      passed = await test.run();
+    } catch (error) {
+      detail = error.message;
+    }
+    if (passed) {
+      passCount++;
+      console.log(`   ✅ ${test.name}`);
+    } else {
+      failCount++;
+      console.log(`   ❌ ${test.name}: ${detail}`);
+    }
+  }
+
+  fs.rmSync(tempDirectory, { recursive: true, force: true });
+
+  const totalTests = passCount + failCount;
+  console.log('\n' + '='.repeat(80));
+  console.log(`🎉 Test Results Summary:`);
+  console.log(`   Total Tests: ${totalTests}`);
+  console.log(`   Passed: ${passCount} ✅`);
+  console.log(`   Failed: ${failCount} ❌`);
+  console.log(`   Success Rate: ${((passCount / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(80));
+  if (failCount > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,505 @@
+/**
+ * Key-value storage behind the extraction and diagram cache
+ * CacheStore describes the interface and owns expiry, LRU eviction and
+ * statistics; FileSystemCacheStore, MemoryCacheStore and SqliteCacheStore
+ * only decide where entries live. Pick one with CACHE_BACKEND
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'cache');
+// Entries never go stale (a commit's content is immutable); expiry only bounds disk usage
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const DEFAULT_MAX_BYTES = 500 * 1024 * 1024; // 500MB
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_SWEEP_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+export const CacheBackend = {
+  FILESYSTEM: 'fs',
+  MEMORY: 'memory',
+  SQLITE: 'sqlite'
+};
+
+function parseNumber(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Reads cache configuration from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} - Normalized cache configuration
+ */
+export function getCacheConfig(env = process.env) {
+  return {
+    backend: (env.CACHE_BACKEND || CacheBackend.FILESYSTEM).trim().toLowerCase(),
+    directory: env.CACHE_DIR || DEFAULT_CACHE_DIR,
+    ttlMs: parseNumber(env.CACHE_TTL_MS, DEFAULT_TTL_MS),
+    maxBytes: parseNumber(env.CACHE_MAX_BYTES, DEFAULT_MAX_BYTES),
+    maxEntries: parseNumber(env.CACHE_MAX_ENTRIES, DEFAULT_MAX_ENTRIES),
+    sweepIntervalMs: parseNumber(env.CACHE_SWEEP_INTERVAL_MS, DEFAULT_SWEEP_INTERVAL_MS)
+  };
+}
+
+/**
+ * Interface every cache backend must implement
+ * Backends provide the read*, write*, remove* and clear* primitives;
+ * the public async methods add expiry, eviction and hit/miss statistics
+ * Entries are { key, value (string), metadata (object), size, createdAt, accessedAt }
+ */
+export class CacheStore {
+  constructor({ ttlMs = DEFAULT_TTL_MS, maxBytes = DEFAULT_MAX_BYTES, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxBytes = maxBytes;
+    this.maxEntries = maxEntries;
+    this.counters = { hits: 0, misses: 0, writes: 0, evictions: 0, expirations: 0 };
+    this.sweepTimer = null;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - { value, metadata } or null if missing/expired
+   */
+  async get(key) {
+    const entry = this.readEntry(key);
+    if (!entry) {
+      this.counters.misses++;
+      return null;
+    }
+
+    if (this.isExpired(entry)) {
+      this.removeEntry(key);
+      this.counters.expirations++;
+      this.counters.misses++;
+      return null;
+    }
+
+    this.counters.hits++;
+    this.touchEntry(key, Date.now());
+    return { value: entry.value, metadata: entry.metadata };
+  }
+
+  /**
+   * Stores a value, then evicts least recently used entries over the limits
+   * @param {string} key - Cache key
+   * @param {string} value - Serialized content
+   * @param {Object} metadata - Small JSON-serializable description of the entry
+   */
+  async set(key, value, metadata = {}) {
+    const now = Date.now();
+    this.writeEntry({
+      key,
+      value,
+      metadata,
+      size: Buffer.byteLength(value, 'utf8'),
+      createdAt: now,
+      accessedAt: now
+    });
+    this.counters.writes++;
+    this.evict();
+  }
+
+  /**
+   * @returns {Promise<boolean>} - True if an entry was removed
+   */
+  async delete(key) {
+    return this.removeEntry(key);
+  }
+
+  async clear() {
+    this.clearEntries();
+  }
+
+  /**
+   * @returns {Promise<Array>} - Every entry without its value: { key, metadata, size, createdAt, accessedAt, expired }
+   */
+  async list() {
+    return this.listEntries().map(entry => ({ ...entry, expired: this.isExpired(entry) }));
+  }
+
+  /**
+   * @returns {Promise<Object>} - Entry counts, sizes, limits and hit/miss counters since startup
+   */
+  async stats() {
+    const entries = this.listEntries();
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      backend: this.backend,
+      entries: entries.length,
+      bytes: entries.reduce((total, entry) => total + entry.size, 0),
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttlMs: this.ttlMs,
+      ...this.counters,
+      hitRate: lookups > 0 ? this.counters.hits / lookups : 0
+    };
+  }
+
+  /**
+   * Removes expired entries
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async sweep() {
+    let removed = 0;
+    for (const entry of this.listEntries()) {
+      if (this.isExpired(entry) && this.removeEntry(entry.key)) {
+        removed++;
+      }
+    }
+    this.counters.expirations += removed;
+    return removed;
+  }
+
+  /**
+   * Sweeps expired entries periodically without keeping the process alive
+   */
+  startSweeper(intervalMs = DEFAULT_SWEEP_INTERVAL_MS) {
+    this.stopSweeper();
+    if (!(intervalMs > 0)) {
+      return;
+    }
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep()
+        .then(removed => removed > 0 && console.log(`🧹 Swept ${removed} expired cache entries`))
+        .catch(error => console.warn('Cache sweep failed:', error.message));
+    }, intervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stopSweeper() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  async close() {
+    this.stopSweeper();
+  }
+
+  isExpired(entry) {
+    return Date.now() - entry.createdAt > this.ttlMs;
+  }
+
+  /**
+   * Drops least recently used entries until both limits hold
+   */
+  evict() {
+    const entries = this.listEntries().sort((a, b) => a.accessedAt - b.accessedAt);
+    let count = entries.length;
+    let bytes = entries.reduce((total, entry) => total + entry.size, 0);
+
+    for (const entry of entries) {
+      if (count <= this.maxEntries && bytes <= this.maxBytes) {
+        break;
+      }
+      if (this.removeEntry(entry.key)) {
+        count--;
+        bytes -= entry.size;
+        this.counters.evictions++;
+      }
+    }
+  }
+
+  readEntry(key) {
+    throw new Error(`${this.constructor.name}.readEntry not implemented`);
+  }
+
+  writeEntry(entry) {
+    throw new Error(`${this.constructor.name}.writeEntry not implemented`);
+  }
+
+  touchEntry(key, accessedAt) {
+    throw new Error(`${this.constructor.name}.touchEntry not implemented`);
+  }
+
+  removeEntry(key) {
+    throw new Error(`${this.constructor.name}.removeEntry not implemented`);
+  }
+
+  clearEntries() {
+    throw new Error(`${this.constructor.name}.clearEntries not implemented`);
+  }
+
+  /**
+   * @returns {Array} - Every entry without its value
+   */
+  listEntries() {
+    throw new Error(`${this.constructor.name}.listEntries not implemented`);
+  }
+}
+
+/**
+ * Process-local LRU cache; a Map keeps entries in least-recently-used order
+ */
+export class MemoryCacheStore extends CacheStore {
+  constructor(config = {}) {
+    super(config);
+    this.backend = CacheBackend.MEMORY;
+    this.entries = new Map();
+  }
+
+  readEntry(key) {
+    return this.entries.get(key) || null;
+  }
+
+  writeEntry(entry) {
+    // Deleting first moves a replaced entry to the most recently used end
+    this.entries.delete(entry.key);
+    this.entries.set(entry.key, entry);
+  }
+
+  touchEntry(key, accessedAt) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Re-inserting moves the entry to the most recently used end
+      this.entries.delete(key);
+      this.entries.set(key, { ...entry, accessedAt });
+    }
+  }
+
+  removeEntry(key) {
+    return this.entries.delete(key);
+  }
+
+  clearEntries() {
+    this.entries.clear();
+  }
+
+  listEntries() {
+    return [...this.entries.values()].map(({ value, ...entry }) => entry);
+  }
+}
+
+/**
+ * One value file and one metadata file per entry under <directory>/entries
+ * Every file is written to a temporary name and renamed into place, so
+ * readers never see partial writes and concurrent sets never clobber
+ * each other's entries (there is no shared index file to rewrite)
+ */
+export class FileSystemCacheStore extends CacheStore {
+  constructor(config = {}) {
+    super(config);
+    this.backend = CacheBackend.FILESYSTEM;
+    this.directory = path.join(config.directory || DEFAULT_CACHE_DIR, 'entries');
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    // Metadata of every entry, rebuilt from disk so restarts keep the cache
+    this.index = new Map();
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.meta.json')) continue;
+      try {
+        const entry = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        this.index.set(entry.key, entry);
+      } catch (error) {
+        console.warn(`Ignoring unreadable cache entry ${file}:`, error.message);
+      }
+    }
+  }
+
+  entryPaths(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex').substring(0, 32);
+    return {
+      valuePath: path.join(this.directory, `${hash}.data`),
+      metaPath: path.join(this.directory, `${hash}.meta.json`)
+    };
+  }
+
+  writeAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    try {
+      fs.writeFileSync(tempPath, content, 'utf8');
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  readEntry(key) {
+    const entry = this.index.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    try {
+      const value = fs.readFileSync(this.entryPaths(key).valuePath, 'utf8');
+      return { ...entry, value };
+    } catch (error) {
+      console.warn(`Cache file missing for ${key}:`, error.message);
+      this.removeEntry(key);
+      return null;
+    }
+  }
+
+  writeEntry({ value, ...entry }) {
+    const { valuePath, metaPath } = this.entryPaths(entry.key);
+    // Value first: a metadata file always points at a complete value
+    this.writeAtomic(valuePath, value);
+    this.writeAtomic(metaPath, JSON.stringify(entry));
+    this.index.set(entry.key, entry);
+  }
+
+  touchEntry(key, accessedAt) {
+    const entry = this.index.get(key);
+    if (entry) {
+      // Recency is kept in memory only; a restart falls back to the last write time
+      entry.accessedAt = accessedAt;
+    }
+  }
+
+  removeEntry(key) {
+    const existed = this.index.delete(key);
+    const { valuePath, metaPath } = this.entryPaths(key);
+    fs.rmSync(metaPath, { force: true });
+    fs.rmSync(valuePath, { force: true });
+    return existed;
+  }
+
+  clearEntries() {
+    for (const entryKey of [...this.index.keys()]) {
+      this.removeEntry(entryKey);
+    }
+  }
+
+  listEntries() {
+    return [...this.index.values()].map(entry => ({ ...entry }));
+  }
+}
+
+/**
+ * Single SQLite file (<directory>/cache.sqlite); writes are transactional
+ * and safe across processes sharing the file
+ */
+export class SqliteCacheStore extends CacheStore {
+  constructor(config = {}, Database) {
+    super(config);
+    this.backend = CacheBackend.SQLITE;
+
+    const directory = config.directory || DEFAULT_CACHE_DIR;
+    fs.mkdirSync(directory, { recursive: true });
+    this.db = new Database(path.join(directory, 'cache.sqlite'));
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS entries (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        metadata TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        accessed_at INTEGER NOT NULL
+      )
+    `);
+
+    this.statements = {
+      read: this.db.prepare('SELECT key, value, metadata, size, created_at, accessed_at FROM entries WHERE key = ?'),
+      write: this.db.prepare(`
+        INSERT OR REPLACE INTO entries (key, value, metadata, size, created_at, accessed_at)
+        VALUES (@key, @value, @metadata, @size, @createdAt, @accessedAt)
+      `),
+      touch: this.db.prepare('UPDATE entries SET accessed_at = ? WHERE key = ?'),
+      remove: this.db.prepare('DELETE FROM entries WHERE key = ?'),
+      clear: this.db.prepare('DELETE FROM entries'),
+      list: this.db.prepare('SELECT key, metadata, size, created_at, accessed_at FROM entries')
+    };
+  }
+
+  static toEntry(row) {
+    const entry = {
+      key: row.key,
+      metadata: JSON.parse(row.metadata),
+      size: row.size,
+      createdAt: row.created_at,
+      accessedAt: row.accessed_at
+    };
+    if (row.value !== undefined) {
+      entry.value = row.value;
+    }
+    return entry;
+  }
+
+  readEntry(key) {
+    const row = this.statements.read.get(key);
+    return row ? SqliteCacheStore.toEntry(row) : null;
+  }
+
+  writeEntry(entry) {
+    this.statements.write.run({ ...entry, metadata: JSON.stringify(entry.metadata) });
+  }
+
+  touchEntry(key, accessedAt) {
+    this.statements.touch.run(accessedAt, key);
+  }
+
+  removeEntry(key) {
+    return this.statements.remove.run(key).changes > 0;
+  }
+
+  clearEntries() {
+    this.statements.clear.run();
+  }
+
+  listEntries() {
+    return this.statements.list.all().map(row => SqliteCacheStore.toEntry(row));
+  }
+
+  evict() {
+    // One transaction so concurrent writers never evict past each other
+    this.db.transaction(() => super.evict())();
+  }
+
+  async close() {
+    await super.close();
+    this.db.close();
+  }
+}
+
+/**
+ * Creates the configured cache backend and starts its sweeper
+ * @param {Object} config - See getCacheConfig
+ * @returns {Promise<CacheStore>}
+ */
+export async function createCacheStore(config = getCacheConfig()) {
+  let store;
+  switch (config.backend) {
+    case CacheBackend.FILESYSTEM:
+      store = new FileSystemCacheStore(config);
+      break;
+    case CacheBackend.MEMORY:
+      store = new MemoryCacheStore(config);
+      break;
+    case CacheBackend.SQLITE: {
+      // Optional native module, only loaded when the backend is selected
+      let Database;
+      try {
+        ({ default: Database } = await import('better-sqlite3'));
+      } catch (error) {
+        throw new Error(`CACHE_BACKEND "sqlite" needs the optional better-sqlite3 module (Node 20 or later): ${error.message}`);
+      }
+      store = new SqliteCacheStore(config, Database);
+      break;
+    }
+    default:
+      throw new Error(`Unknown CACHE_BACKEND "${config.backend}". Expected one of: ${Object.values(CacheBackend).join(', ')}`);
+  }
+
+  store.startSweeper(config.sweepIntervalMs);
+  return store;
+}
+
+export default {
+  CacheBackend,
+  CacheStore,
+  MemoryCacheStore,
+  FileSystemCacheStore,
+  SqliteCacheStore,
+  getCacheConfig,
+  createCacheStore
+};
@@ -0,0 +1,315 @@
+/**
+ * Code skeletons: a file's outline without its function bodies
+ * Keeps imports/exports, type, class and function signatures, doc comments and
+ * route declarations, so a large file costs a fraction of its size in the context.
+ * Scanning is line based and heuristic; it never has to produce valid code
+ */
+
+import path from 'path';
+
+/**
+ * When the context packer uses skeletons
+ */
+export const SkeletonMode = {
+  OFF: 'off', // Full content only
+  FALLBACK: 'fallback', // Skeleton when the full file is truncated or does not fit the budget
+  ALWAYS: 'always' // Skeleton for every supported source file
+};
+
+const OMITTED = '...';
+
+// A skeleton that saves less than this is not worth losing the bodies for
+const MIN_SAVING = 0.1;
+
+/**
+ * Brace languages and the string delimiters their scanner must skip
+ * `multiline` delimiters may span lines (template literals, raw strings, text blocks)
+ */
+const BRACE_LANGUAGES = {
+  javascript: { quotes: ['"', "'"], multiline: ['`'] },
+  go: { quotes: ['"', "'"], multiline: ['`'], rawMultiline: true },
+  java: { quotes: ['"', "'"], multiline: ['"""'] },
+  rust: { quotes: ['"'], multiline: [] }, // ' also marks lifetimes
+  c: { quotes: ['"', "'"], multiline: [] }
+};
+
+const LANGUAGE_BY_EXTENSION = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascript',
+  '.ts': 'javascript', '.tsx': 'javascript', '.mts': 'javascript', '.cts': 'javascript',
+  '.go': 'go',
+  '.java': 'java', '.kt': 'java', '.kts': 'java', '.scala': 'java', '.cs': 'java', '.swift': 'java',
+  '.rs': 'rust',
+  '.c': 'c', '.h': 'c', '.cc': 'c', '.cpp': 'c', '.hpp': 'c', '.php': 'c',
+  '.py': 'python'
+};
+
+// Route registrations worth keeping even inside a function body (Express, Go mux, Flask, FastAPI, Django...)
+const ROUTE_PATTERN = new RegExp([
+  String.raw`\.(get|post|put|patch|delete|head|options|all|use|route|handle|handlefunc|any|group|mount|add_url_rule|add_api_route|api_route|websocket)\s*\(\s*r?[\x60'"]\/`,
+  String.raw`\b(re_)?path\s*\(\s*r?['"]`,
+  String.raw`\.(register_blueprint|include_router|include)\s*\(`
+].join('|'), 'i');
+
+/**
+ * Language of a file, from its extension
+ * @param {string} filePath
+ * @returns {string|null} - Key of a supported language, or null
+ */
+export function getSkeletonLanguage(filePath) {
+  return LANGUAGE_BY_EXTENSION[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Replaces string contents and comments with spaces so braces can be counted
+ * `state` carries open block comments and multi-line strings across lines
+ */
+function stripLine(line, state, language) {
+  let out = '';
+  let i = 0;
+
+  while (i < line.length) {
+    if (state.blockComment) {
+      const end = line.indexOf('*/', i);
+      if (end === -1) {
+        return out + ' '.repeat(line.length - i);
+      }
+      out += ' '.repeat(end + 2 - i);
+      i = end + 2;
+      state.blockComment = false;
+      continue;
+    }
+
+    if (state.string) {
+      const { delimiter, raw } = state.string;
+      if (!raw && line[i] === '\\') {
+        out += '  ';
+        i += 2;
+        continue;
+      }
+      if (line.startsWith(delimiter, i)) {
+        out += ' '.repeat(delimiter.length);
+        i += delimiter.length;
+        state.string = null;
+        continue;
+      }
+      out += ' ';
+      i++;
+      continue;
+    }
+
+    if (line.startsWith('//', i)) {
+      return out + ' '.repeat(line.length - i);
+    }
+    if (line.startsWith('/*', i)) {
+      state.blockComment = true;
+      out += '  ';
+      i += 2;
+      continue;
+    }
+
+    const multiline = language.multiline.find(delimiter => line.startsWith(delimiter, i));
+    const quote = multiline || language.quotes.find(delimiter => line.startsWith(delimiter, i));
+    if (quote) {
+      state.string = { delimiter: quote, multiline: Boolean(multiline), raw: Boolean(multiline && language.rawMultiline) };
+      out += ' '.repeat(quote.length);
+      i += quote.length;
+      continue;
+    }
+
+    out += line[i];
+    i++;
+  }
+
+  // Ordinary quotes never run past the end of a line
+  if (state.string && !state.string.multiline) {
+    state.string = null;
+  }
+  return out;
+}
+
+/**
+ * Whether the `{` after `code` opens a function or statement body rather than a
+ * class, interface, struct, namespace or object literal (whose members stay visible)
+ */
+function opensBody(code) {
+  const text = code.trimEnd();
+  return /(=>|->)$/.test(text) ||
+    /(^|[^\w$])(else|try|finally|do|static|init|unsafe|defer|go)$/.test(text) ||
+    // Parameter list, optionally followed by a return type, throws clause or where clause
+    /\)[^(){}=;]*$/.test(text) && !/(^|\s)(class|interface|enum|struct|record|namespace|impl|trait|object)\s/.test(text);
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0];
+}
+
+function braceSkeleton(lines, language) {
+  const state = { blockComment: false, string: null };
+  const stack = [];
+  const output = [];
+  let previousCode = '';
+  let markerEmitted = false;
+
+  for (const line of lines) {
+    const stripped = stripLine(line, state, language);
+    const hiddenBefore = stack.includes('body');
+
+    for (let i = 0; i < stripped.length; i++) {
+      if (stripped[i] === '{') {
+        // Allman style puts the brace on its own line, under the signature
+        const before = stripped.slice(0, i).trim() ? stripped.slice(0, i) : previousCode;
+        stack.push(opensBody(before) ? 'body' : 'block');
+      } else if (stripped[i] === '}' && stack.length > 0) {
+        stack.pop();
+      }
+    }
+    if (stripped.trim()) {
+      previousCode = stripped;
+    }
+
+    const hiddenAfter = stack.includes('body');
+    if (!hiddenBefore) {
+      output.push(line);
+      markerEmitted = false;
+    } else if (!hiddenAfter && stripped.trim().startsWith('}')) {
+      // The line closing a body
+      output.push(line);
+      markerEmitted = false;
+    } else if (ROUTE_PATTERN.test(line)) {
+      output.push(line);
+      markerEmitted = false;
+    } else if (!markerEmitted && line.trim()) {
+      output.push(indentOf(line) + OMITTED);
+      markerEmitted = true;
+    }
+  }
+
+  return output;
+}
+
+function pythonSkeleton(lines) {
+  const output = [];
+  const stack = []; // { indent, kind: 'def' | 'class' }
+  let tripleQuote = null; // { delimiter, visible }
+  let openBrackets = 0; // Continuation lines follow their statement's visibility
+  let statementVisible = true;
+  let awaitingDocstring = false;
+  let markerEmitted = false;
+
+  const emit = (line) => {
+    output.push(line);
+    markerEmitted = false;
+  };
+  const omit = (line) => {
+    if (!markerEmitted) {
+      output.push(indentOf(line) + OMITTED);
+      markerEmitted = true;
+    }
+  };
+
+  // Tracks brackets and triple-quoted strings left open at the end of a line
+  const scan = (line, visible) => {
+    let i = 0;
+    while (i < line.length) {
+      if (tripleQuote) {
+        const end = line.indexOf(tripleQuote.delimiter, i);
+        if (end === -1) return;
+        i = end + 3;
+        tripleQuote = null;
+        continue;
+      }
+      const char = line[i];
+      if (char === '#') return;
+      if (line.startsWith('"""', i) || line.startsWith("'''", i)) {
+        tripleQuote = { delimiter: line.slice(i, i + 3), visible };
+        i += 3;
+        continue;
+      }
+      if (char === '"' || char === "'") {
+        let end = i + 1;
+        while (end < line.length && line[end] !== char) {
+          end += line[end] === '\\' ? 2 : 1;
+        }
+        i = end + 1;
+        continue;
+      }
+      if ('([{'.includes(char)) openBrackets++;
+      if (')]}'.includes(char)) openBrackets = Math.max(0, openBrackets - 1);
+      i++;
+    }
+  };
+
+  for (const line of lines) {
+    if (tripleQuote) {
+      const { visible } = tripleQuote;
+      visible ? emit(line) : omit(line);
+      scan(line, visible);
+      continue;
+    }
+
+    const trimmed = line.trim();
+    if (!trimmed) {
+      output.push('');
+      continue;
+    }
+
+    if (openBrackets > 0) {
+      statementVisible ? emit(line) : omit(line);
+      scan(line, statementVisible);
+      continue;
+    }
+
+    const indent = indentOf(line).replace(/\t/g, '    ').length;
+    while (stack.length > 0 && indent <= stack[stack.length - 1].indent) {
+      stack.pop();
+    }
+    const hidden = stack.some(block => block.kind === 'def');
+
+    if (!hidden) {
+      emit(line);
+      statementVisible = true;
+      const header = trimmed.match(/^(?:async\s+)?(def|class)\s/);
+      if (header) {
+        stack.push({ indent, kind: header[1] });
+        awaitingDocstring = header[1] === 'def';
+      }
+      scan(line, true);
+      continue;
+    }
+
+    const docstring = awaitingDocstring && /^[rRbBuU]?("""|''')/.test(trimmed);
+    awaitingDocstring = false;
+    statementVisible = docstring || ROUTE_PATTERN.test(line);
+    statementVisible ? emit(line) : omit(line);
+    scan(line, statementVisible);
+  }
+
+  return output;
+}
+
+/**
+ * Builds the skeleton of a source file
+ * @param {string} content - File content
+ * @param {string} filePath - Path, used to pick the language
+ * @returns {string|null} - Skeleton, or null when the language is unsupported or nothing would be saved
+ */
+export function buildSkeleton(content, filePath) {
+  const language = getSkeletonLanguage(filePath);
+  if (!language) {
+    return null;
+  }
+
+  const lines = content.split('\n');
+  const skeletonLines = language === 'python'
+    ? pythonSkeleton(lines)
+    : braceSkeleton(lines, BRACE_LANGUAGES[language]);
+  const skeleton = skeletonLines.join('\n').replace(/\n{3,}/g, '\n\n');
+
+  return skeleton.length <= content.length * (1 - MIN_SAVING) ? skeleton : null;
+}
+
+export default {
+  SkeletonMode,
+  buildSkeleton,
+  getSkeletonLanguage
+};
@@ -0,0 +1,160 @@
+/**
+ * Content sniffing for files picked by the context packer
+ * Extensions miss binaries without a known suffix, minified bundles and generated code,
+ * so the bytes are checked instead: NUL bytes and text encoding, line length, whitespace
+ * and entropy statistics, and the markers code generators leave in their output
+ */
+
+import path from 'path';
+
+const SNIFF_BYTES = 8 * 1024; // Binary checks look at the start of the file
+const MAX_CONTROL_RATIO = 0.1;
+const MINIFIED_MIN_CHARS = 2000;
+const MINIFIED_AVG_LINE_LENGTH = 200;
+const MINIFIED_MAX_WHITESPACE = 0.1;
+const MAX_LINE_LENGTH = 20000; // Any line this long is a bundle or a data blob
+const ENCODED_MIN_ENTROPY = 5.5; // Bits per character; prose and code stay below ~5.2
+const ENCODED_MAX_WHITESPACE = 0.02;
+const MARKER_LINES = 15;
+
+/**
+ * What a file turned out to be
+ */
+export const ContentKind = {
+  TEXT: 'text',
+  BINARY: 'binary',
+  MINIFIED: 'minified',
+  ENCODED: 'encoded',
+  GENERATED: 'generated'
+};
+
+// Reasons recorded for skipped files, per kind
+const SKIP_REASONS = {
+  [ContentKind.BINARY]: 'binary file',
+  [ContentKind.MINIFIED]: 'minified or bundled',
+  [ContentKind.ENCODED]: 'encoded data',
+  [ContentKind.GENERATED]: 'generated code'
+};
+
+const GENERATED_FILE_PATTERN = /(\.pb(\.gw)?\.go|_pb2(_grpc)?\.pyi?|\.pb\.(h|cc|ts|js)|_pb\.(js|d\.ts)|_grpc_pb\.(js|d\.ts)|\.g\.dart|\.freezed\.dart|\.designer\.cs|\.generated\.\w+|\.js\.map|\.css\.map)$/i;
+
+const GENERATED_MARKERS = [
+  /Code generated .* DO NOT EDIT/, // Go convention
+  /@generated\b/,
+  /Generated by the protocol buffer compiler/i,
+  /<auto-generated/i, // .NET
+  /\b(auto-?generated|automatically generated|generated automatically) (by|from|file|code)\b/i,
+  /\bThis file (was|is) (auto-?|automatically )?generated\b/i,
+  // Hand-written files also say "do not edit this block by hand"; only a generator's notice counts
+  /\bgenerated\b.{0,80}\bDO NOT EDIT\b|\bDO NOT EDIT\b.{0,80}\bgenerated\b/i
+];
+
+// Source maps carry their own format version and mappings
+const SOURCE_MAP_PATTERN = /^\s*\{\s*"version"\s*:\s*3\s*,[\s\S]{0,4096}"mappings"\s*:/;
+
+/**
+ * Decodes file bytes, or returns null when they are not text
+ * UTF-16 is recognized by its byte order mark; invalid UTF-8 is read as Latin-1
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  }
+
+  const head = buffer.subarray(0, SNIFF_BYTES);
+  if (head.includes(0)) {
+    return null;
+  }
+  // Control characters other than tab, newline, form feed and carriage return
+  let control = 0;
+  for (const byte of head) {
+    if (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0c && byte !== 0x0d) {
+      control++;
+    }
+  }
+  if (head.length > 0 && control / head.length > MAX_CONTROL_RATIO) {
+    return null;
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true, ignoreBOM: false }).decode(buffer);
+  } catch {
+    return buffer.toString('latin1');
+  }
+}
+
+function characterEntropy(text) {
+  const counts = new Map();
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    counts.set(code, (counts.get(code) || 0) + 1);
+  }
+  let entropy = 0;
+  counts.forEach(count => {
+    const probability = count / text.length;
+    entropy -= probability * Math.log2(probability);
+  });
+  return entropy;
+}
+
+function shapeOf(text) {
+  const lines = text.split('\n');
+  let longestLine = 0;
+  let whitespace = 0;
+  lines.forEach(line => {
+    longestLine = Math.max(longestLine, line.length);
+  });
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code === 0x20 || code === 0x09 || code === 0x0a || code === 0x0d) {
+      whitespace++;
+    }
+  }
+  return {
+    averageLineLength: text.length / lines.length,
+    longestLine,
+    whitespaceRatio: text.length > 0 ? whitespace / text.length : 1
+  };
+}
+
+/**
+ * Classifies a file from its path and bytes
+ * @param {Buffer} buffer - File content
+ * @param {string} filePath - Path, for generated-file naming conventions
+ * @returns {Object} - { kind, text, reason }; text is null for binaries, reason is the skip reason or null for plain text
+ */
+export function sniffContent(buffer, filePath) {
+  const text = decodeText(buffer);
+  if (text === null) {
+    return { kind: ContentKind.BINARY, text: null, reason: SKIP_REASONS[ContentKind.BINARY] };
+  }
+
+  const result = (kind) => ({ kind, text, reason: SKIP_REASONS[kind] || null });
+
+  const head = text.split('\n', MARKER_LINES).join('\n');
+  if (GENERATED_FILE_PATTERN.test(path.basename(filePath)) ||
+      GENERATED_MARKERS.some(marker => marker.test(head)) ||
+      SOURCE_MAP_PATTERN.test(text.slice(0, SNIFF_BYTES))) {
+    return result(ContentKind.GENERATED);
+  }
+
+  const { averageLineLength, longestLine, whitespaceRatio } = shapeOf(text);
+  if (text.length >= MINIFIED_MIN_CHARS) {
+    if (whitespaceRatio < ENCODED_MAX_WHITESPACE && characterEntropy(text.slice(0, SNIFF_BYTES * 8)) >= ENCODED_MIN_ENTROPY) {
+      return result(ContentKind.ENCODED);
+    }
+    if ((averageLineLength > MINIFIED_AVG_LINE_LENGTH && whitespaceRatio < MINIFIED_MAX_WHITESPACE) || longestLine > MAX_LINE_LENGTH) {
+      return result(ContentKind.MINIFIED);
+    }
+  }
+
+  return result(ContentKind.TEXT);
+}
+
+export default {
+  ContentKind,
+  sniffContent
+};
@@ -0,0 +1,198 @@
+/**
+ * Per-diagram context retrieval
+ * Every diagram kind needs different parts of a repository: deployment diagrams want
+ * Dockerfiles and CI configuration, data models want schemas and migrations. Files are
+ * split into line chunks and ranked with BM25 against a query per kind (see
+ * utils/diagramCatalogue.js), all locally, and each diagram gets the most relevant
+ * chunks that fit the token budget
+ */
+
+import { estimateTokens } from './tokenBudget.js';
+
+const CHUNK_LINES = 40;
+const PATH_WEIGHT = 3; // Path terms count this many times, so a Dockerfile matches "docker" throughout
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Splits text into lowercase search terms; identifiers are split on camelCase, snake_case
+ * and kebab-case, and a trailing plural "s" is dropped
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  const words = text.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().match(/[a-z][a-z0-9]+/g) || [];
+  return words.map(word => (word.length > 3 ? word.replace(/s$/, '') : word));
+}
+
+/**
+ * Splits a file into chunks of consecutive lines
+ * @param {string} filePath - Path relative to the analyzed root
+ * @param {string} content - Text as it would appear in the context (redacted, long lines cut)
+ * @param {number} rank - File rank (see utils/fileRanker.js), the tie-breaker between equal scores
+ * @returns {Array<Object>} - { path, rank, start, end, text, tokens }, start and end are 1-based lines
+ */
+export function chunkFile(filePath, content, rank) {
+  const lines = content.split('\n');
+  const chunks = [];
+  for (let start = 0; start < lines.length; start += CHUNK_LINES) {
+    const text = lines.slice(start, start + CHUNK_LINES).join('\n');
+    if (!text.trim()) {
+      continue;
+    }
+    chunks.push({
+      path: filePath,
+      rank,
+      start: start + 1,
+      end: Math.min(start + CHUNK_LINES, lines.length),
+      text,
+      tokens: estimateTokens(text)
+    });
+  }
+  return chunks;
+}
+
+/**
+ * Okapi BM25 over a fixed set of documents
+ */
+export class Bm25Index {
+  /**
+   * @param {Array<Array<string>>} documents - Terms of each document
+   */
+  constructor(documents) {
+    this.termCounts = documents.map(terms => {
+      const counts = new Map();
+      terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+      return counts;
+    });
+    this.lengths = documents.map(terms => terms.length);
+    this.averageLength = this.lengths.reduce((sum, length) => sum + length, 0) / (documents.length || 1);
+
+    this.documentFrequency = new Map();
+    this.termCounts.forEach(counts => {
+      counts.forEach((count, term) => this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1));
+    });
+  }
+
+  /**
+   * Scores every document against a query
+   * @param {Array<string>} queryTerms
+   * @returns {Array<number>} - One score per document, in document order
+   */
+  score(queryTerms) {
+    const documentCount = this.termCounts.length;
+    const weights = [...new Set(queryTerms)]
+      .filter(term => this.documentFrequency.has(term))
+      .map(term => {
+        const frequency = this.documentFrequency.get(term);
+        return { term, idf: Math.log(1 + (documentCount - frequency + 0.5) / (frequency + 0.5)) };
+      });
+
+    return this.termCounts.map((counts, index) => {
+      const lengthNorm = 1 - BM25_B + BM25_B * (this.lengths[index] / (this.averageLength || 1));
+      return weights.reduce((score, { term, idf }) => {
+        const count = counts.get(term) || 0;
+        return score + (count === 0 ? 0 : idf * (count * (BM25_K1 + 1)) / (count + BM25_K1 * lengthNorm));
+      }, 0);
+    });
+  }
+}
+
+function fileSection(run, wholeFile) {
+  const { path: filePath, start } = run[0];
+  const lines = wholeFile ? '' : ` (lines ${start}-${run[run.length - 1].end})`;
+  return `--- ${filePath}${lines} ---\n\n${run.map(chunk => chunk.text).join('\n')}\n\n`;
+}
+
+// Consecutive chunks of a file become one section
+function groupRuns(chunks) {
+  const runs = [];
+  chunks.forEach(chunk => {
+    const run = runs[runs.length - 1];
+    if (run && run[0].path === chunk.path && run[run.length - 1].end + 1 === chunk.start) {
+      run.push(chunk);
+    } else {
+      runs.push([chunk]);
+    }
+  });
+  return runs;
+}
+
+/**
+ * Indexes the retrieval corpus of an extraction
+ * @param {Object} corpus - data.retrieval from extractRepoContextRobust:
+ *   { preamble, history, summaries, chunks, fileCount }
+ * @returns {Object} - { contextFor(kind, maxTokens) }
+ */
+export function createRetrievalIndex(corpus) {
+  const { preamble, history, summaries, chunks, fileCount } = corpus;
+  const index = new Bm25Index(chunks.map(chunk => [
+    ...Array(PATH_WEIGHT).fill(tokenize(chunk.path)).flat(),
+    ...tokenize(chunk.text)
+  ]));
+  const chunkCounts = new Map();
+  chunks.forEach(chunk => chunkCounts.set(chunk.path, (chunkCounts.get(chunk.path) || 0) + 1));
+
+  /**
+   * Builds the repository context of one diagram kind
+   * The shared sections come first, then the best-scoring chunks (files in rank order
+   * once the scores run out) and the module summaries, within maxTokens
+   * @param {Object} kind - Diagram kind with its retrievalQuery
+   * @param {number} maxTokens - Tokens for the whole context
+   * @returns {Object} - { content, files: [{ path, score }], tokens }
+   */
+  const contextFor = (kind, maxTokens) => {
+    const header = preamble + (kind.needsGitHistory ? history : '');
+    const fileHeader = `=== FILE CONTENTS ===\nSelected for the ${kind.title} diagram by relevance.\n\n`;
+    const footer = (count) => `\n=== SUMMARY ===\nFiles included: ${count} of ${fileCount}, whole or in part\n`;
+    let usedTokens = estimateTokens(header + fileHeader + summaries + footer(fileCount));
+
+    const scores = index.score(tokenize(kind.retrievalQuery || kind.title));
+    const order = chunks
+      .map((chunk, position) => ({ chunk, position, score: scores[position] }))
+      .sort((a, b) => b.score - a.score || a.chunk.rank - b.chunk.rank || a.position - b.position);
+
+    const selected = [];
+    order.forEach(entry => {
+      // Each chunk may need its own section header
+      const entryTokens = entry.chunk.tokens + estimateTokens(`--- ${entry.chunk.path} (lines ${entry.chunk.start}-${entry.chunk.end}) ---\n\n\n\n`);
+      if (usedTokens + entryTokens <= maxTokens) {
+        selected.push(entry);
+        usedTokens += entryTokens;
+      }
+    });
+
+    // Files keep the order of their best chunk; chunks within a file keep their line order
+    const fileScores = new Map();
+    selected.forEach(({ chunk, score }) => {
+      if (!fileScores.has(chunk.path)) fileScores.set(chunk.path, score);
+    });
+    const fileOrder = new Map([...fileScores.keys()].map((filePath, position) => [filePath, position]));
+    const inContext = selected
+      .sort((a, b) => fileOrder.get(a.chunk.path) - fileOrder.get(b.chunk.path) || a.position - b.position)
+      .map(({ chunk }) => chunk);
+
+    const content = [
+      header,
+      fileHeader,
+      ...groupRuns(inContext).map(run => fileSection(run, run.length === chunkCounts.get(run[0].path))),
+      summaries,
+      footer(fileScores.size)
+    ].join('');
+
+    return {
+      content,
+      files: [...fileScores].map(([filePath, score]) => ({ path: filePath, score: Number(score.toFixed(2)) })),
+      tokens: estimateTokens(content)
+    };
+  };
+
+  return { contextFor };
+}
+
+export default {
+  Bm25Index,
+  chunkFile,
+  createRetrievalIndex,
+  tokenize
+};
@@ -1,129 +1,122 @@
 /**
- * File-based cache for repository context extractions
- * Structure:
- * - cache/
- *   - index.json (maps normalized URLs to filenames and metadata)
- *   - extractions/
- *     - repo-hash-1.txt (actual repository context content)
- *     - repo-hash-2.txt
- *     - ...
- */
-
-import fs from 'fs';
-import path from 'path';
+ * Extraction and diagram cache
+ * Entries are keyed by commit SHA, so a new commit invalidates them exactly;
+ * where and how long they are kept is up to the configured CacheStore
+ * (see utils/cacheStore.js)
+ */
+
 import crypto from 'crypto';
-import { fileURLToPath } from 'url';
+import { createCacheStore, getCacheConfig } from './cacheStore.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+let cacheStorePromise = null;
 
-const CACHE_ROOT = path.join(__dirname, '..', 'cache');
-const EXTRACTIONS_DIR = path.join(CACHE_ROOT, 'extractions');
-const INDEX_FILE = path.join(CACHE_ROOT, 'index.json');
+// Bumped whenever the extracted context changes shape, so older extractions are not reused
+const EXTRACTION_FORMAT = 9;
 
-const CACHE_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours
+export const CacheEntryType = {
+  EXTRACTION: 'extraction',
+  DIAGRAMS: 'diagrams',
+  SUMMARY: 'summary'
+};
 
 /**
- * Initialize cache directories and index file
+ * Cache key for the extracted context of a repository at a commit
+ * @param {string} normalizedUrl - Repository URL without .git
+ * @param {string} commitSha - Full commit SHA
+ * @param {Object} [options]
+ * @param {boolean} [options.includeGitHistory] - History changes the content, so it gets its own entry
+ * @param {string} [options.subpath] - Analyzed subdirectory, '' for the whole repository
+ * @param {string} [options.skeletons] - SkeletonMode the files were packed with
+ * @param {Object} [options.budget] - Token budget the context was packed into (see utils/tokenBudget.js)
+ * @param {string} [options.summaries] - Model that summarized the directories left out, null when none did
+ * @param {boolean} [options.retrieval] - Whether the entry holds the chunks for per-diagram contexts
  */
-function initializeCache() {
-  try {
-    // Create directories if they don't exist
-    if (!fs.existsSync(CACHE_ROOT)) {
-      fs.mkdirSync(CACHE_ROOT, { recursive: true });
-    }
-    if (!fs.existsSync(EXTRACTIONS_DIR)) {
-      fs.mkdirSync(EXTRACTIONS_DIR, { recursive: true });
-    }
-    
-    // Create index file if it doesn't exist
-    if (!fs.existsSync(INDEX_FILE)) {
-      fs.writeFileSync(INDEX_FILE, JSON.stringify({}, null, 2));
-    }
-  } catch (error) {
-    console.warn('Failed to initialize cache:', error.message);
-  }
+export function extractionCacheKey(normalizedUrl, commitSha, { includeGitHistory = false, subpath = '', skeletons = 'fallback', budget = null, summaries = null, retrieval = false } = {}) {
+  const contextTokens = budget ? budget.manifests + budget.tree + budget.files : 'default';
+  return [CacheEntryType.EXTRACTION, normalizedUrl, commitSha, subpath, includeGitHistory ? 'history' : 'files', skeletons, `t${contextTokens}`, summaries ? `s:${summaries}` : 'direct', retrieval ? 'chunks' : 'shared', `v${EXTRACTION_FORMAT}`].join('|');
 }
 
 /**
- * Generate a safe filename from a normalized URL
+ * Cache key for the diagrams generated from a repository at a commit
+ * @param {string} normalizedUrl - Repository URL without .git
+ * @param {string} commitSha - Full commit SHA
+ * @param {string} promptVersion - Hash of the prompt sent to the model (see getPromptVersion)
+ * @param {string} model - Provider and model, e.g. "vertex:gemini-2.5-flash"
+ * @param {Object} [options]
+ * @param {string} [options.subpath] - Analyzed subdirectory, '' for the whole repository
  */
-function generateFilename(normalizedUrl) {
-  // Create a hash for uniqueness and add readable part
-  const hash = crypto.createHash('md5').update(normalizedUrl).digest('hex').substring(0, 8);
-  const repoName = normalizedUrl.split('/').slice(-2).join('-').replace(/[^a-zA-Z0-9\-]/g, '');
-  return `${repoName}-${hash}.txt`;
+export function diagramCacheKey(normalizedUrl, commitSha, promptVersion, model, { subpath = '' } = {}) {
+  return [CacheEntryType.DIAGRAMS, normalizedUrl, commitSha, subpath, promptVersion, model].join('|');
 }
 
 /**
- * Load the cache index
+ * Cache key for the LLM summary of a group of files
+ * Keyed by content rather than commit, so a directory that did not change is never summarized twice
+ * @param {string} contentHash - Hash of the group's paths and contents
+ * @param {string} promptVersion - Hash of the summary prompt
+ * @param {string} model - Provider and model, e.g. "vertex:gemini-2.5-flash"
  */
-function loadIndex() {
-  try {
-    if (!fs.existsSync(INDEX_FILE)) {
-      return {};
-    }
-    return JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
-  } catch (error) {
-    console.warn('Failed to load cache index:', error.message);
-    return {};
-  }
+export function summaryCacheKey(contentHash, promptVersion, model) {
+  return [CacheEntryType.SUMMARY, contentHash, promptVersion, model].join('|');
 }
 
 /**
- * Save the cache index
+ * Short hash identifying a prompt, so editing the template or the kind selection invalidates diagrams
  */
-function saveIndex(index) {
-  try {
-    fs.writeFileSync(INDEX_FILE, JSON.stringify(index, null, 2));
-  } catch (error) {
-    console.warn('Failed to save cache index:', error.message);
+export function getPromptVersion(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 12);
+}
+
+/**
+ * Uses the given store for every cache read and write
+ * @param {import('./cacheStore.js').CacheStore} store
+ */
+export function configureCache(store) {
+  cacheStorePromise = Promise.resolve(store);
+}
+
+/**
+ * Returns the configured store, creating one from the environment on first use
+ * @returns {Promise<import('./cacheStore.js').CacheStore>}
+ */
+export function getCacheStore() {
+  if (!cacheStorePromise) {
+    cacheStorePromise = createCacheStore(getCacheConfig());
   }
+  return cacheStorePromise;
 }
 
 /**
- * Get cached repository extraction for a normalized URL
+ * Get cached repository extraction for a repository at a commit
  * @param {string} normalizedUrl - The normalized GitHub URL
- * @returns {Object|null} - Cached extraction result or null if not found/expired
+ * @param {string} commitSha - Commit the extraction was taken from
+ * @param {Object} [options] - See extractionCacheKey
+ * @returns {Promise<Object|null>} - Cached extraction result or null if not found/expired
  */
-export function getCachedExtraction(normalizedUrl) {
-  initializeCache();
-  
+export async function getCachedExtraction(normalizedUrl, commitSha, options = {}) {
   try {
-    const index = loadIndex();
-    const entry = index[normalizedUrl];
-    
-    if (!entry) {
-      return null;
-    }
-    
-    // Check if cache entry has expired
-    if (Date.now() - entry.timestamp > CACHE_EXPIRY_MS) {
-      console.log(`Cache expired for ${normalizedUrl}`);
-      // Don't delete here, let cleanup handle it
+    const store = await getCacheStore();
+    const cached = await store.get(extractionCacheKey(normalizedUrl, commitSha, options));
+    if (!cached) {
       return null;
     }
-    
-    // Try to read the extraction file
-    const extractionPath = path.join(EXTRACTIONS_DIR, entry.filename);
-    if (!fs.existsSync(extractionPath)) {
-      console.warn(`Cache file missing: ${entry.filename}`);
-      return null;
-    }
-    
-    const extractionContent = fs.readFileSync(extractionPath, 'utf8');
-    console.log(`Cache hit for ${normalizedUrl} (${entry.filename})`);
-    
+
+    console.log(`Cache hit for ${normalizedUrl}@${commitSha.substring(0, 7)}`);
+
     // Return the extraction result structure with essential data
+    const { content, retrieval } = JSON.parse(cached.value);
     return {
       data: {
-        content: extractionContent,
-        fileCount: entry.fileCount || 0,
-        totalSize: entry.totalSize || 0
+        content,
+        retrieval,
+        fileCount: cached.metadata.fileCount || 0,
+        totalSize: cached.metadata.totalSize || 0,
+        tokenUsage: cached.metadata.tokenUsage || null,
+        commitSha
       },
-      duration: entry.duration || 0
+      duration: cached.metadata.duration || 0
     };
-    
+
   } catch (error) {
     console.warn('Failed to get cached extraction:', error.message);
     return null;
@@ -131,95 +124,260 @@ export function getCachedExtraction(normalizedUrl) {
 }
 
 /**
- * Cache a repository extraction for a normalized URL
+ * Cache a repository extraction for a repository at a commit
  * @param {string} normalizedUrl - The normalized GitHub URL
+ * @param {string} commitSha - Commit the extraction was taken from
  * @param {Object} extractionResult - The extraction result from extractRepoContextRobust
+ * @param {Object} [options] - See extractionCacheKey
  */
-export function setCachedExtraction(normalizedUrl, extractionResult) {
-  initializeCache();
-  
+export async function setCachedExtraction(normalizedUrl, commitSha, extractionResult, options = {}) {
   try {
-    const index = loadIndex();
-    const filename = generateFilename(normalizedUrl);
-    const extractionPath = path.join(EXTRACTIONS_DIR, filename);
-    
-    // Write extraction content to file
-    fs.writeFileSync(extractionPath, extractionResult.data.content, 'utf8');
-    
-    // Update index with essential metadata only
-    index[normalizedUrl] = {
-      filename,
-      timestamp: Date.now(),
-      size: extractionResult.data.content.length,
+    const store = await getCacheStore();
+    // Only essential metadata is kept next to the content
+    const value = JSON.stringify({ content: extractionResult.data.content, retrieval: extractionResult.data.retrieval || null });
+    await store.set(extractionCacheKey(normalizedUrl, commitSha, options), value, {
+      type: CacheEntryType.EXTRACTION,
+      url: normalizedUrl,
+      commitSha,
+      subpath: options.subpath || '',
       fileCount: extractionResult.data.fileCount,
       totalSize: extractionResult.data.totalSize,
+      tokenUsage: extractionResult.data.tokenUsage,
       duration: extractionResult.duration
-    };
-    
-    saveIndex(index);
-    console.log(`Cached extraction for ${normalizedUrl} as ${filename}`);
-    
+    });
+    console.log(`Cached extraction for ${normalizedUrl}@${commitSha.substring(0, 7)}`);
+
   } catch (error) {
     console.warn('Failed to cache extraction:', error.message);
   }
 }
 
+/**
+ * Get the diagrams generated for a repository at a commit with a given prompt and model
+ * @param {Object} [options] - See diagramCacheKey
+ * @returns {Promise<Object|null>} - { diagrams, diagramCode, metadata } or null if not found/expired
+ */
+export async function getCachedDiagrams(normalizedUrl, commitSha, promptVersion, model, options = {}) {
+  try {
+    const store = await getCacheStore();
+    const cached = await store.get(diagramCacheKey(normalizedUrl, commitSha, promptVersion, model, options));
+    if (!cached) {
+      return null;
+    }
+
+    console.log(`Diagram cache hit for ${normalizedUrl}@${commitSha.substring(0, 7)}`);
+    return JSON.parse(cached.value);
 
+  } catch (error) {
+    console.warn('Failed to get cached diagrams:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Cache the diagrams generated for a repository at a commit
+ * @param {Object} result - { diagrams, diagramCode, metadata } from the pipeline
+ * @param {Object} [options] - See diagramCacheKey
+ */
+export async function setCachedDiagrams(normalizedUrl, commitSha, promptVersion, model, result, options = {}) {
+  try {
+    const store = await getCacheStore();
+    await store.set(diagramCacheKey(normalizedUrl, commitSha, promptVersion, model, options), JSON.stringify(result), {
+      type: CacheEntryType.DIAGRAMS,
+      url: normalizedUrl,
+      commitSha,
+      subpath: options.subpath || '',
+      promptVersion,
+      model,
+      diagramCount: result.diagrams.length
+    });
+    console.log(`Cached diagrams for ${normalizedUrl}@${commitSha.substring(0, 7)}`);
+
+  } catch (error) {
+    console.warn('Failed to cache diagrams:', error.message);
+  }
+}
+
+/**
+ * Get the cached summary of a group of files
+ * @returns {Promise<string|null>}
+ */
+export async function getCachedSummary(contentHash, promptVersion, model) {
+  try {
+    const store = await getCacheStore();
+    const cached = await store.get(summaryCacheKey(contentHash, promptVersion, model));
+    return cached ? cached.value : null;
+  } catch (error) {
+    console.warn('Failed to get cached summary:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Cache the summary of a group of files
+ * @param {Object} [options]
+ * @param {string} [options.url] - Repository it was made for, so invalidating the repository removes it
+ * @param {string} [options.path] - Directory the group stands for
+ */
+export async function setCachedSummary(contentHash, promptVersion, model, summary, { url = null, path = '' } = {}) {
+  try {
+    const store = await getCacheStore();
+    await store.set(summaryCacheKey(contentHash, promptVersion, model), summary, {
+      type: CacheEntryType.SUMMARY,
+      url,
+      path,
+      promptVersion,
+      model
+    });
+  } catch (error) {
+    console.warn('Failed to cache summary:', error.message);
+  }
+}
 
 /**
  * Clear all cache
+ * @returns {Promise<number>} - Number of entries removed
  */
-export function clearAllCache() {
+export async function clearAllCache() {
   try {
-    if (fs.existsSync(EXTRACTIONS_DIR)) {
-      const files = fs.readdirSync(EXTRACTIONS_DIR);
-      files.forEach(file => {
-        fs.unlinkSync(path.join(EXTRACTIONS_DIR, file));
-      });
-    }
-    
-    if (fs.existsSync(INDEX_FILE)) {
-      fs.writeFileSync(INDEX_FILE, JSON.stringify({}, null, 2));
-    }
-    
+    const store = await getCacheStore();
+    const { length: removed } = await store.list();
+    await store.clear();
     console.log('All cache cleared');
+    return removed;
   } catch (error) {
     console.warn('Failed to clear cache:', error.message);
+    return 0;
   }
 }
 
 /**
- * List all cached repositories
- * @returns {Array} - List of cached repos with metadata
+ * Turns a stored entry's metadata into the fields the pipeline reports for it
  */
-export function listCachedRepos() {
-  initializeCache();
-  
+function describeEntry(metadata) {
+  if (metadata.type === CacheEntryType.EXTRACTION) {
+    return {
+      filesAnalyzed: metadata.fileCount,
+      repoSize: `${((metadata.totalSize || 0) / 1024).toFixed(2)} KB`,
+      processingTime: `${((metadata.duration || 0) / 1000).toFixed(2)}s`
+    };
+  }
+  if (metadata.type === CacheEntryType.SUMMARY) {
+    return {
+      path: metadata.path,
+      model: metadata.model
+    };
+  }
+  return {
+    diagramCount: metadata.diagramCount,
+    promptVersion: metadata.promptVersion,
+    model: metadata.model
+  };
+}
+
+/**
+ * List all cache entries, newest first
+ * @returns {Promise<Array>} - Cached extractions, diagrams and summaries with size, age and expiry
+ */
+export async function listCachedRepos() {
   try {
-    const index = loadIndex();
+    const store = await getCacheStore();
+    const entries = await store.list();
     const now = Date.now();
-    
-    return Object.entries(index).map(([url, entry]) => ({
-      url,
-      filename: entry.filename,
-      cached: new Date(entry.timestamp).toLocaleString(),
-      expired: now - entry.timestamp > CACHE_EXPIRY_MS,
-      size: entry.size ? `${(entry.size / 1024).toFixed(2)} KB` : 'unknown',
-      metadata: {
-        fileCount: entry.fileCount,
-        repoSize: entry.repoSize,
-        processingTime: entry.processingTime
-      }
-    }));
+
+    return entries
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(({ key, metadata, size, createdAt, accessedAt, expired }) => ({
+        key,
+        type: metadata.type,
+        url: metadata.url,
+        commitSha: metadata.commitSha,
+        subpath: metadata.subpath || '',
+        size: `${(size / 1024).toFixed(2)} KB`,
+        bytes: size,
+        cachedAt: new Date(createdAt).toISOString(),
+        lastUsedAt: new Date(accessedAt).toISOString(),
+        ageSeconds: Math.round((now - createdAt) / 1000),
+        expiresAt: new Date(createdAt + store.ttlMs).toISOString(),
+        expired,
+        metadata: describeEntry(metadata)
+      }));
   } catch (error) {
     console.warn('Failed to list cached repos:', error.message);
     return [];
   }
 }
 
+/**
+ * Removes every cached extraction, diagram set and summary of a repository, whatever the commit
+ * @param {string} normalizedUrl - The normalized GitHub URL
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export async function invalidateRepo(normalizedUrl) {
+  try {
+    const store = await getCacheStore();
+    const entries = await store.list();
+    let removed = 0;
+
+    for (const entry of entries) {
+      if (entry.metadata.url === normalizedUrl && await store.delete(entry.key)) {
+        removed++;
+      }
+    }
+
+    console.log(`Invalidated ${removed} cache entries for ${normalizedUrl}`);
+    return removed;
+  } catch (error) {
+    console.warn('Failed to invalidate cache:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Removes expired entries now instead of waiting for the sweeper
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export async function purgeExpiredCache() {
+  try {
+    const store = await getCacheStore();
+    return await store.sweep();
+  } catch (error) {
+    console.warn('Failed to purge expired cache entries:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Entry counts, sizes and hit/miss statistics of the configured store
+ * @returns {Promise<Object|null>}
+ */
+export async function getCacheStats() {
+  try {
+    const store = await getCacheStore();
+    return await store.stats();
+  } catch (error) {
+    console.warn('Failed to read cache stats:', error.message);
+    return null;
+  }
+}
+
 export default {
+  CacheEntryType,
+  extractionCacheKey,
+  diagramCacheKey,
+  summaryCacheKey,
+  getPromptVersion,
+  configureCache,
+  getCacheStore,
   getCachedExtraction,
   setCachedExtraction,
+  getCachedDiagrams,
+  setCachedDiagrams,
+  getCachedSummary,
+  setCachedSummary,
   clearAllCache,
-  listCachedRepos
-};
\ No newline at end of file
+  listCachedRepos,
+  invalidateRepo,
+  purgeExpiredCache,
+  getCacheStats
+};
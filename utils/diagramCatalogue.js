@@ -0,0 +1,223 @@
+/**
+ * Catalogue of diagram kinds the generator can produce
+ * Each kind owns its prompt fragment, the Mermaid type it must use and the search terms
+ * that pick its repository context (see utils/contextRetrieval.js);
+ * buildDiagramPrompt assembles gemini-prompt-1.txt from the selected kinds
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROMPT_TEMPLATE_FILE = path.join(__dirname, '..', 'gemini-prompt-1.txt');
+
+// Shared by every graph TD kind (deduplicated when the prompt is built)
+const FLOWCHART_RULES = [
+  'For graph TD diagrams: use different colors for different types of components using style declarations like: style NodeName fill:#color,stroke:#333,stroke-width:2px',
+  'For graph TD diagrams: style declarations must come AFTER the graph definition, never inline. Write all nodes and connections first, then add all style declarations at the end',
+  'For graph TD diagrams: all nodes must have an explicit node ID, even end nodes. Use A[Label] format, never just [Label]',
+  'For graph TD diagrams: never use quotes (single or double) in labels or anywhere else in the diagram'
+];
+
+function flowchartKind(id, title, summary, instructions, retrievalQuery) {
+  return {
+    id,
+    title,
+    summary,
+    mermaidType: 'graph TD',
+    allowedTypes: ['graph', 'flowchart'],
+    instructions,
+    rules: FLOWCHART_RULES,
+    retrievalQuery
+  };
+}
+
+export const DIAGRAM_KINDS = [
+  flowchartKind('architecture', 'System Architecture Overview', 'architecture diagram',
+    'Show main components (API, services, database, frontend, etc.) and their connections',
+    'server app main index entry api route service client frontend database store config module worker'),
+  flowchartKind('user-flow', 'User Flow', 'user flow',
+    'Illustrate step-by-step user journey from input to output',
+    'page view screen component form input submit button click navigate route handler user login onboarding command cli'),
+  flowchartKind('data-flow', 'Data Flow', 'data flow',
+    'Map how data moves and transforms through the system',
+    'model schema handler controller request response parse transform serialize validate store save query cache stream queue pipeline'),
+  flowchartKind('folder-mapping', 'Folder-to-Component Mapping', 'folder structure mapping',
+    'Link code directories to their architectural roles',
+    'readme index main module package directory folder structure'),
+  flowchartKind('dependencies', 'Key Dependencies / Services', 'dependencies diagram',
+    'Highlight internal modules and external libraries the project relies on, taking the libraries from the MANIFESTS section',
+    'import require from package dependency library client sdk api provider plugin'),
+  flowchartKind('deployment', 'Deployment Architecture', 'deployment setup',
+    'Show how services are deployed and interact in production',
+    'docker dockerfile compose container image kubernetes k8s helm deployment ingress cloudbuild terraform workflow ci deploy production env port nginx serverless procfile'),
+  {
+    id: 'sequence',
+    title: 'Key Request Sequence',
+    summary: 'request sequence',
+    mermaidType: 'sequenceDiagram',
+    allowedTypes: ['sequenceDiagram'],
+    instructions: 'Show the participants and messages of the most important request, from the caller to storage and back',
+    rules: [
+      'For sequenceDiagram: declare participants first and use ->> for requests and -->> for responses'
+    ],
+    retrievalQuery: 'route handler controller request response await fetch call service client database query'
+  },
+  {
+    id: 'class',
+    title: 'Class Diagram',
+    summary: 'class diagram',
+    mermaidType: 'classDiagram',
+    allowedTypes: ['classDiagram'],
+    instructions: 'Show the main classes or modules with their key fields and methods, and how they relate',
+    rules: [
+      'For classDiagram: use <|-- for inheritance, *-- for composition and --> for associations; list at most 5 members per class'
+    ],
+    retrievalQuery: 'class interface extends implements constructor type struct method'
+  },
+  {
+    id: 'er',
+    title: 'Data Model',
+    summary: 'entity-relationship diagram',
+    mermaidType: 'erDiagram',
+    allowedTypes: ['erDiagram'],
+    instructions: 'Show the persisted entities, their main attributes and the relationships between them',
+    rules: [
+      'For erDiagram: write entities as NAME { type field } and relationships as A ||--o{ B : label'
+    ],
+    retrievalQuery: 'model schema entity table migration column foreign key relation orm prisma sequelize typeorm mongoose sql'
+  },
+  {
+    id: 'state',
+    title: 'State Machine',
+    summary: 'state machine',
+    mermaidType: 'stateDiagram-v2',
+    allowedTypes: ['stateDiagram', 'stateDiagram-v2'],
+    instructions: 'Show the lifecycle states of the most important stateful object and the events that move between them',
+    rules: [
+      'For stateDiagram-v2: start from [*] and use State1 --> State2 : event for transitions'
+    ],
+    retrievalQuery: 'state status transition reducer machine event enum lifecycle pending running completed failed'
+  },
+  {
+    id: 'c4-context',
+    title: 'C4 System Context',
+    summary: 'C4 context view',
+    mermaidType: 'C4Context',
+    allowedTypes: ['C4Context'],
+    instructions: 'Show the system, its users and the external systems it talks to using Person(), System(), System_Ext() and Rel()',
+    rules: [
+      'For C4 diagrams: element and relationship labels are double-quoted arguments, e.g. Person(user, "User") and Rel(user, app, "Uses")'
+    ],
+    retrievalQuery: 'user client external api integration webhook auth oauth http fetch email payment'
+  },
+  {
+    id: 'c4-container',
+    title: 'C4 Container View',
+    summary: 'C4 container view',
+    mermaidType: 'C4Container',
+    allowedTypes: ['C4Container'],
+    instructions: 'Show the deployable containers (apps, APIs, databases, queues) inside a System_Boundary() and how they communicate using Container(), ContainerDb() and Rel()',
+    rules: [
+      'For C4 diagrams: element and relationship labels are double-quoted arguments, e.g. Person(user, "User") and Rel(user, app, "Uses")'
+    ],
+    retrievalQuery: 'docker compose service database queue redis postgres server app api frontend worker container'
+  },
+  {
+    id: 'git-timeline',
+    title: 'Project Timeline',
+    summary: 'project timeline',
+    mermaidType: 'timeline',
+    allowedTypes: ['timeline'],
+    instructions: 'Show the major milestones of the project from the GIT HISTORY section, grouped by period',
+    rules: [
+      'For timeline: write one "period : event" line per milestone, using dates or tags from the GIT HISTORY section'
+    ],
+    retrievalQuery: 'changelog release version readme',
+    needsGitHistory: true
+  }
+];
+
+// The six diagrams the generator has always produced
+export const DEFAULT_DIAGRAM_KINDS = [
+  'architecture',
+  'user-flow',
+  'data-flow',
+  'folder-mapping',
+  'dependencies',
+  'deployment'
+];
+
+/**
+ * Looks up a diagram kind by id
+ * @returns {Object|undefined}
+ */
+export function getDiagramKind(id) {
+  return DIAGRAM_KINDS.find(kind => kind.id === id);
+}
+
+/**
+ * Resolves requested kind ids, keeping request order and dropping duplicates
+ * @param {Array<string>|undefined} ids - Requested ids; defaults to DEFAULT_DIAGRAM_KINDS
+ * @returns {Object} - { kinds } or { error } naming the unknown ids
+ */
+export function resolveDiagramKinds(ids) {
+  if (ids === undefined || ids === null) {
+    return { kinds: DEFAULT_DIAGRAM_KINDS.map(getDiagramKind) };
+  }
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { error: 'diagramKinds must be a non-empty array of diagram kind ids' };
+  }
+
+  const unknown = ids.filter(id => !getDiagramKind(id));
+  if (unknown.length > 0) {
+    return { error: `Unknown diagram kinds: ${unknown.join(', ')}` };
+  }
+
+  return { kinds: [...new Set(ids)].map(getDiagramKind) };
+}
+
+/**
+ * Prompt section for one diagram
+ */
+export function renderKindSection(kind, number) {
+  return [
+    `## ${number}. ${kind.title}`,
+    '',
+    `[Write one sentence explaining what this specific ${kind.summary} shows for this repository]`,
+    '',
+    '```mermaid',
+    kind.mermaidType,
+    `    [${kind.instructions}]`,
+    '```'
+  ].join('\n');
+}
+
+/**
+ * Builds the generation prompt for the selected kinds from gemini-prompt-1.txt
+ * @param {Array<Object>} kinds - Resolved diagram kinds
+ * @returns {string} - Prompt without the repository context
+ */
+export function buildDiagramPrompt(kinds) {
+  const template = fs.readFileSync(PROMPT_TEMPLATE_FILE, 'utf8');
+  const sections = kinds.map((kind, index) => renderKindSection(kind, index + 1)).join('\n\n');
+  const rules = [...new Set(kinds.flatMap(kind => kind.rules))].map(rule => `- ${rule}`).join('\n');
+
+  return template
+    .replace(/\{\{DIAGRAM_COUNT\}\}/g, String(kinds.length))
+    .replace('{{DIAGRAM_SECTIONS}}', sections)
+    .replace('{{DIAGRAM_RULES}}', rules);
+}
+
+export default {
+  DIAGRAM_KINDS,
+  DEFAULT_DIAGRAM_KINDS,
+  getDiagramKind,
+  resolveDiagramKinds,
+  renderKindSection,
+  buildDiagramPrompt
+};
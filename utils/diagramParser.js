@@ -0,0 +1,89 @@
+/**
+ * Parses the generated markdown document into individual diagrams
+ * The prompt asks for "## N. Title" sections, each holding a one-sentence
+ * description followed by a ```mermaid block
+ */
+
+import { extractMermaidBlocks, RepairStatus } from './mermaidRepair.js';
+
+const SECTION_HEADING_PATTERN = /^##\s+(?:(\d+)\.\s*)?(.+)$/gm;
+
+/**
+ * Turns a section title into a stable id ("1. User Flow" -> "user-flow")
+ */
+export function slugify(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'diagram';
+}
+
+/**
+ * Returns the Mermaid diagram type keyword (graph, sequenceDiagram, erDiagram...)
+ */
+export function getDiagramType(mermaidCode) {
+  const firstLine = mermaidCode.trim().split('\n')[0] || '';
+  const [keyword] = firstLine.trim().split(/\s+/);
+  return keyword || 'unknown';
+}
+
+/**
+ * Splits markdown into "## N. Title" sections with their mermaid code
+ * @param {string} markdown - Generated document
+ * @param {Array} validation - Per-diagram results from validateAndRepairDiagrams, matched by block index
+ * @param {Array<Object>} kinds - Requested diagram kinds in section order (see diagramCatalogue.js)
+ * @returns {Array} - [{ id, kind, title, description, mermaid, diagramType, valid, warnings, status }]
+ */
+export function parseDiagramSections(markdown, validation = [], kinds = []) {
+  const headings = [...markdown.matchAll(SECTION_HEADING_PATTERN)];
+  const blocks = extractMermaidBlocks(markdown);
+  const diagrams = [];
+  const usedIds = new Set();
+
+  headings.forEach((heading, headingIndex) => {
+    const sectionStart = heading.index + heading[0].length;
+    const sectionEnd = headingIndex + 1 < headings.length ? headings[headingIndex + 1].index : markdown.length;
+    const block = blocks.find(candidate => candidate.start >= sectionStart && candidate.end <= sectionEnd);
+
+    // Sections without a diagram (intro, notes...) are not diagrams
+    if (!block) return;
+
+    const title = heading[2].trim();
+    // Sections follow the requested kinds in order; fall back to the title for unknown ones
+    const kind = kinds[diagrams.length];
+    const baseId = kind ? kind.id : slugify(title);
+    let id = baseId;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+      id = `${baseId}-${suffix}`;
+    }
+    usedIds.add(id);
+
+    const description = markdown
+      .slice(sectionStart, block.start)
+      .trim()
+      .replace(/\s*\n\s*/g, ' ');
+
+    const result = validation.find(entry => entry.index === block.index);
+    const valid = result ? result.status !== RepairStatus.INVALID : true;
+
+    diagrams.push({
+      id,
+      kind: kind ? kind.id : null,
+      title,
+      description,
+      mermaid: block.code,
+      diagramType: getDiagramType(block.code),
+      valid,
+      warnings: result ? [...(valid ? [] : result.errors), ...result.warnings] : [],
+      status: result ? result.status : null
+    });
+  });
+
+  return diagrams;
+}
+
+export default {
+  parseDiagramSections,
+  getDiagramType,
+  slugify
+};
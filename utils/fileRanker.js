@@ -0,0 +1,269 @@
+/**
+ * Ranks repository files by how much they tell about the architecture
+ * The context budget is filled in ranked order, so READMEs, manifests, entry points,
+ * routes, configuration and infrastructure files get in before tests, fixtures and
+ * deeply nested leaves. Files many others import are promoted as well
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const MAX_SCAN_BYTES = 256 * 1024; // Larger files are not scanned for imports
+
+const WEIGHTS = {
+  README: 100,
+  NESTED_README: 40,
+  DOCS: 25,
+  MANIFEST: 80,
+  NESTED_MANIFEST: 50,
+  ENTRY_POINT: 60,
+  ROUTES: 40,
+  INFRA: 35,
+  CONFIG: 30,
+  SOURCE: 10,
+  FAN_IN_PER_IMPORTER: 8,
+  MAX_FAN_IN: 40,
+  DEPTH: -4,
+  MAX_DEPTH_PENALTY: -20,
+  TEST: -25,
+  LARGE: -15,
+  VERY_LARGE: -30,
+  NEAR_EMPTY: -10,
+  LICENSE: -20,
+  GENERATED: -50
+};
+
+const MANIFESTS = new Set([
+  'package.json', 'pyproject.toml', 'setup.py', 'setup.cfg', 'requirements.txt', 'pipfile',
+  'go.mod', 'cargo.toml', 'pom.xml', 'build.gradle', 'build.gradle.kts', 'settings.gradle',
+  'gemfile', 'composer.json', 'mix.exs', 'pubspec.yaml', 'package.swift', 'deno.json', 'cmakelists.txt'
+]);
+
+const ENTRY_STEMS = new Set([
+  'main', 'index', 'server', 'app', 'application', 'cli', '__main__', 'manage', 'wsgi', 'asgi',
+  'program', 'startup', 'bootstrap', 'lib', 'mod'
+]);
+
+const SOURCE_EXTENSIONS = new Set([
+  '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.py', '.go', '.rs', '.java', '.kt', '.kts', '.scala',
+  '.rb', '.php', '.cs', '.fs', '.swift', '.m', '.c', '.h', '.cc', '.cpp', '.hpp', '.ex', '.exs',
+  '.erl', '.clj', '.dart', '.lua', '.vue', '.svelte', '.sh', '.sql', '.proto', '.graphql'
+]);
+
+const JS_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.vue', '.svelte'];
+
+const LOCK_FILES = new Set([
+  'yarn.lock', 'pnpm-lock.yaml', 'package-lock.json', 'cargo.lock', 'poetry.lock', 'pipfile.lock',
+  'go.sum', 'gemfile.lock', 'composer.lock', 'mix.lock', 'pubspec.lock'
+]);
+
+const GENERATED_DIRS = new Set(['vendor', 'third_party', 'third-party', 'fixtures', '__snapshots__', 'generated', 'migrations']);
+const TEST_DIRS = new Set(['test', 'tests', '__tests__', 'spec', 'specs', 'e2e', 'testdata']);
+const DOC_DIRS = new Set(['docs', 'doc', 'documentation']);
+const ROUTE_DIRS = new Set(['routes', 'route', 'routers', 'router', 'controllers', 'handlers', 'api', 'endpoints', 'views', 'pages']);
+const CONFIG_DIRS = new Set(['config', 'configs', 'conf', 'settings']);
+const INFRA_DIRS = new Set(['k8s', 'kubernetes', 'helm', 'charts', 'deploy', 'deployment', 'infra', 'terraform', 'workflows', '.circleci']);
+
+/**
+ * Scores one file from its path and size
+ * @returns {Object} - { score, reasons }
+ */
+function scorePath(file, size) {
+  const segments = file.split('/');
+  const dirs = segments.slice(0, -1).map(segment => segment.toLowerCase());
+  const base = segments[segments.length - 1].toLowerCase();
+  const ext = path.extname(base);
+  const stem = base.slice(0, base.length - ext.length);
+  const depth = dirs.length;
+  const inDir = (names) => dirs.some(dir => names.has(dir));
+
+  let score = 0;
+  const reasons = [];
+  const add = (weight, reason) => {
+    score += weight;
+    reasons.push(reason);
+  };
+
+  if (/^readme(\.|$)/.test(base)) {
+    add(depth === 0 ? WEIGHTS.README : WEIGHTS.NESTED_README, 'readme');
+  } else if (['.md', '.mdx', '.rst', '.adoc'].includes(ext) && (depth === 0 || inDir(DOC_DIRS))) {
+    add(WEIGHTS.DOCS, 'docs');
+  }
+
+  if (MANIFESTS.has(base) || ext === '.csproj' || ext === '.gemspec') {
+    add(depth === 0 ? WEIGHTS.MANIFEST : WEIGHTS.NESTED_MANIFEST, 'manifest');
+  }
+
+  const isSource = SOURCE_EXTENSIONS.has(ext);
+  if (isSource) {
+    add(WEIGHTS.SOURCE, 'source');
+    if (ENTRY_STEMS.has(stem)) {
+      add(WEIGHTS.ENTRY_POINT, 'entry point');
+    }
+    if (inDir(ROUTE_DIRS) || /(^|[._-])(routes?|router|urls|controllers?|endpoints?|handlers?)$/.test(stem)) {
+      add(WEIGHTS.ROUTES, 'routes');
+    }
+  }
+
+  if (inDir(CONFIG_DIRS) || /(^|[._-])(config|settings|conf)$/.test(stem) || base.startsWith('.env.') || base === 'tsconfig.json') {
+    add(WEIGHTS.CONFIG, 'config');
+  }
+
+  if (base.startsWith('dockerfile') || base.startsWith('docker-compose') || /^compose\.ya?ml$/.test(base) ||
+      ['procfile', 'makefile', 'cloudbuild.yaml', 'app.yaml', 'serverless.yml', 'vercel.json', 'netlify.toml', 'fly.toml'].includes(base) ||
+      ['.tf', '.hcl'].includes(ext) || inDir(INFRA_DIRS)) {
+    add(WEIGHTS.INFRA, 'infra');
+  }
+
+  if (inDir(TEST_DIRS) || /[._-](test|spec)$/.test(stem) || /^test_/.test(stem)) {
+    add(WEIGHTS.TEST, 'test');
+  }
+
+  if (LOCK_FILES.has(base) || /\.min$/.test(stem) || ext === '.map' || inDir(GENERATED_DIRS)) {
+    add(WEIGHTS.GENERATED, 'generated or vendored');
+  }
+
+  if (/^(license|licence|copying)(\.|$)/.test(base)) {
+    add(WEIGHTS.LICENSE, 'license');
+  }
+
+  if (depth > 0) {
+    add(Math.max(WEIGHTS.DEPTH * depth, WEIGHTS.MAX_DEPTH_PENALTY), `depth ${depth}`);
+  }
+
+  if (size > 200 * 1024) {
+    add(WEIGHTS.VERY_LARGE, 'very large');
+  } else if (size > 50 * 1024) {
+    add(WEIGHTS.LARGE, 'large');
+  } else if (size < 50) {
+    add(WEIGHTS.NEAR_EMPTY, 'near-empty');
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Finds the relative imports of a JavaScript/TypeScript or Python file
+ * @returns {Array<string>} - Specifiers as written ('./util', '..models', ...)
+ */
+function readImports(content, ext) {
+  const specifiers = [];
+
+  if (JS_EXTENSIONS.includes(ext)) {
+    const pattern = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)['"](\.{1,2}\/[^'"]*)['"]/g;
+    for (const match of content.matchAll(pattern)) {
+      specifiers.push(match[1]);
+    }
+  } else if (ext === '.py') {
+    const pattern = /^\s*(?:from\s+([.\w]+)\s+import|import\s+([\w.]+))/gm;
+    for (const match of content.matchAll(pattern)) {
+      specifiers.push(match[1] || match[2]);
+    }
+  }
+
+  return specifiers;
+}
+
+/**
+ * Candidate repository paths an import may refer to
+ */
+function importCandidates(importer, specifier, ext) {
+  const dir = path.posix.dirname(importer);
+
+  if (JS_EXTENSIONS.includes(ext)) {
+    const target = path.posix.join(dir, specifier);
+    // TypeScript ESM imports name the compiled file ('./util.js' for util.ts)
+    const withoutJs = target.replace(/\.[cm]?jsx?$/, '');
+    return [
+      target,
+      ...JS_EXTENSIONS.map(candidateExt => withoutJs + candidateExt),
+      ...JS_EXTENSIONS.map(candidateExt => `${target}/index${candidateExt}`)
+    ];
+  }
+
+  // Python: leading dots climb from the importing package, otherwise resolve from the root or src/
+  const dots = specifier.match(/^\.*/)[0].length;
+  const modulePath = specifier.slice(dots).split('.').filter(Boolean).join('/');
+  const bases = dots > 0
+    ? [path.posix.join(dir, ...Array(dots - 1).fill('..'))]
+    : ['', 'src', dir];
+  return bases.flatMap(base => {
+    const target = path.posix.join(base || '.', modulePath);
+    return [`${target}.py`, `${target}/__init__.py`];
+  });
+}
+
+/**
+ * Counts, for every file, how many other files import it
+ * @returns {Map<string, number>}
+ */
+function countImportFanIn(entries, rootDir) {
+  const known = new Set(entries.map(entry => entry.path));
+  const fanIn = new Map();
+
+  for (const entry of entries) {
+    const ext = path.extname(entry.path).toLowerCase();
+    if ((!JS_EXTENSIONS.includes(ext) && ext !== '.py') || entry.size > MAX_SCAN_BYTES) {
+      continue;
+    }
+
+    let content;
+    try {
+      content = fs.readFileSync(path.join(rootDir, entry.path), 'utf-8');
+    } catch {
+      continue;
+    }
+
+    const targets = new Set();
+    for (const specifier of readImports(content, ext)) {
+      const target = importCandidates(entry.path, specifier, ext).find(candidate => known.has(candidate));
+      if (target && target !== entry.path) {
+        targets.add(target);
+      }
+    }
+    targets.forEach(target => fanIn.set(target, (fanIn.get(target) || 0) + 1));
+  }
+
+  return fanIn;
+}
+
+/**
+ * Orders files by importance for the architecture diagrams
+ * @param {Array<string>} files - Paths relative to rootDir, with forward slashes
+ * @param {Object} options
+ * @param {string} options.rootDir - Directory the paths are relative to
+ * @returns {Array<Object>} - { path, size, score, reasons, rank }, best first (ties keep path order)
+ */
+export function rankFiles(files, { rootDir }) {
+  const entries = files.map(file => {
+    let size = 0;
+    try {
+      size = fs.statSync(path.join(rootDir, file)).size;
+    } catch {
+      // Reported as a read error when the file is packed
+    }
+    return { path: file, size };
+  });
+
+  const fanIn = countImportFanIn(entries, rootDir);
+
+  return entries
+    .map(entry => {
+      const { score, reasons } = scorePath(entry.path, entry.size);
+      const importers = fanIn.get(entry.path) || 0;
+      if (importers > 0) {
+        reasons.push(`imported by ${importers} file${importers === 1 ? '' : 's'}`);
+      }
+      return {
+        ...entry,
+        score: score + Math.min(importers * WEIGHTS.FAN_IN_PER_IMPORTER, WEIGHTS.MAX_FAN_IN),
+        reasons
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path))
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+export default {
+  rankFiles
+};
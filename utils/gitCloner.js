@@ -0,0 +1,435 @@
+/**
+ * Hardened, non-blocking repository checkout
+ * Every git command is spawned with an argument array (never a shell), a protocol
+ * allowlist, no hooks or templates and a deadline. The commit is fetched as a shallow
+ * partial clone whose file count is checked before any file content is downloaded and
+ * whose size is capped while it downloads; blobs over the per-file limit are left out
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+const DEFAULT_MAX_BLOB_BYTES = 1024 * 1024; // Larger files are never downloaded
+const DEFAULT_MAX_CHECKOUT_BYTES = 200 * 1024 * 1024;
+const DEFAULT_MAX_CHECKOUT_FILES = 20000;
+const DEFAULT_ALLOWED_PROTOCOLS = ['https', 'ssh'];
+const MAX_OUTPUT_BYTES = 32 * 1024 * 1024;
+const DOWNLOAD_POLL_MS = 250;
+
+// Applied to every git command; repository content must never run code on the server
+const HARDENING_CONFIG = [
+  'core.hooksPath=/dev/null',
+  'core.fsmonitor=false',
+  'credential.helper=',
+  'submodule.recurse=false',
+  'advice.detachedHead=false'
+];
+
+// Process groups of git commands still running, stopped all at once on shutdown
+const runningGroups = new Set();
+
+/**
+ * Raised when git exits with an error, times out or is cancelled
+ * Mirrors execFile errors (message, stderr) so clone errors classify the same way
+ */
+export class GitCommandError extends Error {
+  constructor(message, { stderr = '', code = null, timedOut = false, cancelled = false } = {}) {
+    super(message);
+    this.name = 'GitCommandError';
+    this.stderr = stderr;
+    this.code = code;
+    this.timedOut = timedOut;
+    this.cancelled = cancelled;
+  }
+}
+
+/**
+ * Raised when the commit exceeds the file count or checkout size limits
+ */
+export class CloneLimitError extends Error {
+  constructor(message, { limit, actual, max }) {
+    super(message);
+    this.name = 'CloneLimitError';
+    this.limit = limit; // 'files' or 'bytes'
+    this.actual = actual;
+    this.max = max;
+  }
+}
+
+function parseNumber(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Reads clone limits from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} - Normalized clone configuration
+ */
+export function getCloneConfig(env = process.env) {
+  return {
+    timeoutMs: parseNumber(env.CLONE_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    maxBlobBytes: parseNumber(env.CLONE_MAX_BLOB_BYTES, DEFAULT_MAX_BLOB_BYTES),
+    maxCheckoutBytes: parseNumber(env.CLONE_MAX_BYTES, DEFAULT_MAX_CHECKOUT_BYTES),
+    maxCheckoutFiles: parseNumber(env.CLONE_MAX_FILES, DEFAULT_MAX_CHECKOUT_FILES),
+    allowedProtocols: env.CLONE_ALLOWED_PROTOCOLS
+      ? env.CLONE_ALLOWED_PROTOCOLS.split(',').map(protocol => protocol.trim().toLowerCase()).filter(Boolean)
+      : DEFAULT_ALLOWED_PROTOCOLS
+  };
+}
+
+/**
+ * Environment for git commands that talk to a remote
+ * @param {Object} baseEnv - Environment to extend, e.g. from GitCredentials.gitEnv
+ * @param {Object} config - Result of getCloneConfig
+ * @returns {Object}
+ */
+export function gitRemoteEnv(baseEnv = process.env, config = getCloneConfig()) {
+  return {
+    ...baseEnv,
+    GIT_TERMINAL_PROMPT: '0',
+    GIT_ALLOW_PROTOCOL: config.allowedProtocols.join(':'),
+    GIT_LFS_SKIP_SMUDGE: '1'
+  };
+}
+
+/**
+ * Runs one git command without a shell
+ * The child gets its own process group so a timeout or abort also stops the
+ * transport helpers (git-remote-https, ssh) it started
+ * @returns {Promise<Object>} - { stdout, stderr }
+ */
+export function runGit(args, { cwd, env = process.env, signal, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const fullArgs = [...HARDENING_CONFIG.flatMap(setting => ['-c', setting]), ...args];
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new GitCommandError(`git ${args[0]} cancelled`, { cancelled: true }));
+      return;
+    }
+
+    const child = spawn('git', fullArgs, { cwd, env, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+    if (child.pid) {
+      runningGroups.add(child.pid);
+    }
+    const stdout = [];
+    const stderr = [];
+    let outputBytes = 0;
+    let timedOut = false;
+    let cancelled = false;
+    let overflow = false;
+
+    const stop = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        // Already exited
+      }
+    };
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, Math.max(timeoutMs, 1));
+    const onAbort = () => {
+      cancelled = true;
+      stop();
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    child.stdout.on('data', chunk => {
+      outputBytes += chunk.length;
+      if (outputBytes > MAX_OUTPUT_BYTES) {
+        overflow = true;
+        stop();
+        return;
+      }
+      stdout.push(chunk);
+    });
+    child.stderr.on('data', chunk => {
+      // Progress output is noise; keep the tail, where git prints the error
+      stderr.push(chunk);
+      if (stderr.length > 64) stderr.shift();
+    });
+
+    child.on('error', error => {
+      runningGroups.delete(child.pid);
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      reject(new GitCommandError(`git ${args[0]} failed: ${error.message}`, { code: error.code }));
+    });
+
+    // 'close' fires after the process exited and its pipes drained, so callers may delete its directory
+    child.on('close', code => {
+      runningGroups.delete(child.pid);
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      const stderrText = Buffer.concat(stderr).toString();
+
+      if (code === 0 && !timedOut && !cancelled && !overflow) {
+        resolve({ stdout: Buffer.concat(stdout).toString(), stderr: stderrText });
+        return;
+      }
+
+      const reason = cancelled ? 'cancelled' : timedOut ? 'timed out (ETIMEDOUT)' : overflow ? 'produced too much output' : `exited with code ${code}`;
+      reject(new GitCommandError(`Command failed: git ${args.join(' ')} ${reason}\n${stderrText}`, {
+        stderr: stderrText,
+        code,
+        timedOut,
+        cancelled
+      }));
+    });
+  });
+}
+
+/**
+ * True for full or abbreviated commit SHAs
+ */
+export function isCommitSha(ref) {
+  return /^[0-9a-f]{7,40}$/i.test(ref);
+}
+
+/**
+ * Escapes a path for a sparse-checkout (gitignore syntax) pattern
+ */
+function escapeSparsePath(filePath) {
+  return filePath.replace(/[\\*?[\]!#]/g, '\\$&').replace(/ $/, '\\ ');
+}
+
+/**
+ * Lists the files of a commit from its trees alone, so it works before any blob is downloaded
+ * @returns {Promise<Array>} - [{ path, oid }]
+ */
+async function listCommitFiles(run, commit) {
+  const { stdout } = await run(['ls-tree', '-r', '-z', commit]);
+  return stdout.split('\0').filter(Boolean).flatMap(entry => {
+    const [info, filePath] = entry.split('\t');
+    const [, type, oid] = info.split(' ');
+    // Submodule commits have nothing to check out
+    return type === 'blob' ? [{ path: filePath, oid }] : [];
+  });
+}
+
+/**
+ * Sizes of the blobs present in the repository
+ * `ls-tree -l` would download every blob the partial clone left out; --batch-all-objects
+ * only reads local objects, so it never triggers a lazy fetch
+ * @returns {Promise<Map>} - oid => size
+ */
+async function readBlobSizes(run) {
+  const { stdout } = await run(['cat-file', '--batch-all-objects', '--batch-check=%(objectname) %(objecttype) %(objectsize)']);
+  const sizes = new Map();
+  for (const line of stdout.split('\n')) {
+    const [oid, type, size] = line.split(' ');
+    if (type === 'blob') sizes.set(oid, Number(size));
+  }
+  return sizes;
+}
+
+function packBytes(packDir) {
+  let bytes = 0;
+  try {
+    for (const file of fs.readdirSync(packDir)) {
+      bytes += fs.statSync(path.join(packDir, file)).size;
+    }
+  } catch {
+    // A temporary pack was renamed between the listing and the stat; the next poll counts it
+  }
+  return bytes;
+}
+
+/**
+ * Calls onExceeded once the packs written since the call grow past maxBytes
+ * Compressed data over the cap means the checkout would be over it too, so a hostile
+ * repository is stopped while it downloads rather than after
+ * @returns {Function} - Stops watching
+ */
+function watchDownload(cloneDir, maxBytes, onExceeded) {
+  const packDir = path.join(cloneDir, '.git', 'objects', 'pack');
+  const baseline = packBytes(packDir);
+  const timer = setInterval(() => {
+    const bytes = packBytes(packDir) - baseline;
+    if (bytes > maxBytes) {
+      clearInterval(timer);
+      onExceeded(bytes);
+    }
+  }, DOWNLOAD_POLL_MS);
+  return () => clearInterval(timer);
+}
+
+function checkoutBytesError(message, actual, max) {
+  return new CloneLimitError(`${message} (limit ${max})`, { limit: 'bytes', actual, max });
+}
+
+/**
+ * Fetches a branch, tag or commit into a new repository at cloneDir and checks it out
+ * Commits and trees come first, so the file count is checked before any file content is
+ * downloaded; blobs under the per-file limit follow in a second fetch that is stopped as
+ * soon as it passes the checkout size limit
+ * @param {string} repoUrl - Clone URL (https:// or SSH)
+ * @param {string} cloneDir - Directory to create; it must not exist yet
+ * @param {Object} [options]
+ * @param {string} [options.ref] - Branch, tag or commit SHA; defaults to the remote HEAD
+ * @param {number} [options.depth] - Commits of history to fetch (1 unless git history is needed)
+ * @param {AbortSignal} [options.signal] - Kills the running git command
+ * @param {Object} [options.env] - Base environment, e.g. from GitCredentials.gitEnv
+ * @param {Object} [options.config] - Limits from getCloneConfig
+ * @returns {Promise<Object>} - { commitSha, fileCount, totalBytes, skippedFiles }
+ * @throws {GitCommandError|CloneLimitError}
+ */
+export async function cloneRepository(repoUrl, cloneDir, options = {}) {
+  const { ref, depth = 1, signal, env = process.env, config = getCloneConfig() } = options;
+  const deadline = Date.now() + config.timeoutMs;
+  // Every command gets the remote environment: in a partial clone even checkout and
+  // cat-file may fetch missing objects on demand
+  const remoteEnv = gitRemoteEnv(env, config);
+  const run = (args, runOptions = {}) => runGit(args, {
+    cwd: cloneDir,
+    env: remoteEnv,
+    signal,
+    timeoutMs: deadline - Date.now(),
+    ...runOptions
+  });
+
+  fs.mkdirSync(cloneDir, { recursive: true });
+  // An empty template directory means no sample hooks, no info/exclude from the server's git install
+  await run(['init', '--quiet', '--template=', '.']);
+  await run(['remote', 'add', 'origin', repoUrl]);
+  // Downloads always land in a pack (whose size can be watched), and local commits are never
+  // offered, so fetching a commit again still sends the blobs the first fetch left out
+  await run(['config', 'fetch.unpackLimit', '1']);
+  await run(['config', 'fetch.negotiationAlgorithm', 'noop']);
+
+  const treeFetch = ['fetch', '--quiet', '--no-tags', '--filter=blob:none', '--depth=1', 'origin'];
+  let commit = 'FETCH_HEAD^{commit}';
+  if (!ref) {
+    await run([...treeFetch, 'HEAD']);
+  } else if (isCommitSha(ref) && ref.length === 40) {
+    await run([...treeFetch, ref]);
+  } else if (isCommitSha(ref)) {
+    // Abbreviated SHAs cannot be fetched directly; resolve them against the commits alone
+    // (no trees or file contents), then fetch the full SHA like any other commit
+    await run(['fetch', '--quiet', '--no-tags', '--filter=tree:0', 'origin', '+refs/heads/*:refs/remotes/origin/*']);
+    commit = `${ref}^{commit}`;
+  } else {
+    // Same precedence as `git clone --branch`: branches win over tags
+    try {
+      await run([...treeFetch, `refs/heads/${ref}`]);
+    } catch (error) {
+      if (error.cancelled || error.timedOut || !/couldn't find remote ref/i.test(error.stderr)) throw error;
+      await run([...treeFetch, `refs/tags/${ref}`]);
+    }
+  }
+
+  let commitSha;
+  try {
+    const { stdout } = await run(['rev-parse', '--verify', '--quiet', commit]);
+    commitSha = stdout.trim();
+  } catch (error) {
+    if (error.cancelled || error.timedOut) throw error;
+    throw new GitCommandError(`Commit not found: ${ref}`, { stderr: `fatal: reference is not a tree: ${ref}`, code: error.code });
+  }
+  if (commit !== 'FETCH_HEAD^{commit}') {
+    await run([...treeFetch, commitSha]);
+  }
+
+  const files = await listCommitFiles(run, commitSha);
+  if (files.length > config.maxCheckoutFiles) {
+    throw new CloneLimitError(`Repository has ${files.length} files (limit ${config.maxCheckoutFiles})`, {
+      limit: 'files',
+      actual: files.length,
+      max: config.maxCheckoutFiles
+    });
+  }
+
+  // A download of its own, so the size watch can stop it without cancelling the caller
+  const download = new AbortController();
+  const cancelDownload = () => download.abort();
+  if (signal?.aborted) {
+    cancelDownload();
+  } else {
+    signal?.addEventListener('abort', cancelDownload, { once: true });
+  }
+  let downloadedBytes = 0;
+  const stopWatching = watchDownload(cloneDir, config.maxCheckoutBytes, bytes => {
+    downloadedBytes = bytes;
+    download.abort();
+  });
+  try {
+    await run(['fetch', '--quiet', '--no-tags', `--filter=blob:limit=${config.maxBlobBytes}`, '--depth=1', 'origin', commitSha], {
+      signal: download.signal
+    });
+  } catch (error) {
+    if (downloadedBytes > 0 && !signal?.aborted) {
+      throw checkoutBytesError(`Repository download passed ${downloadedBytes} bytes`, downloadedBytes, config.maxCheckoutBytes);
+    }
+    throw error;
+  } finally {
+    stopWatching();
+    signal?.removeEventListener('abort', cancelDownload);
+  }
+
+  // Blobs the server sent anyway (it may ignore the filter) are skipped like missing ones
+  const sizes = await readBlobSizes(run);
+  const fits = (file) => sizes.has(file.oid) && sizes.get(file.oid) <= config.maxBlobBytes;
+  const skippedFiles = files.filter(file => !fits(file)).map(file => file.path);
+  const totalBytes = files.filter(fits).reduce((sum, file) => sum + sizes.get(file.oid), 0);
+  if (totalBytes > config.maxCheckoutBytes) {
+    throw checkoutBytesError(`Repository checkout is ${totalBytes} bytes`, totalBytes, config.maxCheckoutBytes);
+  }
+
+  if (depth > 1) {
+    // History needs commits and trees (git log -- <subpath>), never older file contents
+    await run(['fetch', '--quiet', '--filter=blob:none', `--depth=${depth}`, 'origin', commitSha]);
+  }
+
+  // Leaving large blobs out of a sparse checkout keeps git from fetching them on demand
+  if (skippedFiles.length > 0) {
+    await run(['config', 'core.sparseCheckout', 'true']);
+    const infoDir = path.join(cloneDir, '.git', 'info');
+    fs.mkdirSync(infoDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(infoDir, 'sparse-checkout'),
+      ['/*', ...skippedFiles.map(filePath => `!/${escapeSparsePath(filePath)}`)].join('\n') + '\n'
+    );
+  }
+
+  await run(['checkout', '--quiet', '--detach', commitSha]);
+
+  return {
+    commitSha,
+    fileCount: files.length - skippedFiles.length,
+    totalBytes,
+    skippedFiles
+  };
+}
+
+/**
+ * Kills every git command still running (they live in their own process groups,
+ * so they would otherwise outlive the server)
+ * @returns {number} - Number of commands killed
+ */
+export function terminateGitProcesses() {
+  const count = runningGroups.size;
+  for (const pid of runningGroups) {
+    try {
+      process.kill(-pid, 'SIGKILL');
+    } catch {
+      // Already exited
+    }
+  }
+  runningGroups.clear();
+  return count;
+}
+
+export default {
+  GitCommandError,
+  CloneLimitError,
+  getCloneConfig,
+  gitRemoteEnv,
+  runGit,
+  isCommitSha,
+  cloneRepository,
+  terminateGitProcesses
+};
@@ -0,0 +1,208 @@
+/**
+ * Per-request credentials for private repositories
+ * A personal access token is sent as an HTTP header through git's environment config,
+ * a deploy key is a private key file configured on the server and picked by name;
+ * neither ever appears in the clone URL, command line, logs, temp paths or cache keys
+ */
+
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+import { GitHost, parseRepoUrl } from './gitUrlParser.js';
+
+const MAX_TOKEN_LENGTH = 1024;
+const KEY_NAME_PATTERN = /^[\w-][\w.-]*$/;
+
+// Username each host expects alongside a token sent as the password
+const TOKEN_USERNAMES = {
+  [GitHost.GITHUB]: 'x-access-token',
+  [GitHost.GITLAB]: 'oauth2',
+  [GitHost.BITBUCKET]: 'x-token-auth',
+  [GitHost.GITEA]: 'oauth2',
+  [GitHost.GENERIC]: 'git'
+};
+
+/**
+ * Reads the deploy key settings from the environment
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - { deployKeyDir, knownHostsFile }
+ */
+export function getCredentialConfig(env = process.env) {
+  return {
+    deployKeyDir: env.DEPLOY_KEY_DIR || null,
+    knownHostsFile: env.SSH_KNOWN_HOSTS_FILE || null
+  };
+}
+
+/**
+ * Credentials of one request
+ * Secrets live in private fields so JSON.stringify and console.log only ever show the type
+ */
+export class GitCredentials {
+  #token;
+  #username;
+  #keyFile;
+  #secrets = new Set();
+
+  /**
+   * @param {Object} options - { token, username } or { keyFile, keyName }
+   */
+  constructor({ token, username, keyFile, keyName, knownHostsFile }) {
+    this.#token = token || null;
+    this.#username = username || null;
+    this.#keyFile = keyFile || null;
+    if (token) {
+      this.#secrets.add(token).add(encodeURIComponent(token));
+    }
+    this.type = token ? 'token' : 'deploy_key';
+    this.keyName = keyName || null;
+    this.knownHostsFile = knownHostsFile || null;
+  }
+
+  /**
+   * Clone URL matching the credential: tokens need https, deploy keys need SSH
+   * @param {string} cloneUrl - Clone URL from parseRepoUrl
+   * @returns {Object} - { cloneUrl } or { error }
+   */
+  resolveCloneUrl(cloneUrl) {
+    const parsed = parseRepoUrl(cloneUrl);
+    const isSsh = !cloneUrl.startsWith('https://');
+
+    if (this.#token) {
+      return isSsh
+        ? { error: 'Access tokens only work with https:// repository URLs; use a deploy key for SSH remotes' }
+        : { cloneUrl };
+    }
+
+    if (isSsh) {
+      return { cloneUrl };
+    }
+    // Public hosts are normally cloned over https; a deploy key needs their SSH endpoint
+    const suffix = cloneUrl.endsWith('.git') ? '.git' : '';
+    return { cloneUrl: `git@${parsed.host}:${parsed.owner}/${parsed.repo}${suffix}` };
+  }
+
+  /**
+   * Environment for git commands run with these credentials
+   * Extra config entries are appended after any GIT_CONFIG_COUNT entries already set
+   * @param {string} cloneUrl - URL returned by resolveCloneUrl
+   * @param {Object} baseEnv - Environment to extend (defaults to process.env)
+   * @returns {Object}
+   */
+  gitEnv(cloneUrl, baseEnv = process.env) {
+    const env = { ...baseEnv, GIT_TERMINAL_PROMPT: '0' };
+
+    if (this.#token) {
+      const { origin } = new URL(cloneUrl);
+      const username = this.#username || TOKEN_USERNAMES[parseRepoUrl(cloneUrl).hostType];
+      const basic = Buffer.from(`${username}:${this.#token}`).toString('base64');
+      this.#secrets.add(basic);
+      // Scoped to the repository's origin so a redirect never carries the header elsewhere
+      appendGitConfig(env, [
+        [`http.${origin}/.extraHeader`, `Authorization: Basic ${basic}`],
+        ['credential.helper', '']
+      ]);
+      return env;
+    }
+
+    const sshOptions = [
+      `-i ${shellQuote(this.#keyFile)}`,
+      '-o IdentitiesOnly=yes',
+      '-o BatchMode=yes',
+      this.knownHostsFile
+        ? `-o StrictHostKeyChecking=yes -o UserKnownHostsFile=${shellQuote(this.knownHostsFile)}`
+        : '-o StrictHostKeyChecking=accept-new'
+    ];
+    env.GIT_SSH_COMMAND = `ssh ${sshOptions.join(' ')}`;
+    return env;
+  }
+
+  /**
+   * Removes the secret (and its encoded header form) from text before it is logged or returned
+   * @param {string} text
+   * @returns {string}
+   */
+  redact(text) {
+    if (!text) {
+      return text;
+    }
+    return [...this.#secrets].reduce((redacted, secret) => redacted.split(secret).join('[REDACTED]'), String(text));
+  }
+
+  toJSON() {
+    return { type: this.type, keyName: this.keyName };
+  }
+
+  [util.inspect.custom]() {
+    return `GitCredentials <${this.type}${this.keyName ? `: ${this.keyName}` : ''}>`;
+  }
+}
+
+/**
+ * Validates the optional `auth` field of a request
+ * @param {Object|undefined} auth - { token, username } or { deployKey }
+ * @param {Object} config - Result of getCredentialConfig
+ * @returns {Object} - { credentials } (null when absent) or { error }
+ */
+export function readCredentials(auth, config = getCredentialConfig()) {
+  if (auth === undefined || auth === null) {
+    return { credentials: null };
+  }
+  if (typeof auth !== 'object' || Array.isArray(auth)) {
+    return { error: 'auth must be an object with a token or a deployKey' };
+  }
+
+  const { token, username, deployKey } = auth;
+  if (token !== undefined && deployKey !== undefined) {
+    return { error: 'auth accepts either a token or a deployKey, not both' };
+  }
+
+  if (token !== undefined) {
+    if (typeof token !== 'string' || !token.trim() || token.length > MAX_TOKEN_LENGTH || /[\s:]/.test(token.trim())) {
+      return { error: 'auth.token must be a personal access token' };
+    }
+    if (username !== undefined && (typeof username !== 'string' || !/^[\w.@-]{1,100}$/.test(username))) {
+      return { error: 'auth.username must be a plain user name' };
+    }
+    return { credentials: new GitCredentials({ token: token.trim(), username }) };
+  }
+
+  if (deployKey !== undefined) {
+    if (!config.deployKeyDir) {
+      return { error: 'Deploy keys are not configured on this server' };
+    }
+    // Keys are referenced by file name only, never by path
+    if (typeof deployKey !== 'string' || !KEY_NAME_PATTERN.test(deployKey)) {
+      return { error: 'auth.deployKey must be the name of a configured deploy key' };
+    }
+    const keyFile = path.join(path.resolve(config.deployKeyDir), deployKey);
+    if (!fs.existsSync(keyFile) || !fs.statSync(keyFile).isFile()) {
+      return { error: `Unknown deploy key: ${deployKey}` };
+    }
+    return {
+      credentials: new GitCredentials({ keyFile, keyName: deployKey, knownHostsFile: config.knownHostsFile })
+    };
+  }
+
+  return { error: 'auth must be an object with a token or a deployKey' };
+}
+
+function appendGitConfig(env, entries) {
+  let count = parseInt(env.GIT_CONFIG_COUNT, 10) || 0;
+  for (const [key, value] of entries) {
+    env[`GIT_CONFIG_KEY_${count}`] = key;
+    env[`GIT_CONFIG_VALUE_${count}`] = value;
+    count++;
+  }
+  env.GIT_CONFIG_COUNT = String(count);
+}
+
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+export default {
+  GitCredentials,
+  getCredentialConfig,
+  readCredentials
+};
@@ -1,40 +1,304 @@
 /**
- * Converts any GitHub URL format to a clone URL
- * Handles: https://github.com/user/repo, user/repo, git@github.com:user/repo.git, etc.
- * @param {string} url - Any GitHub URL format
- * @returns {string|null} - Clone URL (https://github.com/user/repo.git) or null if invalid
+ * Parses repository URLs from GitHub, GitLab, Bitbucket, Gitea/Forgejo and other Git hosts
+ * parseRepoUrl is the single source of truth: it drives URL validation,
+ * the clone URL and the ref/subdirectory found in browser URLs
  */
-export function getGitCloneUrl(url) {
-  if (!url || typeof url !== 'string') {
+
+export const GitHost = {
+  GITHUB: 'github',
+  GITLAB: 'gitlab',
+  BITBUCKET: 'bitbucket',
+  GITEA: 'gitea', // Also Forgejo (Codeberg)
+  GENERIC: 'generic'
+};
+
+const KNOWN_HOSTS = {
+  'github.com': GitHost.GITHUB,
+  'gitlab.com': GitHost.GITLAB,
+  'bitbucket.org': GitHost.BITBUCKET,
+  'codeberg.org': GitHost.GITEA,
+  'gitea.com': GitHost.GITEA
+};
+
+const SEGMENT_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Checks that a branch, tag or commit name is safe to hand to git
+ * Follows the main git-check-ref-format rules and rejects anything git could read as an option
+ * @param {string} ref - Branch, tag or commit SHA
+ * @returns {boolean}
+ */
+export function isValidGitRef(ref) {
+  if (!ref || typeof ref !== 'string' || ref.length > 255) {
+    return false;
+  }
+
+  return /^[\w.\/-]+$/.test(ref) &&
+    !ref.startsWith('-') &&
+    !ref.startsWith('/') &&
+    !ref.endsWith('/') &&
+    !ref.endsWith('.') &&
+    !ref.endsWith('.lock') &&
+    !ref.includes('..') &&
+    !ref.includes('//');
+}
+
+/**
+ * Normalizes a repository subdirectory ("/packages/api/" -> "packages/api")
+ * @param {string} subpath - Directory inside the repository
+ * @returns {string|null} - Normalized path ('' for the repository root), or null if it is unsafe
+ */
+export function normalizeSubpath(subpath) {
+  if (subpath === undefined || subpath === null) {
+    return '';
+  }
+  if (typeof subpath !== 'string' || subpath.length > 1024) {
     return null;
   }
 
+  const segments = subpath.replace(/\\/g, '/').split('/').filter(segment => segment !== '');
+  const safe = segments.every(segment =>
+    segment !== '.' && segment !== '..' && segment !== '.git' && /^[\w.@+ -]+$/.test(segment));
+  return safe ? segments.join('/') : null;
+}
+
+/**
+ * Splits a URL into protocol, host and path segments
+ * Accepts https://host/path, ssh://[user@]host[:port]/path, user@host:path (scp style),
+ * host.tld/path and the GitHub owner/repo shorthand
+ * @returns {Object|null} - { protocol, host, port, user, segments, hasGitSuffix }
+ */
+function splitUrl(url) {
   const trimmedUrl = url.trim();
-  
-  // Patterns to extract org/repo from various GitHub URL formats
-  const patterns = [
-    // https://github.com/user/repo (with optional paths, .git, etc.)
-    /^https?:\/\/github\.com\/([^\/\s]+)\/([^\/\s\?#]+?)(?:\.git)?(?:\/.*)?$/,
-    // git@github.com:user/repo.git
-    /^git@github\.com:([^\/\s]+)\/([^\/\s\?#]+?)(?:\.git)?$/,
+  let protocol;
+  let host;
+  let port = '';
+  let user = '';
+  let rawPath;
+
+  const scpMatch = trimmedUrl.match(/^([\w.-]+)@([\w.-]+):(?!\/\/)([^\s]+)$/);
+  if (scpMatch) {
+    [, user, host, rawPath] = scpMatch;
+    protocol = 'ssh';
+  } else if (/^(https?|ssh):\/\//i.test(trimmedUrl)) {
+    let parsed;
+    try {
+      parsed = new URL(trimmedUrl);
+    } catch {
+      return null;
+    }
+    // Credentials belong in the request's auth fields, never in the URL (they would end up in logs and cache keys).
+    // Over http(s) a bare user name is usually a token too; only ssh:// keeps its login user
+    if (parsed.password || (parsed.username && !/^ssh:/i.test(trimmedUrl))) {
+      return null;
+    }
+    protocol = parsed.protocol.replace(':', '').toLowerCase();
+    host = parsed.hostname.toLowerCase();
+    port = parsed.port;
+    user = parsed.username;
+    rawPath = parsed.pathname;
+  } else if (/^[\w-]+(\.[\w-]+)+\//.test(trimmedUrl)) {
     // github.com/user/repo
-    /^github\.com\/([^\/\s]+)\/([^\/\s\?#]+?)(?:\.git)?(?:\/.*)?$/,
-    // user/repo (shorthand)
-    /^([^\/\s]+)\/([^\/\s\?#]+?)(?:\.git)?$/
-  ];
-
-  for (const pattern of patterns) {
-    const match = trimmedUrl.match(pattern);
-    if (match) {
-      const org = match[1];
-      const repo = match[2].replace(/\.git$/, '');
-      
-      // Basic validation
-      if (org && repo && /^[\w\-\.]+$/.test(org) && /^[\w\-\.]+$/.test(repo)) {
-        return `https://github.com/${org}/${repo}.git`;
+    protocol = 'https';
+    [host] = trimmedUrl.split('/');
+    host = host.toLowerCase();
+    rawPath = trimmedUrl.slice(host.length).split(/[?#]/)[0];
+  } else if (/^[\w.-]+\/[\w.-]+$/.test(trimmedUrl)) {
+    // user/repo shorthand
+    protocol = 'https';
+    host = 'github.com';
+    rawPath = trimmedUrl;
+  } else {
+    return null;
+  }
+
+  let segments;
+  try {
+    segments = rawPath.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+
+  return { protocol, host, port, user, segments, hasGitSuffix: /\.git\/?$/.test(rawPath) };
+}
+
+/**
+ * Picks the hosting software from the host name, then from GitLab/Gitea-specific URL shapes
+ */
+function detectHost(host, segments) {
+  if (KNOWN_HOSTS[host]) {
+    return KNOWN_HOSTS[host];
+  }
+  if (segments.includes('-') || host.includes('gitlab')) {
+    return GitHost.GITLAB;
+  }
+  const srcIndex = segments.indexOf('src');
+  if (srcIndex >= 2 && ['branch', 'tag', 'commit'].includes(segments[srcIndex + 1]) ||
+      host.includes('gitea') || host.includes('forgejo')) {
+    return GitHost.GITEA;
+  }
+  return GitHost.GENERIC;
+}
+
+/**
+ * Separates the repository path from the browser page path that follows it
+ * Branch names containing slashes are ambiguous in page URLs (the rest could be a folder),
+ * so only the first segment is used as the ref; pass such branches as an explicit ref instead
+ * @returns {Object} - { projectSegments, ref, subpath }
+ */
+function splitPagePath(hostType, segments) {
+  const page = (projectLength) => ({ project: segments.slice(0, projectLength), rest: segments.slice(projectLength) });
+
+  switch (hostType) {
+    case GitHost.GITHUB: {
+      // /owner/repo/tree/<ref>/<path>, /blob/<ref>/<file>, /commit/<sha>, /releases/tag/<tag>
+      const { project, rest } = page(2);
+      if (rest[0] === 'tree') return { project, ref: rest[1], subpath: rest.slice(2).join('/') };
+      if (rest[0] === 'blob' || rest[0] === 'commit') return { project, ref: rest[1] };
+      if (rest[0] === 'releases' && rest[1] === 'tag') return { project, ref: rest[2] };
+      return { project };
+    }
+    case GitHost.GITLAB: {
+      // /group/subgroup/project/-/tree/<ref>/<path>, /-/blob/<ref>/<file>, /-/commit/<sha>, /-/tags/<tag>
+      const separator = segments.indexOf('-');
+      if (separator === -1) return { project: segments };
+      const project = segments.slice(0, separator);
+      const rest = segments.slice(separator + 1);
+      if (rest[0] === 'tree') return { project, ref: rest[1], subpath: rest.slice(2).join('/') };
+      if (['blob', 'commit', 'tags'].includes(rest[0])) return { project, ref: rest[1] };
+      return { project };
+    }
+    case GitHost.BITBUCKET: {
+      // /workspace/repo/src/<ref>/<path>, /commits/<sha>, /branch/<ref>
+      const { project, rest } = page(2);
+      if (rest[0] === 'src') return { project, ref: rest[1], subpath: rest.slice(2).join('/') };
+      if (rest[0] === 'commits' || rest[0] === 'branch') return { project, ref: rest[1] };
+      return { project };
+    }
+    case GitHost.GITEA: {
+      // /owner/repo/src/{branch,tag,commit}/<ref>/<path>, /commit/<sha>
+      const { project, rest } = page(2);
+      if (rest[0] === 'src' && ['branch', 'tag', 'commit'].includes(rest[1])) {
+        return { project, ref: rest[2], subpath: rest.slice(3).join('/') };
       }
+      if (rest[0] === 'commit') return { project, ref: rest[1] };
+      return { project };
     }
+    default:
+      // Self-hosted remotes: the whole path names the repository
+      return { project: segments };
+  }
+}
+
+/**
+ * Parses any supported repository URL
+ * Handles GitHub, GitLab (nested groups, self-hosted), Bitbucket, Gitea/Forgejo and
+ * arbitrary https:// or SSH remotes, including browser URLs pointing at a branch, commit or folder
+ * @param {string} url - Repository URL as entered by the user
+ * @returns {Object|null} - { hostType, host, owner, repo, ref, subpath, cloneUrl, webUrl } or null if invalid
+ */
+export function parseRepoUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
   }
 
-  return null;
-}
\ No newline at end of file
+  const parts = splitUrl(url);
+  if (!parts || !parts.host) {
+    return null;
+  }
+
+  const hostType = detectHost(parts.host, parts.segments);
+  // Plain http is only tolerated for known hosts, which are always cloned over https
+  if (parts.protocol === 'http' && hostType === GitHost.GENERIC) {
+    return null;
+  }
+
+  const { project, ref = null, subpath = '' } = splitPagePath(hostType, parts.segments);
+  const projectSegments = project.map(segment => segment.replace(/\.git$/, ''));
+  if (projectSegments.length < 2 || !projectSegments.every(segment => SEGMENT_PATTERN.test(segment) && !/^\.+$/.test(segment))) {
+    return null;
+  }
+
+  const repo = projectSegments[projectSegments.length - 1];
+  const owner = projectSegments.slice(0, -1).join('/');
+  const repoPath = `${owner}/${repo}`;
+  const knownHost = hostType !== GitHost.GENERIC && KNOWN_HOSTS[parts.host];
+  const hostWithPort = parts.port ? `${parts.host}:${parts.port}` : parts.host;
+
+  // Public hosts are cloned anonymously over https even when given an SSH remote;
+  // other SSH remotes keep their form so the server's SSH setup applies
+  let cloneUrl;
+  if (parts.protocol !== 'ssh' || knownHost) {
+    const suffix = hostType === GitHost.GENERIC && !parts.hasGitSuffix ? '' : '.git';
+    cloneUrl = `https://${knownHost ? parts.host : hostWithPort}/${repoPath}${suffix}`;
+  } else {
+    const login = parts.user ? `${parts.user}@` : '';
+    const suffix = parts.hasGitSuffix ? '.git' : '';
+    cloneUrl = parts.port
+      ? `ssh://${login}${hostWithPort}/${repoPath}${suffix}`
+      : `${login}${parts.host}:${repoPath}${suffix}`;
+  }
+
+  return {
+    hostType,
+    host: parts.host,
+    owner,
+    repo,
+    ref: ref && isValidGitRef(ref) ? ref : null,
+    subpath: normalizeSubpath(subpath) || '',
+    cloneUrl,
+    // Browsable repository page; unknown for SSH-only remotes
+    webUrl: cloneUrl.startsWith('https://') ? cloneUrl.replace(/\.git$/, '') : null
+  };
+}
+
+/**
+ * Link to a commit page on the repository's host
+ * @param {Object} parsed - Result of parseRepoUrl
+ * @param {string} sha - Commit SHA
+ * @returns {string|null} - Commit URL, or null when the host has no known web UI
+ */
+export function getCommitUrl(parsed, sha) {
+  if (!parsed.webUrl) {
+    return null;
+  }
+
+  switch (parsed.hostType) {
+    case GitHost.GITHUB:
+    case GitHost.GITEA:
+      return `${parsed.webUrl}/commit/${sha}`;
+    case GitHost.GITLAB:
+      return `${parsed.webUrl}/-/commit/${sha}`;
+    case GitHost.BITBUCKET:
+      return `${parsed.webUrl}/commits/${sha}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Converts any supported repository URL to a clone URL
+ * @param {string} url - Repository URL in any supported format
+ * @returns {string|null} - Clone URL (e.g. https://github.com/user/repo.git) or null if invalid
+ */
+export function getGitCloneUrl(url) {
+  return parseRepoUrl(url)?.cloneUrl || null;
+}
+
+/**
+ * Extracts the branch, tag or commit from a repository page URL
+ * @param {string} url - Repository URL in any supported format
+ * @returns {string|null} - The ref, or null when the URL does not name one
+ */
+export function getGitRef(url) {
+  return parseRepoUrl(url)?.ref || null;
+}
+
+/**
+ * Extracts the subdirectory from a repository folder URL
+ * @param {string} url - Repository URL in any supported format
+ * @returns {string} - Normalized subdirectory, or '' when the URL points at the repository root
+ */
+export function getGitSubpath(url) {
+  return parseRepoUrl(url)?.subpath || '';
+}
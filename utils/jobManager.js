@@ -0,0 +1,116 @@
+/**
+ * Runs diagram generation jobs in the background
+ * Keeps one AbortController per running job so jobs can be cancelled;
+ * everything serializable lives in the JobStore
+ */
+
+import { JobStatus, isFinished } from './jobStore.js';
+
+export class JobManager {
+  /**
+   * @param {Object} options
+   * @param {import('./jobStore.js').JobStore} options.store - Where job state is kept
+   * @param {Function} options.run - async (job, { signal, onProgress, credentials }) => pipeline result
+   */
+  constructor({ store, run }) {
+    this.store = store;
+    this.run = run;
+    this.controllers = new Map();
+  }
+
+  /**
+   * Creates a job and starts it without waiting for it to finish
+   * @param {Object} fields - Job input (e.g. { repoUrl })
+   * @param {Object} [secrets] - { credentials } handed to run but never written to the store
+   * @returns {Promise<Object>} - The created job
+   */
+  async submit(fields, { credentials = null } = {}) {
+    const job = await this.store.create(fields);
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+
+    this.execute(job, controller.signal, credentials).finally(() => {
+      this.controllers.delete(job.id);
+    });
+
+    return job;
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Cancels a queued or running job
+   * @returns {Promise<Object|null>} - The updated job, or null if unknown
+   */
+  async cancel(id) {
+    const job = await this.store.get(id);
+    if (!job || isFinished(job)) {
+      return job;
+    }
+
+    this.controllers.get(id)?.abort();
+    return this.store.update(id, {
+      status: JobStatus.CANCELLED,
+      error: {
+        type: 'cancelled',
+        message: 'Analysis was cancelled.'
+      }
+    });
+  }
+
+  async delete(id) {
+    return this.store.delete(id);
+  }
+
+  async execute(job, signal, credentials) {
+    const progress = [];
+    const partial = {};
+
+    const onProgress = (event) => {
+      progress.push(event);
+      // Stage details (file counts, prompt size...) double as partial results
+      const { stage, status, message, timestamp, ...details } = event;
+      Object.assign(partial, details);
+      this.store.update(job.id, { progress: [...progress], partial: { ...partial } });
+    };
+
+    await this.store.update(job.id, { status: JobStatus.RUNNING });
+
+    try {
+      const result = await this.run(job, { signal, onProgress, credentials });
+      if (signal.aborted) return;
+
+      if (result.success) {
+        await this.store.update(job.id, {
+          status: JobStatus.COMPLETED,
+          result: {
+            diagrams: result.diagrams,
+            diagramCode: result.diagramCode,
+            metadata: result.metadata
+          }
+        });
+      } else {
+        await this.store.update(job.id, {
+          status: JobStatus.FAILED,
+          error: result.error
+        });
+      }
+    } catch (error) {
+      if (signal.aborted) return;
+
+      console.error(`Job ${job.id} failed:`, error);
+      await this.store.update(job.id, {
+        status: JobStatus.FAILED,
+        error: {
+          type: 'generation_error',
+          message: 'Failed to generate the architecture diagram. Please check the repository URL and try again.',
+          details: error.message
+        }
+      });
+    }
+  }
+}
+
+export default JobManager;
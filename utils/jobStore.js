@@ -0,0 +1,152 @@
+/**
+ * Job storage for asynchronous diagram generation
+ * JobStore describes the interface; InMemoryJobStore is the default
+ * implementation and can later be swapped for a persistent one
+ * (Redis, Firestore...) without touching the routes
+ */
+
+import crypto from 'crypto';
+
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000; // Keep finished jobs for 1 hour
+
+/**
+ * Lifecycle states of a job
+ */
+export const JobStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Returns true when a job can no longer change state
+ */
+export function isFinished(job) {
+  return job.status === JobStatus.COMPLETED ||
+    job.status === JobStatus.FAILED ||
+    job.status === JobStatus.CANCELLED;
+}
+
+/**
+ * Interface every job store must implement
+ * All methods are async so persistent backends fit the same shape
+ */
+export class JobStore {
+  /**
+   * Creates and stores a new job
+   * @param {Object} fields - Initial job fields (e.g. repoUrl)
+   * @returns {Promise<Object>} - The stored job
+   */
+  async create(fields) {
+    throw new Error('JobStore.create not implemented');
+  }
+
+  /**
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} - The job or null if unknown
+   */
+  async get(id) {
+    throw new Error('JobStore.get not implemented');
+  }
+
+  /**
+   * Shallow-merges changes into a job
+   * @param {string} id - Job id
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} - The updated job or null if unknown
+   */
+  async update(id, changes) {
+    throw new Error('JobStore.update not implemented');
+  }
+
+  /**
+   * @param {string} id - Job id
+   * @returns {Promise<boolean>} - True if a job was removed
+   */
+  async delete(id) {
+    throw new Error('JobStore.delete not implemented');
+  }
+
+  /**
+   * @returns {Promise<Array>} - All stored jobs
+   */
+  async list() {
+    throw new Error('JobStore.list not implemented');
+  }
+}
+
+/**
+ * Process-local job store
+ * Jobs survive page reloads but not server restarts
+ */
+export class InMemoryJobStore extends JobStore {
+  constructor({ finishedJobTtlMs = FINISHED_JOB_TTL_MS } = {}) {
+    super();
+    this.jobs = new Map();
+    this.finishedJobTtlMs = finishedJobTtlMs;
+  }
+
+  async create(fields) {
+    this.sweep();
+
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      status: JobStatus.QUEUED,
+      progress: [],
+      partial: {},
+      result: null,
+      error: null,
+      ...fields,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.set(job.id, job);
+    return { ...job };
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async update(id, changes) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    Object.assign(job, changes, { updatedAt: Date.now() });
+    return { ...job };
+  }
+
+  async delete(id) {
+    return this.jobs.delete(id);
+  }
+
+  async list() {
+    return [...this.jobs.values()].map(job => ({ ...job }));
+  }
+
+  /**
+   * Drops finished jobs older than the TTL
+   */
+  sweep() {
+    const cutoff = Date.now() - this.finishedJobTtlMs;
+    for (const [id, job] of this.jobs) {
+      if (isFinished(job) && job.updatedAt < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+export default {
+  JobStatus,
+  JobStore,
+  InMemoryJobStore,
+  isFinished
+};
@@ -0,0 +1,300 @@
+/**
+ * LLM provider layer
+ * Every provider exposes the same small interface:
+ *   provider.name, provider.model, provider.maxTokens (output limit, used to size the context)
+ *   await provider.generate(prompt, { signal }) -> raw text
+ * The provider is chosen through environment configuration so the server
+ * can run against Vertex AI, the Gemini API, any OpenAI-compatible endpoint
+ * (Ollama, llama.cpp, vLLM...) or an offline fixture
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { VertexAI } from '@google-cloud/vertexai';
+import { GoogleGenAI } from '@google/genai';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const ProviderName = {
+  VERTEX: 'vertex',
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+  FIXTURE: 'fixture'
+};
+
+const DEFAULT_MODELS = {
+  [ProviderName.VERTEX]: 'gemini-2.5-flash',
+  [ProviderName.GEMINI]: 'gemini-2.5-flash',
+  [ProviderName.OPENAI]: 'llama3.1',
+  [ProviderName.FIXTURE]: 'mock_data.md'
+};
+
+const DEFAULT_TEMPERATURE = 0.1;
+const DEFAULT_TOP_P = 0.8;
+const DEFAULT_MAX_TOKENS = 8192; // Per call: one diagram, repair or summary, with room for Gemini 2.5 thinking tokens
+const DEFAULT_OPENAI_BASE_URL = 'http://localhost:11434/v1'; // Local Ollama
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, '..', 'mock_data.md');
+
+/**
+ * Rejects as soon as the signal aborts, even if the wrapped promise cannot be cancelled
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  signal.throwIfAborted();
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+function parseNumber(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Reads provider configuration from environment variables
+ * LLM_PROVIDER picks the provider explicitly; without it the first usable
+ * one wins: Vertex AI (GOOGLE_CLOUD_PROJECT), then the Gemini API (GEMINI_API_KEY).
+ * The offline fixture is only used when LLM_PROVIDER=fixture asks for it, so a
+ * misconfigured deployment fails at startup instead of serving canned diagrams
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} - Normalized provider configuration
+ * @throws {Error} - When no provider is selected and none can be detected
+ */
+export function getLLMConfig(env = process.env) {
+  let provider = (env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (!provider) {
+    if (env.GOOGLE_CLOUD_PROJECT) {
+      provider = ProviderName.VERTEX;
+    } else if (env.GEMINI_API_KEY || env.GOOGLE_API_KEY) {
+      provider = ProviderName.GEMINI;
+    } else {
+      throw new Error('No LLM provider configured: set GOOGLE_CLOUD_PROJECT, GEMINI_API_KEY or LLM_PROVIDER (vertex, gemini, openai, or fixture for offline runs)');
+    }
+  }
+
+  return {
+    provider,
+    model: env.LLM_MODEL || DEFAULT_MODELS[provider],
+    temperature: parseNumber(env.LLM_TEMPERATURE, DEFAULT_TEMPERATURE),
+    topP: parseNumber(env.LLM_TOP_P, DEFAULT_TOP_P),
+    maxTokens: parseNumber(env.LLM_MAX_TOKENS, DEFAULT_MAX_TOKENS),
+    project: env.GOOGLE_CLOUD_PROJECT,
+    location: env.GOOGLE_CLOUD_LOCATION || 'us-central1',
+    apiKey: provider === ProviderName.OPENAI
+      ? env.OPENAI_API_KEY
+      : env.GEMINI_API_KEY || env.GOOGLE_API_KEY,
+    baseUrl: env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+    fixtureFile: env.LLM_FIXTURE_FILE || DEFAULT_FIXTURE_FILE
+  };
+}
+
+/**
+ * Google Cloud Vertex AI (service account / ADC credentials)
+ */
+export class VertexAIProvider {
+  constructor(config) {
+    if (!config.project) {
+      throw new Error('GOOGLE_CLOUD_PROJECT environment variable not set (required by the vertex provider)');
+    }
+
+    this.name = ProviderName.VERTEX;
+    this.model = config.model;
+    this.maxTokens = config.maxTokens;
+    this.config = config;
+
+    const vertexAI = new VertexAI({
+      project: config.project,
+      location: config.location,
+    });
+    this.client = vertexAI.getGenerativeModel({ model: config.model });
+  }
+
+  async generate(prompt, { signal } = {}) {
+    const request = {
+      contents: [{
+        role: 'user',
+        parts: [{
+          text: prompt
+        }]
+      }],
+      generationConfig: {
+        temperature: this.config.temperature,
+        topP: this.config.topP,
+        maxOutputTokens: this.config.maxTokens,
+      }
+    };
+
+    // The Vertex SDK cannot cancel a request, so it is abandoned instead
+    const result = await abortable(this.client.generateContent(request), signal);
+    const response = await result.response;
+    return response.candidates?.[0]?.content?.parts?.[0]?.text;
+  }
+}
+
+/**
+ * Gemini Developer API with an API key (@google/genai)
+ */
+export class GeminiApiProvider {
+  constructor(config) {
+    if (!config.apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable not set (required by the gemini provider)');
+    }
+
+    this.name = ProviderName.GEMINI;
+    this.model = config.model;
+    this.maxTokens = config.maxTokens;
+    this.config = config;
+    this.client = new GoogleGenAI({ apiKey: config.apiKey });
+  }
+
+  async generate(prompt, { signal } = {}) {
+    const response = await this.client.models.generateContent({
+      model: this.model,
+      contents: prompt,
+      config: {
+        temperature: this.config.temperature,
+        topP: this.config.topP,
+        maxOutputTokens: this.config.maxTokens,
+        abortSignal: signal
+      }
+    });
+    return response.text;
+  }
+}
+
+/**
+ * Any server implementing the OpenAI chat completions API
+ * (OpenAI, Ollama, llama.cpp server, vLLM, LM Studio...)
+ */
+export class OpenAICompatibleProvider {
+  constructor(config) {
+    this.name = ProviderName.OPENAI;
+    this.model = config.model;
+    this.maxTokens = config.maxTokens;
+    this.config = config;
+    this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+  }
+
+  async generate(prompt, { signal } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: this.config.temperature,
+        top_p: this.config.topP,
+        max_tokens: this.config.maxTokens
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`LLM endpoint returned ${response.status}: ${body.slice(0, 200)}`);
+    }
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content;
+  }
+}
+
+const FIXTURE_SUMMARY = [
+  '**Responsibilities:** replayed by the fixture provider, no model was called',
+  '**Exports:** none',
+  '**Dependencies:** none',
+  '**External services:** none'
+].join('\n');
+
+/**
+ * Picks the part of a recorded document a prompt asks for
+ * Diagram prompts get the sections matching their requested titles (or Mermaid types),
+ * repair prompts get their diagram back unchanged and directory summaries a stub
+ */
+function fixtureAnswer(fixture, prompt) {
+  const contextStart = prompt.indexOf('REPOSITORY CONTEXT:');
+  if (contextStart !== -1) {
+    const requested = [...prompt.slice(0, contextStart).matchAll(/^## \d+\. (.+)\n[\s\S]*?```mermaid\n(\S+)/gm)]
+      .map(([, title, mermaidType]) => ({ title: title.trim().toLowerCase(), mermaidType }));
+    const sections = fixture.split(/^(?=## )/m)
+      .map(text => ({
+        text: text.trim(),
+        title: (text.match(/^## (?:\d+\.\s*)?(.+)/) || [])[1]?.trim().toLowerCase(),
+        mermaidType: (text.match(/```mermaid\n(\S+)/) || [])[1]
+      }))
+      .filter(section => section.mermaidType);
+    const used = new Set();
+    const answers = requested.map(({ title, mermaidType }) => {
+      const section = sections.find(candidate => !used.has(candidate) && candidate.title === title) ||
+        sections.find(candidate => !used.has(candidate) && candidate.mermaidType === mermaidType);
+      if (section) used.add(section);
+      return section?.text;
+    }).filter(Boolean);
+    return answers.length > 0 ? answers.join('\n\n') + '\n' : fixture;
+  }
+
+  const repair = prompt.match(/^Diagram code:\n(```mermaid\n[\s\S]*?\n```)/m);
+  if (repair) {
+    return repair[1];
+  }
+  if (/^\*\*Responsibilities:\*\*/m.test(prompt.slice(0, 2000))) {
+    return FIXTURE_SUMMARY;
+  }
+  return fixture;
+}
+
+/**
+ * Offline provider that replays a recorded response (mock_data.md by default)
+ * Deterministic, free and needs no credentials - meant for local development
+ */
+export class FixtureProvider {
+  constructor(config) {
+    this.name = ProviderName.FIXTURE;
+    this.model = path.basename(config.fixtureFile);
+    this.maxTokens = config.maxTokens;
+    this.fixtureFile = config.fixtureFile;
+  }
+
+  async generate(prompt, { signal } = {}) {
+    signal?.throwIfAborted();
+    return fixtureAnswer(await fs.promises.readFile(this.fixtureFile, 'utf8'), prompt);
+  }
+}
+
+const PROVIDERS = {
+  [ProviderName.VERTEX]: VertexAIProvider,
+  [ProviderName.GEMINI]: GeminiApiProvider,
+  [ProviderName.OPENAI]: OpenAICompatibleProvider,
+  [ProviderName.FIXTURE]: FixtureProvider
+};
+
+/**
+ * Creates the configured provider
+ * @param {Object} config - Output of getLLMConfig (defaults to the environment)
+ * @returns {Object} - Provider instance
+ */
+export function createLLMProvider(config = getLLMConfig()) {
+  const Provider = PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${config.provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(config);
+}
+
+export default {
+  ProviderName,
+  getLLMConfig,
+  createLLMProvider,
+  abortable
+};
@@ -0,0 +1,631 @@
+/**
+ * Dependency manifest analysis
+ * Parses package manifests (npm, Composer, pip/pyproject, Go modules, Cargo, Maven,
+ * Gradle, Bundler) and tsconfig into one normalized shape, rendered as a compact
+ * MANIFESTS section: name, entry points, scripts, runtime and dev dependencies.
+ * Lockfiles are never read; the manifests say what the project asked for
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const MAX_MANIFESTS = 20;
+const MAX_MANIFEST_BYTES = 512 * 1024;
+const MAX_LISTED_DEPENDENCIES = 60;
+const MAX_LISTED_SCRIPTS = 15;
+const MAX_SCRIPT_LENGTH = 80;
+
+/**
+ * Glob patterns of the manifests analyzeManifests understands
+ */
+export const MANIFEST_PATTERNS = [
+  '**/package.json',
+  '**/tsconfig.json',
+  '**/composer.json',
+  '**/requirements*.txt',
+  '**/pyproject.toml',
+  '**/go.mod',
+  '**/Cargo.toml',
+  '**/pom.xml',
+  '**/build.gradle',
+  '**/build.gradle.kts',
+  '**/Gemfile'
+];
+
+// Dependency groups that only matter while developing, testing or building
+const DEV_GROUP_PATTERN = /^(dev|develop|development|test|tests|testing|lint|docs?|typing|build)$/i;
+
+/**
+ * Minimal TOML reader for manifests: tables, arrays of tables, dotted keys,
+ * strings, numbers, booleans, arrays and inline tables
+ * @throws {Error} - On syntax it does not understand
+ */
+export function parseToml(text) {
+  const root = {};
+  let table = root;
+  let i = 0;
+
+  const fail = (message) => {
+    throw new Error(`${message} at line ${text.slice(0, i).split('\n').length}`);
+  };
+  const skipSpaces = () => {
+    while (text[i] === ' ' || text[i] === '\t') i++;
+  };
+  const skipComment = () => {
+    if (text[i] === '#') {
+      while (i < text.length && text[i] !== '\n') i++;
+    }
+  };
+  // Whitespace, newlines and comments, as allowed inside arrays
+  const skipBlank = () => {
+    for (;;) {
+      skipSpaces();
+      skipComment();
+      if (text[i] === '\n' || text[i] === '\r') {
+        i++;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const readString = () => {
+    const multiline = text.startsWith('"""', i) || text.startsWith("'''", i);
+    const delimiter = multiline ? text.slice(i, i + 3) : text[i];
+    const literal = delimiter[0] === "'";
+    i += delimiter.length;
+    if (multiline && text[i] === '\n') i++;
+
+    let value = '';
+    while (i < text.length && !text.startsWith(delimiter, i)) {
+      if (!literal && text[i] === '\\') {
+        const escaped = text[i + 1];
+        value += { n: '\n', t: '\t', '"': '"', '\\': '\\' }[escaped] ?? escaped;
+        i += 2;
+        continue;
+      }
+      if (!multiline && text[i] === '\n') fail('Unterminated string');
+      value += text[i];
+      i++;
+    }
+    if (i >= text.length) fail('Unterminated string');
+    i += delimiter.length;
+    return value;
+  };
+
+  const readKey = () => {
+    const parts = [];
+    for (;;) {
+      skipSpaces();
+      if (text[i] === '"' || text[i] === "'") {
+        parts.push(readString());
+      } else {
+        const match = text.slice(i).match(/^[A-Za-z0-9_-]+/);
+        if (!match) fail('Invalid key');
+        parts.push(match[0]);
+        i += match[0].length;
+      }
+      skipSpaces();
+      if (text[i] !== '.') return parts;
+      i++;
+    }
+  };
+
+  const setPath = (target, keys, value) => {
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+      if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+      node = Array.isArray(node[key]) ? node[key][node[key].length - 1] : node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+  };
+
+  const readValue = () => {
+    skipSpaces();
+    const char = text[i];
+    if (char === '"' || char === "'") {
+      return readString();
+    }
+    if (char === '[') {
+      i++;
+      const items = [];
+      for (;;) {
+        skipBlank();
+        if (text[i] === ']') {
+          i++;
+          return items;
+        }
+        items.push(readValue());
+        skipBlank();
+        if (text[i] === ',') i++;
+        else if (text[i] !== ']') fail('Expected , or ]');
+      }
+    }
+    if (char === '{') {
+      i++;
+      const inline = {};
+      for (;;) {
+        skipSpaces();
+        if (text[i] === '}') {
+          i++;
+          return inline;
+        }
+        const keys = readKey();
+        if (text[i] !== '=') fail('Expected =');
+        i++;
+        setPath(inline, keys, readValue());
+        skipSpaces();
+        if (text[i] === ',') i++;
+        else if (text[i] !== '}') fail('Expected , or }');
+      }
+    }
+
+    const match = text.slice(i).match(/^[^\s,\]}#]+/);
+    if (!match) fail('Missing value');
+    i += match[0].length;
+    const token = match[0];
+    if (token === 'true' || token === 'false') return token === 'true';
+    const number = Number(token.replace(/_/g, ''));
+    return Number.isNaN(number) ? token : number;
+  };
+
+  while (i < text.length) {
+    skipBlank();
+    if (i >= text.length) break;
+
+    if (text[i] === '[') {
+      const arrayTable = text[i + 1] === '[';
+      i += arrayTable ? 2 : 1;
+      const keys = readKey();
+      if (text.slice(i, i + (arrayTable ? 2 : 1)) !== (arrayTable ? ']]' : ']')) fail('Invalid table header');
+      i += arrayTable ? 2 : 1;
+
+      let node = root;
+      for (const key of keys.slice(0, -1)) {
+        if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+        node = Array.isArray(node[key]) ? node[key][node[key].length - 1] : node[key];
+      }
+      const last = keys[keys.length - 1];
+      if (arrayTable) {
+        if (!Array.isArray(node[last])) node[last] = [];
+        table = {};
+        node[last].push(table);
+      } else {
+        if (typeof node[last] !== 'object' || node[last] === null) node[last] = {};
+        table = node[last];
+      }
+      continue;
+    }
+
+    const keys = readKey();
+    if (text[i] !== '=') fail('Expected =');
+    i++;
+    setPath(table, keys, readValue());
+    skipSpaces();
+    skipComment();
+  }
+
+  return root;
+}
+
+// JSON with comments and trailing commas (tsconfig)
+function parseJsonc(text) {
+  let out = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      out += char;
+      if (char === '\\') {
+        out += text[++i] ?? '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      out += char;
+    } else if (text.startsWith('//', i)) {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      out += char;
+    }
+  }
+  return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+function emptyManifest(type) {
+  return {
+    type,
+    name: null,
+    version: null,
+    description: null,
+    entryPoints: [],
+    scripts: [],
+    dependencies: [],
+    devDependencies: [],
+    notes: []
+  };
+}
+
+const entriesOf = (object) => (object && typeof object === 'object' && !Array.isArray(object) ? Object.entries(object) : []);
+
+// Version spec of a dependency given as a string or as a table ({ version, git, path... })
+function describeSpec(spec) {
+  if (typeof spec === 'string') return spec;
+  if (!spec || typeof spec !== 'object') return '';
+  return spec.version || (spec.git && `git ${spec.git}`) || (spec.path && `path ${spec.path}`) || (spec.workspace && 'workspace') || '';
+}
+
+// PEP 508 requirement ("requests[socks]>=2.0; python_version<'3.8'") -> [name, spec]
+function splitRequirement(requirement) {
+  const [main] = requirement.split(';');
+  const match = main.trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*(?:\[[^\]]*\])?)\s*(.*)$/);
+  return match ? [match[1], match[2].trim()] : null;
+}
+
+function parsePackageJson(text) {
+  const pkg = JSON.parse(text);
+  const manifest = emptyManifest('npm');
+  manifest.name = pkg.name || null;
+  manifest.version = pkg.version || null;
+  manifest.description = pkg.description || null;
+
+  if (pkg.type === 'module') manifest.notes.push('ES modules');
+  if (pkg.main) manifest.entryPoints.push(`main ${pkg.main}`);
+  if (pkg.module) manifest.entryPoints.push(`module ${pkg.module}`);
+  if (typeof pkg.bin === 'string') manifest.entryPoints.push(`bin ${pkg.bin}`);
+  entriesOf(pkg.bin).forEach(([name, file]) => manifest.entryPoints.push(`bin ${name} → ${file}`));
+  if (typeof pkg.exports === 'string') manifest.entryPoints.push(`exports ${pkg.exports}`);
+  else if (pkg.exports && typeof pkg.exports === 'object') manifest.entryPoints.push(`exports ${Object.keys(pkg.exports).slice(0, 8).join(', ')}`);
+
+  manifest.scripts = entriesOf(pkg.scripts);
+  manifest.dependencies = [
+    ...entriesOf(pkg.dependencies),
+    ...entriesOf(pkg.peerDependencies).map(([name, spec]) => [name, `${spec} (peer)`]),
+    ...entriesOf(pkg.optionalDependencies).map(([name, spec]) => [name, `${spec} (optional)`])
+  ];
+  manifest.devDependencies = entriesOf(pkg.devDependencies);
+
+  const workspaces = Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces?.packages;
+  if (Array.isArray(workspaces)) manifest.notes.push(`workspaces ${workspaces.join(', ')}`);
+  if (pkg.engines?.node) manifest.notes.push(`node ${pkg.engines.node}`);
+  return manifest;
+}
+
+function parseTsconfig(text) {
+  const config = parseJsonc(text);
+  const manifest = emptyManifest('typescript');
+  const options = config.compilerOptions || {};
+
+  if (config.extends) manifest.notes.push(`extends ${[].concat(config.extends).join(', ')}`);
+  const settings = ['target', 'module', 'moduleResolution', 'jsx', 'baseUrl', 'rootDir', 'outDir']
+    .filter(key => options[key] !== undefined)
+    .map(key => `${key} ${options[key]}`);
+  if (settings.length > 0) manifest.notes.push(settings.join(', '));
+  entriesOf(options.paths).forEach(([alias, targets]) => manifest.notes.push(`path alias ${alias} → ${[].concat(targets).join(', ')}`));
+  if (Array.isArray(config.references)) {
+    manifest.notes.push(`project references ${config.references.map(reference => reference.path).join(', ')}`);
+  }
+  return manifest;
+}
+
+function parseComposerJson(text) {
+  const composer = JSON.parse(text);
+  const manifest = emptyManifest('composer');
+  manifest.name = composer.name || null;
+  manifest.version = composer.version || null;
+  manifest.description = composer.description || null;
+  manifest.scripts = entriesOf(composer.scripts).map(([name, command]) => [name, [].concat(command).join(' && ')]);
+  manifest.dependencies = entriesOf(composer.require);
+  manifest.devDependencies = entriesOf(composer['require-dev']);
+  [].concat(composer.bin || []).forEach(file => manifest.entryPoints.push(`bin ${file}`));
+  entriesOf(composer.autoload?.['psr-4']).forEach(([namespace, dir]) => manifest.entryPoints.push(`psr-4 ${namespace} → ${[].concat(dir).join(', ')}`));
+  return manifest;
+}
+
+function parseRequirementsTxt(text, fileName) {
+  const manifest = emptyManifest('pip');
+  const requirements = text.split('\n')
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(line => line && !line.startsWith('-'))
+    .map(splitRequirement)
+    .filter(Boolean);
+
+  // requirements-dev.txt, test-requirements.txt...
+  if (/(^|[-_.])(dev|test|tests|lint|docs?)([-_.]|$)/i.test(fileName.replace(/requirements/i, ''))) {
+    manifest.devDependencies = requirements;
+  } else {
+    manifest.dependencies = requirements;
+  }
+  return manifest;
+}
+
+function parsePyproject(text) {
+  const pyproject = parseToml(text);
+  const manifest = emptyManifest('python');
+  const project = pyproject.project || {};
+  const poetry = pyproject.tool?.poetry || {};
+
+  manifest.name = project.name || poetry.name || null;
+  manifest.version = project.version || poetry.version || null;
+  manifest.description = project.description || poetry.description || null;
+  if (project['requires-python']) manifest.notes.push(`python ${project['requires-python']}`);
+  if (pyproject['build-system']?.['build-backend']) manifest.notes.push(`build backend ${pyproject['build-system']['build-backend']}`);
+
+  // PEP 621
+  manifest.dependencies.push(...[].concat(project.dependencies || []).map(splitRequirement).filter(Boolean));
+  entriesOf(project['optional-dependencies']).forEach(([group, requirements]) => {
+    const parsed = [].concat(requirements).map(splitRequirement).filter(Boolean);
+    if (DEV_GROUP_PATTERN.test(group)) {
+      manifest.devDependencies.push(...parsed);
+    } else {
+      manifest.notes.push(`extra "${group}": ${parsed.map(([name]) => name).join(', ')}`);
+    }
+  });
+  entriesOf(pyproject['dependency-groups']).forEach(([, requirements]) => {
+    manifest.devDependencies.push(...[].concat(requirements).filter(item => typeof item === 'string').map(splitRequirement).filter(Boolean));
+  });
+  entriesOf(project.scripts).forEach(([name, target]) => manifest.entryPoints.push(`script ${name} → ${target}`));
+
+  // Poetry
+  entriesOf(poetry.dependencies).forEach(([name, spec]) => {
+    if (name === 'python') manifest.notes.push(`python ${describeSpec(spec)}`);
+    else manifest.dependencies.push([name, describeSpec(spec)]);
+  });
+  entriesOf(poetry['dev-dependencies']).forEach(([name, spec]) => manifest.devDependencies.push([name, describeSpec(spec)]));
+  entriesOf(poetry.group).forEach(([, group]) => {
+    entriesOf(group.dependencies).forEach(([name, spec]) => manifest.devDependencies.push([name, describeSpec(spec)]));
+  });
+  entriesOf(poetry.scripts).forEach(([name, target]) => manifest.entryPoints.push(`script ${name} → ${describeSpec(target)}`));
+  return manifest;
+}
+
+function parseGoMod(text) {
+  const manifest = emptyManifest('go');
+  const lines = text.split('\n').map(line => line.trim());
+  let inRequire = false;
+  let indirect = 0;
+
+  for (const line of lines) {
+    if (line.startsWith('module ')) {
+      manifest.name = line.slice(7).trim();
+    } else if (/^go \d/.test(line)) {
+      manifest.notes.push(`go ${line.slice(3).trim()}`);
+    } else if (line.startsWith('require (')) {
+      inRequire = true;
+    } else if (inRequire && line === ')') {
+      inRequire = false;
+    } else if (inRequire || line.startsWith('require ')) {
+      const match = line.replace(/^require\s+/, '').match(/^(\S+)\s+(\S+)(.*)$/);
+      if (!match) continue;
+      // Indirect requirements come from other dependencies; only their number is useful
+      if (match[3].includes('// indirect')) {
+        indirect++;
+      } else {
+        manifest.dependencies.push([match[1], match[2]]);
+      }
+    }
+  }
+
+  if (indirect > 0) manifest.notes.push(`${indirect} indirect ${indirect === 1 ? 'dependency' : 'dependencies'}`);
+  return manifest;
+}
+
+function parseCargoToml(text) {
+  const cargo = parseToml(text);
+  const manifest = emptyManifest('cargo');
+  const pkg = cargo.package || {};
+  manifest.name = pkg.name || null;
+  manifest.version = typeof pkg.version === 'string' ? pkg.version : null;
+  manifest.description = typeof pkg.description === 'string' ? pkg.description : null;
+
+  manifest.dependencies = entriesOf(cargo.dependencies).map(([name, spec]) => [name, describeSpec(spec)]);
+  manifest.devDependencies = [
+    ...entriesOf(cargo['dev-dependencies']),
+    ...entriesOf(cargo['build-dependencies'])
+  ].map(([name, spec]) => [name, describeSpec(spec)]);
+  if (cargo.lib) manifest.entryPoints.push(`lib ${cargo.lib.path || 'src/lib.rs'}`);
+  [].concat(cargo.bin || []).forEach(bin => manifest.entryPoints.push(`bin ${bin.name}${bin.path ? ` → ${bin.path}` : ''}`));
+  if (Array.isArray(cargo.workspace?.members)) manifest.notes.push(`workspace members ${cargo.workspace.members.join(', ')}`);
+  return manifest;
+}
+
+// First <tag>value</tag> in an XML fragment
+const xmlValue = (xml, tag) => xml.match(new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`))?.[1] || null;
+
+function parsePomXml(text) {
+  const manifest = emptyManifest('maven');
+  const xml = text.replace(/<!--[\s\S]*?-->/g, '');
+  // Project coordinates live outside these blocks, which carry their own groupId/artifactId/version
+  const project = xml.replace(/<(parent|dependencies|dependencyManagement|build|profiles|reporting|pluginRepositories|repositories)>[\s\S]*?<\/\1>/g, '');
+
+  const groupId = xmlValue(project, 'groupId');
+  const artifactId = xmlValue(project, 'artifactId');
+  manifest.name = artifactId ? [groupId, artifactId].filter(Boolean).join(':') : null;
+  manifest.version = xmlValue(project, 'version');
+  manifest.description = xmlValue(project, 'description') || xmlValue(project, 'name');
+  const packaging = xmlValue(project, 'packaging');
+  if (packaging) manifest.notes.push(`packaging ${packaging}`);
+  const modules = [...project.matchAll(/<module>\s*([^<]+?)\s*<\/module>/g)].map(match => match[1]);
+  if (modules.length > 0) manifest.notes.push(`modules ${modules.join(', ')}`);
+  const mainClass = xmlValue(xml, 'mainClass');
+  if (mainClass) manifest.entryPoints.push(`main class ${mainClass}`);
+
+  const withoutManagement = xml.replace(/<dependencyManagement>[\s\S]*?<\/dependencyManagement>/g, '');
+  for (const [dependency] of withoutManagement.matchAll(/<dependency>[\s\S]*?<\/dependency>/g)) {
+    const name = `${xmlValue(dependency, 'groupId')}:${xmlValue(dependency, 'artifactId')}`;
+    const entry = [name, xmlValue(dependency, 'version') || ''];
+    if (xmlValue(dependency, 'scope') === 'test') {
+      manifest.devDependencies.push(entry);
+    } else {
+      manifest.dependencies.push(entry);
+    }
+  }
+  return manifest;
+}
+
+function parseGradle(text) {
+  const manifest = emptyManifest('gradle');
+  const source = text.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+
+  const dependencyPattern = /^\s*(\w+)\s*\(?\s*(?:platform\s*\(\s*)?(?:["']([^"'\s]+)["']|(libs\.[\w.]+)|(project\s*\(\s*["'][^"']+["']\s*\)))/gm;
+  for (const match of source.matchAll(dependencyPattern)) {
+    const [, configuration, coordinates, catalogEntry, projectReference] = match;
+    if (!/(implementation|api|compile|runtime|compileOnly|runtimeOnly|kapt|ksp|annotationProcessor)$/i.test(configuration)) {
+      continue;
+    }
+    let entry;
+    if (coordinates) {
+      const [group, artifact, version = ''] = coordinates.split(':');
+      entry = [artifact ? `${group}:${artifact}` : group, version];
+    } else {
+      entry = [catalogEntry || projectReference.replace(/\s+/g, ''), ''];
+    }
+    const dev = /^(test|androidTest|integrationTest|kapt|ksp|annotationProcessor)/i.test(configuration);
+    (dev ? manifest.devDependencies : manifest.dependencies).push(entry);
+  }
+
+  const plugins = [...source.matchAll(/\bid\s*\(?\s*["']([\w.-]+)["']/g)].map(match => match[1]);
+  if (plugins.length > 0) manifest.notes.push(`plugins ${plugins.join(', ')}`);
+  const mainClass = source.match(/mainClass(?:Name)?\s*(?:=|\.set\s*\()\s*["']([\w.$]+)["']/)?.[1];
+  if (mainClass) manifest.entryPoints.push(`main class ${mainClass}`);
+  return manifest;
+}
+
+function parseGemfile(text) {
+  const manifest = emptyManifest('bundler');
+  const groups = [];
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const group = line.match(/^group\s+(.+?)\s+do$/);
+    if (group) {
+      groups.push(group[1]);
+      continue;
+    }
+    if (line === 'end' && groups.length > 0) {
+      groups.pop();
+      continue;
+    }
+    const ruby = line.match(/^ruby\s+["']([^"']+)["']/);
+    if (ruby) {
+      manifest.notes.push(`ruby ${ruby[1]}`);
+      continue;
+    }
+
+    const gem = line.match(/^gem\s+["']([^"']+)["']((?:\s*,\s*["'][^"']*["'])*)(.*)$/);
+    if (!gem) continue;
+    const versions = [...gem[2].matchAll(/["']([^"']*)["']/g)].map(match => match[1]).join(', ');
+    const inlineGroup = gem[3].match(/group:\s*(.+)$/)?.[1] || '';
+    const dev = [...groups, inlineGroup].some(names => /:(development|test)\b|["'](development|test)["']/.test(names));
+    (dev ? manifest.devDependencies : manifest.dependencies).push([gem[1], versions]);
+  }
+  return manifest;
+}
+
+const PARSERS = [
+  [/^package\.json$/, parsePackageJson],
+  [/^tsconfig\.json$/, parseTsconfig],
+  [/^composer\.json$/, parseComposerJson],
+  [/^requirements.*\.txt$/, parseRequirementsTxt],
+  [/^pyproject\.toml$/, parsePyproject],
+  [/^go\.mod$/, parseGoMod],
+  [/^Cargo\.toml$/, parseCargoToml],
+  [/^pom\.xml$/, parsePomXml],
+  [/^build\.gradle(\.kts)?$/, parseGradle],
+  [/^Gemfile$/, parseGemfile]
+];
+
+/**
+ * Parses the manifests found in a repository
+ * Shallow manifests come first; unreadable or malformed ones are reported, not thrown
+ * @param {string} rootDir - Directory the paths are relative to
+ * @param {Array<string>} files - Manifest paths (see MANIFEST_PATTERNS)
+ * @returns {Object} - { manifests: [{ path, type, name, version, description, entryPoints, scripts, dependencies, devDependencies, notes }], failed: [path] }
+ */
+export function analyzeManifests(rootDir, files) {
+  const ordered = [...files]
+    .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b))
+    .slice(0, MAX_MANIFESTS);
+  const manifests = [];
+  const failed = [];
+
+  for (const file of ordered) {
+    const fileName = path.basename(file);
+    const parser = PARSERS.find(([pattern]) => pattern.test(fileName))?.[1];
+    if (!parser) continue;
+
+    try {
+      const fullPath = path.join(rootDir, file);
+      if (fs.statSync(fullPath).size > MAX_MANIFEST_BYTES) {
+        failed.push(file);
+        continue;
+      }
+      manifests.push({ path: file, ...parser(fs.readFileSync(fullPath, 'utf-8'), fileName) });
+    } catch {
+      failed.push(file);
+    }
+  }
+
+  return { manifests, failed };
+}
+
+function listDependencies(label, dependencies) {
+  if (dependencies.length === 0) {
+    return null;
+  }
+  const shown = dependencies.slice(0, MAX_LISTED_DEPENDENCIES).map(([name, spec]) => (spec ? `${name} ${spec}` : name));
+  const more = dependencies.length > shown.length ? `, ... and ${dependencies.length - shown.length} more` : '';
+  return `  ${label} (${dependencies.length}): ${shown.join(', ')}${more}`;
+}
+
+/**
+ * Renders parsed manifests as the MANIFESTS context section
+ * @param {Array<Object>} manifests - From analyzeManifests
+ * @returns {string} - Section text, '' when there is nothing to show
+ */
+export function formatManifestSection(manifests) {
+  if (manifests.length === 0) {
+    return '';
+  }
+
+  const blocks = manifests.map(manifest => {
+    const lines = [`${manifest.path} [${manifest.type}]`];
+    if (manifest.name) {
+      lines.push(`  name: ${manifest.name}${manifest.version ? ` ${manifest.version}` : ''}${manifest.description ? ` - ${manifest.description}` : ''}`);
+    }
+    if (manifest.entryPoints.length > 0) {
+      lines.push(`  entry points: ${manifest.entryPoints.join('; ')}`);
+    }
+    if (manifest.scripts.length > 0) {
+      const scripts = manifest.scripts.slice(0, MAX_LISTED_SCRIPTS).map(([name, command]) => {
+        const text = String(command);
+        return `${name}: ${text.length > MAX_SCRIPT_LENGTH ? `${text.slice(0, MAX_SCRIPT_LENGTH)}...` : text}`;
+      });
+      lines.push(`  scripts: ${scripts.join(' | ')}`);
+    }
+    [
+      listDependencies('dependencies', manifest.dependencies),
+      listDependencies('dev dependencies', manifest.devDependencies)
+    ].filter(Boolean).forEach(line => lines.push(line));
+    if (manifest.notes.length > 0) {
+      lines.push(`  notes: ${manifest.notes.join('; ')}`);
+    }
+    return lines.join('\n');
+  });
+
+  return '\n=== MANIFESTS ===\n' +
+    'Parsed from the package manifests (lockfiles are not included):\n\n' +
+    blocks.join('\n\n') + '\n';
+}
+
+export default {
+  MANIFEST_PATTERNS,
+  analyzeManifests,
+  formatManifestSection,
+  parseToml
+};
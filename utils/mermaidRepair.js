@@ -0,0 +1,165 @@
+/**
+ * Validate-and-repair loop for generated Mermaid diagrams
+ * Splits an LLM response into its ```mermaid blocks, validates each one
+ * and sends invalid blocks back to the LLM together with the errors
+ */
+
+import { validateMermaidDiagram } from './mermaidValidator.js';
+
+const MERMAID_BLOCK_PATTERN = /```mermaid[^\S\n]*\n([\s\S]*?)```/g;
+
+/**
+ * Diagram outcome after the repair loop
+ */
+export const RepairStatus = {
+  VALID: 'valid', // Valid on the first pass
+  REPAIRED: 'repaired', // Fixed by the LLM
+  INVALID: 'invalid' // Still broken after all attempts
+};
+
+function parseAttempts(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+export const DEFAULT_MAX_REPAIR_ATTEMPTS = parseAttempts(process.env.MERMAID_REPAIR_ATTEMPTS, 2);
+
+/**
+ * Finds every ```mermaid block in a markdown document
+ * @param {string} markdown - Full LLM response
+ * @returns {Array} - [{ index, title, code, start, end }], offsets cover the whole fence
+ */
+export function extractMermaidBlocks(markdown) {
+  const blocks = [];
+
+  for (const match of markdown.matchAll(MERMAID_BLOCK_PATTERN)) {
+    // Title is the closest "## ..." heading above the block
+    const before = markdown.slice(0, match.index);
+    const headings = [...before.matchAll(/^##\s+(.+)$/gm)];
+    const title = headings.length > 0 ? headings[headings.length - 1][1].trim() : `Diagram ${blocks.length + 1}`;
+
+    blocks.push({
+      index: blocks.length,
+      title,
+      code: match[1].replace(/\s+$/, ''),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Pulls the diagram out of an LLM repair answer, with or without a code fence
+ */
+function extractRepairedCode(response) {
+  const [block] = extractMermaidBlocks(response);
+  if (block) {
+    return block.code;
+  }
+  return response.replace(/^```\w*\n?|```\s*$/g, '').trim();
+}
+
+function buildRepairPrompt(block, errors, kind) {
+  const kindRules = kind
+    ? [`The diagram must start with: ${kind.mermaidType}`, ...kind.rules]
+    : ['Keep style declarations after all nodes and connections.'];
+  // The validator rejects any quote in a flowchart; other types (C4) need quoted arguments
+  if (!kind || kind.allowedTypes.includes('graph')) {
+    kindRules.unshift('Do not use double or single quotes anywhere in the diagram.');
+  }
+
+  return [
+    'The following Mermaid diagram failed validation.',
+    `Diagram: ${block.title}`,
+    '',
+    'Errors:',
+    ...errors.map(error => `- ${error}`),
+    '',
+    'Diagram code:',
+    '```mermaid',
+    block.code,
+    '```',
+    '',
+    'Fix ONLY the errors listed above and keep the same content and meaning.',
+    ...kindRules,
+    'Reply with the corrected diagram in a single ```mermaid code block and nothing else.'
+  ].join('\n');
+}
+
+/**
+ * Validates every Mermaid block and asks the LLM to fix the invalid ones
+ * @param {string} markdown - Raw LLM response
+ * @param {Object} options
+ * @param {Object} options.llm - LLM provider (see llmProviders.js)
+ * @param {number} [options.maxAttempts] - Repair attempts per diagram (MERMAID_REPAIR_ATTEMPTS, default 2)
+ * @param {Array<Object>} [options.kinds] - Diagram kinds in block order (see diagramCatalogue.js), enforces each block's Mermaid type
+ * @param {AbortSignal} [options.signal] - Aborts pending repair calls
+ * @returns {Promise<Object>} - { markdown, diagrams: [{ index, title, status, attempts, errors, warnings }] }
+ */
+export async function validateAndRepairDiagrams(markdown, options = {}) {
+  const { llm, maxAttempts = DEFAULT_MAX_REPAIR_ATTEMPTS, signal, kinds = [] } = options;
+
+  const blocks = extractMermaidBlocks(markdown);
+  const diagrams = [];
+  const replacements = [];
+
+  for (const block of blocks) {
+    const kind = kinds[block.index];
+    const validate = (candidate) => validateMermaidDiagram(candidate, { allowedTypes: kind?.allowedTypes });
+    let code = block.code;
+    let validation = validate(code);
+    let attempts = 0;
+
+    while (!validation.isValid && attempts < maxAttempts) {
+      attempts++;
+      console.log(`🔧 Repairing "${block.title}" (attempt ${attempts}/${maxAttempts}): ${validation.errors.join('; ')}`);
+
+      try {
+        const response = await llm.generate(buildRepairPrompt({ ...block, code }, validation.errors, kind), { signal });
+        if (response) {
+          code = extractRepairedCode(response);
+          validation = validate(code);
+        }
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn(`Repair call failed for "${block.title}":`, error.message);
+      }
+    }
+
+    let status = RepairStatus.INVALID;
+    if (validation.isValid) {
+      status = attempts > 0 ? RepairStatus.REPAIRED : RepairStatus.VALID;
+    }
+
+    if (code !== block.code && validation.isValid) {
+      replacements.push({ block, code });
+    }
+
+    diagrams.push({
+      index: block.index,
+      title: block.title,
+      status,
+      attempts,
+      errors: validation.errors,
+      warnings: validation.warnings
+    });
+  }
+
+  // Splice repaired code back in, last block first so offsets stay valid
+  let repairedMarkdown = markdown;
+  for (const { block, code } of replacements.reverse()) {
+    repairedMarkdown = repairedMarkdown.slice(0, block.start) +
+      '```mermaid\n' + code + '\n```' +
+      repairedMarkdown.slice(block.end);
+  }
+
+  return { markdown: repairedMarkdown, diagrams };
+}
+
+export default {
+  RepairStatus,
+  extractMermaidBlocks,
+  validateAndRepairDiagrams
+};
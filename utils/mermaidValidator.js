@@ -40,7 +40,8 @@ export function validateMermaidDiagram(diagramCode, options = {}) {
     strict = true,
     checkNodeLimits = true,
     maxNodes = 50,
-    maxEdges = 100
+    maxEdges = 100,
+    allowedTypes = null // e.g. ['sequenceDiagram'] to require a specific diagram type
   } = options;
 
   const errors = [];
@@ -59,11 +60,18 @@ export function validateMermaidDiagram(diagramCode, options = {}) {
   }
 
   // Check for basic Mermaid diagram patterns
-  const diagramTypePattern = /^(graph\s+(TB|TD|BT|RL|LR)|flowchart\s+(TB|TD|BT|RL|LR)|sequenceDiagram|classDiagram|stateDiagram|erDiagram|journey|gitgraph|pie|quadrantChart|requirement|mindmap|timeline|zenuml|sankey|architecture|graph|flowchart)/i;
+  const diagramTypePattern = /^(graph\s+(TB|TD|BT|RL|LR)|flowchart\s+(TB|TD|BT|RL|LR)|sequenceDiagram|classDiagram|stateDiagram|erDiagram|journey|gitgraph|pie|quadrantChart|requirement|mindmap|timeline|zenuml|sankey|architecture|C4Context|C4Container|C4Component|C4Dynamic|C4Deployment|graph|flowchart)/i;
   
   if (!diagramTypePattern.test(trimmedCode)) {
     errors.push('Diagram must start with a valid Mermaid diagram type (graph TD, flowchart LR, sequenceDiagram, etc.)');
+  } else if (allowedTypes && allowedTypes.length > 0) {
+    const diagramType = trimmedCode.split(/\s+/)[0];
+    if (!allowedTypes.some(type => type.toLowerCase() === diagramType.toLowerCase())) {
+      errors.push(`Diagram type "${diagramType}" is not allowed here, expected: ${allowedTypes.join(' or ')}`);
+    }
   }
+  
+  const isFlowchart = /^(graph|flowchart)/i.test(trimmedCode);
 
   // Validate basic syntax patterns
   const syntaxErrors = checkBasicSyntax(trimmedCode);
@@ -83,8 +91,9 @@ export function validateMermaidDiagram(diagramCode, options = {}) {
     }
   }
 
-  // Check for quotes which cause syntax issues
-  if (trimmedCode.includes('"') || trimmedCode.includes("'")) {
+  // Check for quotes which cause syntax issues in flowchart labels
+  // (C4 and gitGraph syntax require quoted arguments, so only flowcharts are checked)
+  if (isFlowchart && (trimmedCode.includes('"') || trimmedCode.includes("'"))) {
     errors.push('Quotes detected in diagram - quotes are not allowed in node labels');
   }
 
@@ -100,7 +109,12 @@ export function validateMermaidDiagram(diagramCode, options = {}) {
  */
 function checkBasicSyntax(diagramCode) {
   const errors = [];
-  const lines = diagramCode.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  let lines = diagramCode.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  
+  // ER cardinality markers (||--o{, }|..|{) are not brackets
+  if (diagramCode.match(/^erDiagram/i)) {
+    lines = lines.map(line => line.replace(/[|}o][|o](--|\.\.)[|o][|{]/g, ' '));
+  }
   
   // Check for balanced brackets and parentheses
   const brackets = { '[': ']', '(': ')', '{': '}' };
@@ -0,0 +1,135 @@
+/**
+ * Map-reduce summaries for repositories larger than the context budget
+ * Files that do not fit the context are grouped by directory, the LLM describes each
+ * group in a compact structured summary (map), and the summaries take the place of the
+ * files in the diagram prompt (reduce). Summaries are cached by the content hash of their
+ * group, so a re-run only summarizes the directories that changed
+ */
+
+import crypto from 'crypto';
+import { getCachedSummary, getPromptVersion, setCachedSummary } from './diagramCache.js';
+import { ConcurrencyLimiter } from './workQueue.js';
+
+const GROUP_DEPTH = 2; // src/api/handlers/users.js belongs to src/api
+const MAX_GROUPS = 24;
+const SUMMARY_CONCURRENCY = 3; // Per run; the shared LLM queue still applies
+
+export const SUMMARY_PROMPT = `You are documenting one directory of a software repository for an architect who will draw diagrams of the whole system from many such descriptions.
+
+Describe the directory below in Markdown with exactly these four bold headings, in this order, keeping the whole answer under 200 words:
+**Responsibilities:** what this code is for, in one or two sentences
+**Exports:** the modules, classes, functions, routes or commands other code uses
+**Dependencies:** other directories of the repository and libraries it relies on
+**External services:** databases, queues, APIs, cloud services or files it talks to
+
+Write "none" under a heading that does not apply. Name things exactly as they appear in the code. Do not add any other text.`;
+
+const SUMMARY_PROMPT_VERSION = getPromptVersion(SUMMARY_PROMPT);
+
+function moduleOf(file, depth) {
+  return file.split('/').slice(0, -1).slice(0, depth).join('/') || '.';
+}
+
+/**
+ * Groups files by the directory (module) they belong to
+ * Directories are cut at GROUP_DEPTH; a file alone in its group joins its parent directory's group
+ * @param {Array<Object>} entries - Ranked files ({ path, rank, ... }, see utils/fileRanker.js)
+ * @param {Object} [options]
+ * @param {number} [options.maxGroups] - Groups kept, those holding the best-ranked files first
+ * @returns {Array<Object>} - { path, files }, files in rank order
+ */
+export function groupFilesByModule(entries, { maxGroups = MAX_GROUPS } = {}) {
+  const byModule = new Map();
+  entries.forEach(entry => {
+    const key = moduleOf(entry.path, GROUP_DEPTH);
+    byModule.set(key, [...(byModule.get(key) || []), entry]);
+  });
+
+  const groups = new Map();
+  byModule.forEach((files, key) => {
+    const target = files.length === 1 && key.includes('/') ? moduleOf(files[0].path, GROUP_DEPTH - 1) : key;
+    groups.set(target, [...(groups.get(target) || []), ...files]);
+  });
+
+  return [...groups.entries()]
+    .map(([path, files]) => ({ path, files: files.sort((a, b) => a.rank - b.rank) }))
+    .sort((a, b) => a.files[0].rank - b.files[0].rank)
+    .slice(0, maxGroups);
+}
+
+/**
+ * Hash of a group's file paths and contents, the cache identity of its summary
+ * @param {Array<Object>} files - { path, content }
+ * @returns {string}
+ */
+export function groupContentHash(files) {
+  const hash = crypto.createHash('sha256');
+  [...files]
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .forEach(({ path, content }) => hash.update(path).update('\0').update(content).update('\0'));
+  return hash.digest('hex');
+}
+
+function buildSummaryPrompt(group) {
+  const parts = [SUMMARY_PROMPT, `DIRECTORY: ${group.path === '.' ? '(repository root)' : `${group.path}/`}`];
+  group.files.forEach(({ path, content }) => {
+    parts.push(`--- ${path} ---\n${content}`);
+  });
+  if (group.omitted.length > 0) {
+    parts.push(`Other files in this directory (not shown): ${group.omitted.join(', ')}`);
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Creates the summarizer the extractor calls for directories that do not fit the context
+ * @param {Object} llm - LLM provider (see utils/llmProviders.js), possibly queued
+ * @param {Object} [options]
+ * @param {boolean} [options.useCache] - Read and write cached summaries (off for private repositories)
+ * @param {string} [options.url] - Repository URL, recorded with cached summaries
+ * @returns {Object} - { id, summarize(groups, { signal }) }
+ */
+export function createModuleSummarizer(llm, { useCache = true, url = null } = {}) {
+  const model = `${llm.name}:${llm.model}`;
+
+  /**
+   * Summarizes groups of files; a group whose call fails is left out rather than failing the run
+   * @param {Array<Object>} groups - { path, files: [{ path, content }], omitted: [path], contentHash }
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Array<Object>>} - { path, summary, cached }, summary null when it failed
+   */
+  const summarize = async (groups, { signal } = {}) => {
+    const limiter = new ConcurrencyLimiter('summary', SUMMARY_CONCURRENCY, Infinity);
+
+    return Promise.all(groups.map(group => limiter.run(async () => {
+      const cachedSummary = useCache && await getCachedSummary(group.contentHash, SUMMARY_PROMPT_VERSION, model);
+      if (cachedSummary) {
+        return { path: group.path, summary: cachedSummary, cached: true };
+      }
+
+      try {
+        const summary = (await llm.generate(buildSummaryPrompt(group), { signal }) || '').trim();
+        if (summary && useCache) {
+          await setCachedSummary(group.contentHash, SUMMARY_PROMPT_VERSION, model, summary, { url, path: group.path });
+        }
+        return { path: group.path, summary: summary || null, cached: false };
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        console.warn(`⚠️  Could not summarize ${group.path}: ${error.message}`);
+        return { path: group.path, summary: null, cached: false };
+      }
+    }, { signal })));
+  };
+
+  return { id: model, summarize };
+}
+
+export default {
+  SUMMARY_PROMPT,
+  createModuleSummarizer,
+  groupContentHash,
+  groupFilesByModule
+};
@@ -0,0 +1,63 @@
+/**
+ * Progress reporting helpers for the diagram generation pipeline
+ * Stages are emitted in order and streamed to clients so they can
+ * show what the server is actually doing during a long run
+ */
+
+/**
+ * Pipeline stages, in the order they normally occur
+ */
+export const ProgressStage = {
+  QUEUE: 'queue', // Only emitted when the run has to wait for a free slot
+  VALIDATE: 'validate',
+  CLONE: 'clone',
+  WALK: 'walk',
+  FILES: 'files',
+  SUMMARIZE: 'summarize', // Only emitted when the repository is summarized per directory
+  PROMPT: 'prompt',
+  LLM: 'llm',
+  REPAIR: 'repair',
+  FORMAT: 'format'
+};
+
+/**
+ * Status of a single stage
+ */
+export const ProgressStatus = {
+  STARTED: 'started',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * Emits a progress event through an optional callback
+ * Listener errors are swallowed so a broken client never breaks a run
+ * @param {Function|undefined} onProgress - Progress callback
+ * @param {string} stage - One of ProgressStage
+ * @param {string} status - One of ProgressStatus
+ * @param {string} message - Human readable description
+ * @param {Object} details - Extra stage-specific fields (counts, sizes...)
+ */
+export function reportProgress(onProgress, stage, status, message, details = {}) {
+  if (typeof onProgress !== 'function') {
+    return;
+  }
+
+  try {
+    onProgress({
+      stage,
+      status,
+      message,
+      ...details,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.warn('Progress listener failed:', error.message);
+  }
+}
+
+export default {
+  ProgressStage,
+  ProgressStatus,
+  reportProgress
+};
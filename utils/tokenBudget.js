@@ -0,0 +1,142 @@
+/**
+ * Token budgeting for the repository context
+ * The context is sized in tokens for the selected model instead of characters: a local
+ * approximate tokenizer measures text, and the model's context window (minus its output
+ * tokens) is split into reserved portions for the prompt template, the manifests, the
+ * directory tree and the file contents
+ */
+
+const DEFAULT_MAX_CONTEXT_TOKENS = 100000; // Beyond this, latency and cost grow faster than diagram quality
+const DEFAULT_CONTEXT_WINDOW = 32768; // Unknown models
+const PROMPT_RESERVE = 4000; // Fits the template with every diagram kind, so the budget rarely depends on the selection
+const SAFETY_MARGIN = 0.05; // The tokenizer is approximate
+const MANIFEST_SHARE = 0.05;
+const TREE_SHARE = 0.05;
+
+// Input context windows by model name prefix; the longest matching prefix wins
+const CONTEXT_WINDOWS = {
+  'gemini-1.5-pro': 2097152,
+  'gemini-1.5-flash': 1048576,
+  'gemini-2.0-flash': 1048576,
+  'gemini-2.5': 1048576,
+  'gemini-3': 1048576,
+  'gpt-4o': 128000,
+  'gpt-4.1': 1047576,
+  'llama3.1': 131072,
+  'llama3.2': 131072,
+  'llama3.3': 131072,
+  'llama3': 8192,
+  'mistral': 32768,
+  'mixtral': 32768,
+  'qwen2.5': 32768,
+  'qwen3': 40960,
+  'deepseek': 65536,
+  'phi3': 4096
+};
+
+function parseNumber(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Reads budget settings from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} - { maxContextTokens, contextWindow }; contextWindow is null unless overridden
+ */
+export function getBudgetConfig(env = process.env) {
+  return {
+    maxContextTokens: parseNumber(env.CONTEXT_MAX_TOKENS, DEFAULT_MAX_CONTEXT_TOKENS),
+    contextWindow: parseNumber(env.LLM_CONTEXT_WINDOW, null)
+  };
+}
+
+/**
+ * Approximate token count, close to SentencePiece/BPE tokenizers on code and prose
+ * Words cost one token per ~5 letters, numbers one per 3 digits and punctuation runs one
+ * per 2 symbols; single spaces are free, longer whitespace (indentation) costs one token
+ * per 8 characters and every non-ASCII character costs one
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  const pattern = /[A-Za-z]+|\d+|\s+|[!-/:-@[-`{-~]+|[^\x00-\x7f]/g;
+  let tokens = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const piece = match[0];
+    const first = piece.charCodeAt(0);
+    if (first > 0x7f) {
+      tokens += 1;
+    } else if (/\s/.test(piece[0])) {
+      tokens += piece.length === 1 ? 0 : Math.ceil(piece.length / 8);
+    } else if (first >= 0x30 && first <= 0x39) {
+      tokens += Math.ceil(piece.length / 3);
+    } else if (/[A-Za-z]/.test(piece[0])) {
+      tokens += Math.ceil(piece.length / 5);
+    } else {
+      tokens += Math.ceil(piece.length / 2);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Input context window of a model
+ * @param {string} [model] - Model name, e.g. 'gemini-2.5-flash'
+ * @returns {number}
+ */
+export function getContextWindow(model = '') {
+  const name = model.toLowerCase().replace(/^models\//, '');
+  const prefix = Object.keys(CONTEXT_WINDOWS)
+    .filter(key => name.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? CONTEXT_WINDOWS[prefix] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Splits the input tokens available for a model between the prompt and the context sections
+ * Manifests and the tree are capped at their share; what they leave unused goes to the files
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model name; without one only maxContextTokens applies
+ * @param {number} [options.maxOutputTokens] - Tokens the model may answer with, taken from the window
+ * @param {number} [options.promptTokens] - Measured size of the prompt template
+ * @param {number} [options.maxContextTokens] - Upper bound regardless of the window (CONTEXT_MAX_TOKENS)
+ * @param {number|null} [options.contextWindow] - Window override (LLM_CONTEXT_WINDOW)
+ * @returns {Object} - { model, contextWindow, total, prompt, manifests, tree, files }
+ */
+export function planContextBudget({
+  model,
+  maxOutputTokens = 0,
+  promptTokens = 0,
+  maxContextTokens = getBudgetConfig().maxContextTokens,
+  contextWindow = getBudgetConfig().contextWindow
+} = {}) {
+  const window = contextWindow || (model ? getContextWindow(model) : null);
+  const available = window
+    ? Math.floor((window - maxOutputTokens) * (1 - SAFETY_MARGIN))
+    : maxContextTokens;
+  const total = Math.max(0, Math.min(available, maxContextTokens));
+
+  const prompt = Math.min(Math.max(promptTokens, PROMPT_RESERVE), total);
+  const context = total - prompt;
+  const manifests = Math.floor(context * MANIFEST_SHARE);
+  const tree = Math.floor(context * TREE_SHARE);
+
+  return {
+    model: model || null,
+    contextWindow: window,
+    total,
+    prompt,
+    manifests,
+    tree,
+    files: context - manifests - tree
+  };
+}
+
+export default {
+  estimateTokens,
+  getBudgetConfig,
+  getContextWindow,
+  planContextBudget
+};
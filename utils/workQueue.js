@@ -0,0 +1,217 @@
+/**
+ * Bounded work queues for expensive pipeline steps
+ * ConcurrencyLimiter caps how many clones (disk) and LLM calls (quota) run at once,
+ * queueing the rest in FIFO order up to a maximum; SharedRuns lets concurrent
+ * requests for the same analysis wait on a single run instead of starting their own
+ */
+
+const DEFAULT_CLONE_CONCURRENCY = 2;
+const DEFAULT_LLM_CONCURRENCY = 2;
+const DEFAULT_MAX_PENDING = 50;
+
+/**
+ * Raised when a queue already holds its maximum number of waiting tasks
+ */
+export class QueueFullError extends Error {
+  constructor(queueName, maxPending) {
+    super(`The ${queueName} queue is full (${maxPending} waiting)`);
+    this.name = 'QueueFullError';
+    this.queueName = queueName;
+  }
+}
+
+function parseNumber(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Reads queue limits from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} - { cloneConcurrency, llmConcurrency, maxPending }
+ */
+export function getQueueConfig(env = process.env) {
+  return {
+    cloneConcurrency: Math.max(1, parseNumber(env.CLONE_CONCURRENCY, DEFAULT_CLONE_CONCURRENCY)),
+    llmConcurrency: Math.max(1, parseNumber(env.LLM_CONCURRENCY, DEFAULT_LLM_CONCURRENCY)),
+    maxPending: Math.max(0, parseNumber(env.QUEUE_MAX_PENDING, DEFAULT_MAX_PENDING))
+  };
+}
+
+/**
+ * Runs at most `concurrency` tasks at a time; later tasks wait in FIFO order
+ */
+export class ConcurrencyLimiter {
+  /**
+   * @param {string} name - Shown in queue messages (e.g. 'clone', 'llm')
+   * @param {number} concurrency - Tasks allowed to run at once
+   * @param {number} maxPending - Waiting tasks allowed before run() rejects with QueueFullError
+   */
+  constructor(name, concurrency, maxPending = DEFAULT_MAX_PENDING) {
+    this.name = name;
+    this.concurrency = concurrency;
+    this.maxPending = maxPending;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Runs a task as soon as a slot is free
+   * @param {Function} task - async () => result
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Leaves the queue without running the task
+   * @param {Function} [options.onQueue] - Called with the 1-based position while waiting, then with 0 when the task starts
+   * @returns {Promise<*>} - The task's result
+   * @throws {QueueFullError} - When the queue is full
+   */
+  async run(task, { signal, onQueue } = {}) {
+    if (this.active >= this.concurrency || this.waiting.length > 0) {
+      if (this.waiting.length >= this.maxPending) {
+        throw new QueueFullError(this.name, this.maxPending);
+      }
+      await this.wait(signal, onQueue);
+    } else {
+      this.active++;
+    }
+
+    onQueue?.(0);
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  wait(signal, onQueue) {
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, onQueue, signal, onAbort: null };
+      entry.onAbort = () => {
+        this.waiting = this.waiting.filter(waiting => waiting !== entry);
+        this.notifyPositions();
+        reject(signal.reason || new Error('Aborted'));
+      };
+
+      if (signal?.aborted) {
+        reject(signal.reason || new Error('Aborted'));
+        return;
+      }
+      signal?.addEventListener('abort', entry.onAbort, { once: true });
+      this.waiting.push(entry);
+      onQueue?.(this.waiting.length);
+    });
+  }
+
+  // The slot passes straight to the next waiting task, so `active` only drops when nobody waits
+  release() {
+    const next = this.waiting.shift();
+    if (!next) {
+      this.active--;
+      return;
+    }
+    next.signal?.removeEventListener('abort', next.onAbort);
+    next.resolve();
+    this.notifyPositions();
+  }
+
+  notifyPositions() {
+    this.waiting.forEach((entry, index) => entry.onQueue?.(index + 1));
+  }
+
+  /**
+   * @returns {Object} - { name, concurrency, active, waiting, maxPending }
+   */
+  stats() {
+    return {
+      name: this.name,
+      concurrency: this.concurrency,
+      active: this.active,
+      waiting: this.waiting.length,
+      maxPending: this.maxPending
+    };
+  }
+}
+
+/**
+ * Shares one run between concurrent callers asking for the same key
+ * Every caller receives the progress events (past ones are replayed on join);
+ * the run is only cancelled once all of its callers have gone away
+ */
+export class SharedRuns {
+  constructor() {
+    this.runs = new Map();
+  }
+
+  /**
+   * @param {string|null} key - Identifies equivalent work; null never shares
+   * @param {Function} start - ({ signal, onProgress }) => Promise<result>
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - This caller's cancellation
+   * @param {Function} [options.onProgress] - This caller's progress listener
+   * @returns {Promise<*>} - The shared result
+   */
+  run(key, start, { signal, onProgress } = {}) {
+    if (key === null) {
+      return start({ signal, onProgress });
+    }
+
+    let run = this.runs.get(key);
+    if (!run) {
+      const controller = new AbortController();
+      run = { controller, events: [], listeners: new Set(), callers: 0, promise: null };
+      const broadcast = (event) => {
+        run.events.push(event);
+        run.listeners.forEach(listener => listener(event));
+      };
+      this.runs.set(key, run);
+      run.promise = Promise.resolve()
+        .then(() => start({ signal: controller.signal, onProgress: broadcast }))
+        .finally(() => this.forget(key, run));
+    } else {
+      console.log(`🔗 Joining the analysis already running for ${key}`);
+    }
+
+    const current = run;
+    current.callers++;
+    if (onProgress) {
+      current.events.forEach(event => onProgress(event));
+      current.listeners.add(onProgress);
+    }
+
+    const leave = () => {
+      if (onProgress) current.listeners.delete(onProgress);
+      current.callers--;
+      if (current.callers === 0) {
+        current.controller.abort();
+        // Later callers start a fresh run rather than joining a cancelled one
+        this.forget(key, current);
+      }
+    };
+    if (signal?.aborted) {
+      leave();
+    } else {
+      signal?.addEventListener('abort', leave, { once: true });
+    }
+
+    return current.promise.finally(() => {
+      signal?.removeEventListener('abort', leave);
+      if (onProgress) current.listeners.delete(onProgress);
+    });
+  }
+
+  forget(key, run) {
+    if (this.runs.get(key) === run) {
+      this.runs.delete(key);
+    }
+  }
+
+  get size() {
+    return this.runs.size;
+  }
+}
+
+export default {
+  QueueFullError,
+  ConcurrencyLimiter,
+  SharedRuns,
+  getQueueConfig
+};
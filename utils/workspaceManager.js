@@ -0,0 +1,317 @@
+/**
+ * Scratch directories for repository clones
+ * Every clone gets its own workspace under one configurable root. Live workspaces are
+ * tracked so a janitor can remove the ones left behind by crashes or restarts, new
+ * workspaces reserve room under the disk quota and are refused when it is taken, and
+ * everything still live can be removed synchronously when the process is told to stop
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const DEFAULT_ROOT = path.join(os.tmpdir(), 'gitmermaid-workspaces');
+const DEFAULT_MAX_BYTES = 1024 * 1024 * 1024; // 1GB
+const DEFAULT_ORPHAN_AGE_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_SWEEP_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+// ws-<owner pid>-<created at>-<random>
+const WORKSPACE_PATTERN = /^ws-(\d+)-(\d+)-/;
+
+/**
+ * Raised when a workspace does not fit in the disk quota
+ */
+export class WorkspaceQuotaError extends Error {
+  constructor(usedBytes, maxBytes, requestedBytes = 0) {
+    super(`Workspace quota exceeded (${usedBytes} of ${maxBytes} bytes in use${requestedBytes ? `, ${requestedBytes} more requested` : ''})`);
+    this.name = 'WorkspaceQuotaError';
+    this.usedBytes = usedBytes;
+    this.maxBytes = maxBytes;
+  }
+}
+
+function parseNumber(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Reads the workspace settings from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} - { root, maxBytes, orphanAgeMs, sweepIntervalMs }
+ */
+export function getWorkspaceConfig(env = process.env) {
+  return {
+    root: path.resolve(env.WORKSPACE_ROOT || DEFAULT_ROOT),
+    maxBytes: parseNumber(env.WORKSPACE_MAX_BYTES, DEFAULT_MAX_BYTES),
+    orphanAgeMs: parseNumber(env.WORKSPACE_ORPHAN_AGE_MS, DEFAULT_ORPHAN_AGE_MS),
+    sweepIntervalMs: parseNumber(env.WORKSPACE_SWEEP_INTERVAL_MS, DEFAULT_SWEEP_INTERVAL_MS)
+  };
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+// Sums file sizes without following symlinks
+async function directorySize(dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+
+  let total = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath);
+    } else if (entry.isFile()) {
+      try {
+        total += (await fs.promises.lstat(entryPath)).size;
+      } catch {
+        // Removed while counting
+      }
+    }
+  }
+  return total;
+}
+
+export class WorkspaceManager {
+  /**
+   * @param {Object} config - See getWorkspaceConfig
+   */
+  constructor({ root = DEFAULT_ROOT, maxBytes = DEFAULT_MAX_BYTES, orphanAgeMs = DEFAULT_ORPHAN_AGE_MS } = {}) {
+    this.root = root;
+    this.maxBytes = maxBytes;
+    this.orphanAgeMs = orphanAgeMs;
+    this.live = new Map(); // dir => bytes counted against the quota: reserved, then measured by settle()
+    this.untrackedBytes = 0; // Workspaces nobody owns any more, measured by sweep()
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Creates the root and removes every workspace a previous process left behind
+   * @returns {Promise<number>} - Number of workspaces removed
+   */
+  async init() {
+    await fs.promises.mkdir(this.root, { recursive: true });
+    // Nothing is live yet, so workspaces named after our pid belong to an earlier process that had it
+    return this.sweep({ includeOwn: true });
+  }
+
+  /**
+   * Creates an empty workspace and reserves room for what will be written to it
+   * The quota check and the reservation happen together, without awaiting in between,
+   * so concurrent clones cannot all pass the check and overrun the quota
+   * @param {Object} [options]
+   * @param {number} [options.expectedBytes] - Bytes to reserve until settle() measures the workspace
+   * @returns {Promise<string>} - Absolute path of the workspace
+   * @throws {WorkspaceQuotaError} - When the reservation does not fit in the quota
+   */
+  async create({ expectedBytes = 0 } = {}) {
+    // A reservation larger than the whole quota would never fit; it then only needs an empty root
+    const reservedBytes = Math.min(expectedBytes, this.maxBytes);
+    const usedBytes = this.accountedBytes();
+    if (usedBytes >= this.maxBytes || usedBytes + reservedBytes > this.maxBytes) {
+      throw new WorkspaceQuotaError(usedBytes, this.maxBytes, reservedBytes);
+    }
+
+    const dir = path.join(this.root, `ws-${process.pid}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`);
+    this.live.set(dir, reservedBytes);
+    try {
+      await fs.promises.mkdir(dir, { recursive: true });
+    } catch (error) {
+      this.live.delete(dir);
+      throw error;
+    }
+    return dir;
+  }
+
+  /**
+   * Replaces a workspace's reservation with its measured size, once the clone is done
+   * @param {string} dir - Path returned by create()
+   * @returns {Promise<number>} - Bytes the workspace holds
+   * @throws {WorkspaceQuotaError} - When the workspace outgrew its reservation and the quota
+   */
+  async settle(dir) {
+    const bytes = await directorySize(dir);
+    if (!this.live.has(dir)) {
+      return bytes;
+    }
+
+    this.live.set(dir, bytes);
+    const usedBytes = this.accountedBytes();
+    if (usedBytes > this.maxBytes) {
+      throw new WorkspaceQuotaError(usedBytes, this.maxBytes);
+    }
+    return bytes;
+  }
+
+  /**
+   * Deletes a workspace
+   * @param {string} dir - Path returned by create()
+   */
+  async release(dir) {
+    this.live.delete(dir);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+
+  /**
+   * Stops tracking a workspace without deleting it (kept for debugging)
+   * The janitor removes it once it is older than the orphan age
+   * @param {string} dir - Path returned by create()
+   */
+  detach(dir) {
+    this.untrackedBytes += this.live.get(dir) || 0;
+    this.live.delete(dir);
+  }
+
+  /**
+   * Synchronously deletes every live workspace, for use in signal handlers
+   * @returns {number} - Number of workspaces removed
+   */
+  releaseAll() {
+    let removed = 0;
+    for (const dir of this.live.keys()) {
+      try {
+        fs.rmSync(dir, { recursive: true, force: true });
+        removed++;
+      } catch (error) {
+        console.warn(`⚠️  Could not remove workspace ${dir}: ${error.message}`);
+      }
+    }
+    this.live.clear();
+    return removed;
+  }
+
+  /**
+   * Removes workspaces that no live request owns: those of processes that are gone,
+   * and any untracked workspace older than the orphan age; what stays is measured
+   * for the quota
+   * @param {Object} [options]
+   * @param {boolean} [options.includeOwn] - Also remove untracked workspaces named after this process
+   * @returns {Promise<number>} - Number of workspaces removed
+   */
+  async sweep({ includeOwn = false } = {}) {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.root);
+    } catch {
+      return 0;
+    }
+
+    let removed = 0;
+    let untrackedBytes = 0;
+    for (const name of names) {
+      const match = name.match(WORKSPACE_PATTERN);
+      const dir = path.join(this.root, name);
+      if (this.live.has(dir)) {
+        continue;
+      }
+
+      const pid = match && Number(match[1]);
+      const ownerAlive = match && (pid === process.pid ? !includeOwn : isProcessAlive(pid));
+      // Anything else stored under the root still takes up the quota
+      if (!match || (ownerAlive && Date.now() - Number(match[2]) < this.orphanAgeMs)) {
+        untrackedBytes += await directorySize(dir);
+        continue;
+      }
+
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      removed++;
+    }
+    this.untrackedBytes = untrackedBytes;
+    return removed;
+  }
+
+  /**
+   * Sweeps orphaned workspaces periodically without keeping the process alive
+   */
+  startJanitor(intervalMs = DEFAULT_SWEEP_INTERVAL_MS) {
+    this.stopJanitor();
+    if (!(intervalMs > 0)) {
+      return;
+    }
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep()
+        .then(removed => removed > 0 && console.log(`🧹 Removed ${removed} orphaned workspaces`))
+        .catch(error => console.warn('Workspace sweep failed:', error.message));
+    }, intervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stopJanitor() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * @returns {Promise<number>} - Bytes currently stored under the root
+   */
+  usage() {
+    return directorySize(this.root);
+  }
+
+  /**
+   * @returns {number} - Bytes counted against the quota: reservations, settled workspaces and untracked ones
+   */
+  accountedBytes() {
+    let total = this.untrackedBytes;
+    this.live.forEach(bytes => { total += bytes; });
+    return total;
+  }
+
+  /**
+   * @returns {Promise<Object>} - { root, live, usedBytes, accountedBytes, maxBytes }
+   */
+  async stats() {
+    return {
+      root: this.root,
+      live: this.live.size,
+      usedBytes: await this.usage(),
+      accountedBytes: this.accountedBytes(),
+      maxBytes: this.maxBytes
+    };
+  }
+}
+
+let workspaceManager = null;
+
+/**
+ * Uses the given manager for every clone
+ * @param {WorkspaceManager} manager
+ */
+export function configureWorkspaces(manager) {
+  workspaceManager = manager;
+}
+
+/**
+ * Returns the configured manager, creating one from the environment on first use
+ * @returns {WorkspaceManager}
+ */
+export function getWorkspaceManager() {
+  if (!workspaceManager) {
+    workspaceManager = new WorkspaceManager(getWorkspaceConfig());
+  }
+  return workspaceManager;
+}
+
+export default {
+  WorkspaceManager,
+  WorkspaceQuotaError,
+  configureWorkspaces,
+  getWorkspaceConfig,
+  getWorkspaceManager
+};
@@ -15,7 +15,7 @@ export default defineConfig(({ mode }) => {
       },
       server: {
         watch: {
-          ignored: ['**/temp-extraction-*/**', '**/cache/**']
+          ignored: ['**/cache/**']
         }
       }
     };